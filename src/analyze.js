@@ -1,12 +1,70 @@
 // src/analyze.js - Conservative YouTube Channel Analyzer with Factual Insights
 const { google } = require('googleapis');
 const fs = require('fs').promises;
+const path = require('path');
+const { computeTfIdf, tokenize, isStopword, extractNgrams, scoreSentiment } = require('./text-analysis');
+const { parseCaptions, parseTimeExpression, decodeEntities } = require('./captions');
+const { createTranscriptProviders } = require('./transcript-providers');
+const { QuotaTracker, withQuota, DAILY_QUOTA, QUOTA_COSTS } = require('./quota');
+const { withRetry, classifyApiError, isCredentialError } = require('./retry');
+const { ResponseCache, withCache } = require('./cache');
+const { createSnapshot, saveSnapshot, loadSnapshot } = require('./snapshot');
+const { HistoryStore, createHistoryRecord, compareRuns } = require('./history');
+const { SCORE_LABELS, buildChannelProfile, compareProfiles } = require('./benchmark');
+const { channelsFromRows, readChannelList, runWithConcurrency } = require('./batch');
+const { formatCsv } = require('./csv');
+const { DEFAULT_BRANDING, loadBranding, renderHtmlReport } = require('./html-report');
+const { renderMarkdownSummary, renderBatchMarkdown } = require('./markdown-report');
+const { DAY_MS, linearRegression, fitViewCurve, expectedViewsAt, ageInDays, classifyMomentum } = require('./growth');
+const { DEFAULT_RULES, loadRules } = require('./rules');
+const { ANALYSIS_SCHEMA_VERSION, validateAnalysis, migrateResultFiles } = require('./result-schema');
+const { ReportTab, toSheetsDate, numberOrBlank, resetRequests, formatRequests } = require('./sheets-report');
 
 class YouTubeChannelAnalyzer {
-  constructor() {
-    this.youtube = google.youtube({
+  constructor(options = {}) {
+    this.options = options;
+    // Word lists, thresholds, weights and severities used by the scorers (see src/rules.js)
+    this.rules = options.rules || DEFAULT_RULES;
+    // Agency name, logo and colours for the HTML report (see src/html-report.js)
+    this.branding = options.branding || DEFAULT_BRANDING;
+    // Markdown summaries are appended here (a file or $GITHUB_STEP_SUMMARY); null disables them
+    this.summaryFile = options.summaryFile || null;
+    // Every YouTube Data API call goes through the quota tracker so a run cannot overspend its budget
+    this.quota = options.quotaTracker || new QuotaTracker({
+      budget: parseInt(options.quotaBudget ?? process.env.YOUTUBE_QUOTA_BUDGET ?? DAILY_QUOTA, 10)
+    });
+    
+    this.cache = options.responseCache || new ResponseCache({
+      directory: options.cacheDir || process.env.YOUTUBE_CACHE_DIR || '.cache/youtube',
+      enabled: options.cache !== false,
+      refresh: !!options.refreshCache
+    });
+    
+    // Cache hits never reach the API; retries wrap the quota layer so each attempt is charged, as the API bills them
+    this.youtube = withCache(withRetry(withQuota(google.youtube({
       version: 'v3',
       auth: process.env.YOUTUBE_API_KEY
+    }), this.quota), {
+      policy: options.retryPolicy,
+      onRetry: ({ endpoint, attempt, delay, classification }) => {
+        console.warn(`🔁 ${endpoint} failed (${classification.reason || classification.status || classification.message}) - retry ${attempt} in ${Math.round(delay)}ms`);
+      }
+    }), this.cache);
+    
+    // Replay mode: analyse a saved raw data snapshot instead of calling the API
+    this.snapshotPath = options.snapshotPath || null;
+    this.saveSnapshots = options.saveSnapshot !== false;
+    
+    this.history = options.history === false ? null : new HistoryStore({
+      directory: options.historyDir || process.env.HISTORY_DIR || 'results/history'
+    });
+    
+    // Upper bound on videos enumerated per audit; 'all' (or 0) walks the entire back catalogue
+    this.maxVideos = this.parseVideoLimit(options.maxVideos ?? process.env.MAX_VIDEOS ?? 100);
+    
+    this.transcriptProviders = options.transcriptProviders || createTranscriptProviders({
+      youtube: this.youtube,
+      transcriptDir: options.transcriptDir || process.env.TRANSCRIPT_DIR
     });
     
     this.sheets = google.sheets({
@@ -15,6 +73,13 @@ class YouTubeChannelAnalyzer {
     });
   }
 
+  parseVideoLimit(value) {
+    if (value === 'all' || value === Infinity) return Infinity;
+    const limit = parseInt(value, 10);
+    if (limit === 0) return Infinity;
+    return limit > 0 ? limit : 100;
+  }
+
   createSheetsAuth() {
     const auth = new google.auth.GoogleAuth({
       credentials: {
@@ -28,18 +93,18 @@ class YouTubeChannelAnalyzer {
 
   async analyzeChannel(channelUrl) {
     try {
-      console.log(`🚀 Starting analysis for: ${channelUrl}`);
-      
-      const channelId = this.extractChannelId(channelUrl);
-      if (!channelId) {
-        throw new Error('Invalid YouTube channel URL format');
-      }
-
-      const channelData = await this.fetchChannelData(channelId);
+      const channelData = await this.collectChannelData(this.snapshotPath || channelUrl);
       const analysis = this.performAnalysis(channelData);
+      const { history, record } = await this.trackHistory(analysis, channelData.videos);
+      analysis.history = history;
       
-      await this.writeToSheets(analysis);
+      // Saved first: a result that fails the schema ends the run before anything is published
       await this.saveResults(analysis);
+      await this.saveHistoryRecord(record);
+      await this.writeToSheets(analysis);
+      await this.saveVideoTable(analysis);
+      await this.saveHtmlReport(analysis);
+      await this.writeMarkdownSummary(renderMarkdownSummary(analysis, { grade: score => this.getScoreGrade(score) }));
       
       console.log('✅ Analysis completed successfully!');
       return analysis;
@@ -51,48 +116,359 @@ class YouTubeChannelAnalyzer {
     }
   }
 
-  extractChannelId(url) {
-    const patterns = [
-      { regex: /youtube\.com\/channel\/([a-zA-Z0-9_-]+)/, type: 'id' },
-      { regex: /youtube\.com\/c\/([a-zA-Z0-9_-]+)/, type: 'custom' },
-      { regex: /youtube\.com\/@([a-zA-Z0-9_.-]+)/, type: 'handle' },
-      { regex: /youtube\.com\/user\/([a-zA-Z0-9_-]+)/, type: 'user' }
-    ];
-    
-    for (const pattern of patterns) {
-      const match = url.match(pattern.regex);
-      if (match) {
-        return { type: pattern.type, value: match[1] };
+  // Runs the same pipeline for the primary channel and each competitor, then reports them side by side
+  async compareChannels(primaryUrl, competitorUrls) {
+    try {
+      console.log(`🏁 Benchmarking ${primaryUrl} against ${competitorUrls.length} competitor channels`);
+      
+      const primaryData = await this.collectChannelData(primaryUrl);
+      const primaryAnalysis = this.performAnalysis(primaryData);
+      const { history, record } = await this.trackHistory(primaryAnalysis, primaryData.videos);
+      primaryAnalysis.history = history;
+      
+      const competitorProfiles = [];
+      const failedChannels = [];
+      for (const competitorUrl of competitorUrls) {
+        try {
+          const competitorData = await this.collectChannelData(competitorUrl);
+          const competitorAnalysis = this.performAnalysis(competitorData);
+          competitorProfiles.push(buildChannelProfile(competitorAnalysis, this.summarizeVideosForBenchmark(competitorData.videos)));
+        } catch (error) {
+          if (error.fatal) throw error;
+          console.warn(`⚠️ Skipping competitor ${competitorUrl}: ${error.message}`);
+          failedChannels.push({ input: competitorUrl, error: error.message });
+        }
       }
+      
+      if (competitorProfiles.length === 0) {
+        throw new Error('None of the competitor channels could be analyzed');
+      }
+      
+      const comparison = compareProfiles(
+        buildChannelProfile(primaryAnalysis, this.summarizeVideosForBenchmark(primaryData.videos)),
+        competitorProfiles
+      );
+      comparison.failedChannels = failedChannels;
+      primaryAnalysis.benchmark = comparison;
+      
+      await this.saveResults(primaryAnalysis);
+      await this.saveHistoryRecord(record);
+      await this.writeToSheets(primaryAnalysis);
+      await this.writeComparisonToSheets(comparison);
+      await this.saveVideoTable(primaryAnalysis);
+      await this.saveHtmlReport(primaryAnalysis);
+      await this.saveComparison(comparison);
+      await this.writeMarkdownSummary(renderMarkdownSummary(primaryAnalysis, { grade: score => this.getScoreGrade(score) }));
+      
+      console.log('✅ Benchmark completed successfully!');
+      return comparison;
+      
+    } catch (error) {
+      console.error('❌ Benchmark failed:', error.message);
+      await this.writeErrorToSheets(error.message);
+      throw error;
     }
-    return null;
   }
 
-  async fetchChannelData(channelIdentifier) {
-    console.log('📡 Fetching channel data from YouTube API...');
+  // Reads the channel list for a batch audit from a CSV/JSON file or a range of the input sheet
+  async readBatchInput({ file = null, sheetRange = null } = {}) {
+    if (file) {
+      return readChannelList(file);
+    }
     
-    let channelId;
+    // GOOGLE_INPUT_DOC_ID names a Google Doc, which the Sheets API cannot read
+    const spreadsheetId = process.env.GOOGLE_INPUT_SHEET_ID || process.env.GOOGLE_SHEET_ID;
+    if (!spreadsheetId) {
+      throw new Error('No input sheet configured (set GOOGLE_INPUT_SHEET_ID or GOOGLE_SHEET_ID)');
+    }
     
-    if (channelIdentifier.type !== 'id') {
-      const searchResponse = await this.youtube.search.list({
-        part: ['snippet'],
-        type: 'channel',
-        q: channelIdentifier.value,
-        maxResults: 1
-      });
+    const response = await this.sheets.spreadsheets.values.get({ spreadsheetId, range: sheetRange });
+    const firstRow = parseInt((sheetRange.split('!').pop().match(/\d+/) || ['1'])[0], 10);
+    const entries = channelsFromRows(response.data.values || [], firstRow);
+    if (entries.length === 0) {
+      throw new Error(`No channels found in input range ${sheetRange}`);
+    }
+    return entries;
+  }
+
+  // Audits every channel with at most `concurrency` in flight. Each channel gets its own analyzer whose
+  // quota tracker charges this one, so the whole batch shares a single budget.
+  async analyzeBatch(entries, { concurrency = 2 } = {}) {
+    const startedAt = new Date();
+    const outputDir = path.join('results', `batch-${startedAt.toISOString().replace(/[:.]/g, '-')}`);
+    // Cheapest possible audit: resolve + channels.list + one page of uploads and video details
+    const minimumQuota = QUOTA_COSTS['channels.list'] + QUOTA_COSTS['playlistItems.list'] + QUOTA_COSTS['videos.list'];
+    let abortReason = null;
+    
+    console.log(`📦 Batch audit of ${entries.length} channels (concurrency ${concurrency})`);
+    await fs.mkdir(outputDir, { recursive: true });
+    
+    const channels = await runWithConcurrency(entries, concurrency, async (entry, index) => {
+      const result = { row: entry.row, input: entry.input, label: entry.label };
       
-      if (!searchResponse.data.items?.length) {
-        throw new Error('Channel not found');
+      if (abortReason || !this.quota.canAfford(minimumQuota)) {
+        abortReason = abortReason || 'Quota budget exhausted';
+        console.warn(`⏭️ [${index + 1}/${entries.length}] Skipping ${entry.input}: ${abortReason}`);
+        return { ...result, status: 'skipped', reason: abortReason };
       }
       
-      channelId = searchResponse.data.items[0].snippet.channelId;
+      const analyzer = new YouTubeChannelAnalyzer({
+        ...this.options,
+        quotaTracker: new QuotaTracker({ parent: this.quota }),
+        responseCache: new ResponseCache({ parent: this.cache }),
+        // The batch writes one overview table instead of a summary per channel
+        summaryFile: null
+      });
+      const started = Date.now();
+      
+      try {
+        console.log(`▶️ [${index + 1}/${entries.length}] ${entry.label || entry.input}`);
+        const channelData = await analyzer.collectChannelData(entry.input);
+        const analysis = analyzer.performAnalysis(channelData);
+        const { history, record } = await analyzer.trackHistory(analysis, channelData.videos);
+        analysis.history = history;
+        
+        const resultsFile = await analyzer.saveResults(analysis, path.join(outputDir, `${analysis.channel.id}.json`));
+        if (!resultsFile) {
+          throw new Error('Could not save the analysis result');
+        }
+        await analyzer.saveHistoryRecord(record);
+        await analyzer.saveVideoTable(analysis, path.join(outputDir, `${analysis.channel.id}-videos.csv`));
+        await analyzer.saveHtmlReport(analysis, path.join(outputDir, `${analysis.channel.id}-report.html`));
+        
+        const scores = Object.values(analysis.overallScores).filter(score => typeof score === 'number');
+        return {
+          ...result,
+          status: 'success',
+          reason: null,
+          channelId: analysis.channel.id,
+          channelName: analysis.channel.name,
+          subscriberCount: analysis.channel.subscriberCount,
+          videosAnalyzed: analysis.analysisMetadata?.videosAnalyzed ?? analysis.videos.length,
+          averageScore: scores.length > 0 ? parseFloat((scores.reduce((sum, score) => sum + score, 0) / scores.length).toFixed(1)) : null,
+          overallScores: analysis.overallScores,
+          topRecommendation: analysis.priorityRecommendations[0]?.action || null,
+          warningCount: analysis.warnings.length,
+          quotaUnits: analyzer.quota.used,
+          durationSeconds: parseFloat(((Date.now() - started) / 1000).toFixed(1)),
+          resultsFile
+        };
+      } catch (error) {
+        if (isCredentialError(error)) {
+          abortReason = `API credentials rejected: ${error.message}`;
+        } else if (error.name === 'QuotaBudgetExceededError') {
+          abortReason = 'Quota budget exhausted';
+        }
+        console.error(`❌ [${index + 1}/${entries.length}] ${entry.input} failed: ${error.message}`);
+        return {
+          ...result,
+          status: 'failed',
+          reason: error.message,
+          quotaUnits: analyzer.quota.used,
+          durationSeconds: parseFloat(((Date.now() - started) / 1000).toFixed(1))
+        };
+      }
+    });
+    
+    const count = status => channels.filter(channel => channel.status === status).length;
+    const summary = {
+      startedAt: startedAt.toISOString(),
+      finishedAt: new Date().toISOString(),
+      concurrency,
+      rulesProfile: this.rules.profile,
+      totals: { channels: channels.length, success: count('success'), failed: count('failed'), skipped: count('skipped') },
+      quota: this.quota.summary(),
+      outputDir,
+      channels
+    };
+    
+    await fs.writeFile(path.join(outputDir, 'summary.json'), JSON.stringify(summary, null, 2));
+    await this.writeBatchSummaryToSheets(summary);
+    await this.writeMarkdownSummary(renderBatchMarkdown(summary));
+    
+    console.log(`📦 Batch finished: ${summary.totals.success} succeeded, ${summary.totals.failed} failed, ${summary.totals.skipped} skipped (${summary.quota.unitsUsed} quota units) - results in ${outputDir}`);
+    return summary;
+  }
+
+  // Accepts a channel URL, or the path of a saved snapshot (.json) to replay offline.
+  // Earlier audits of the channel are attached as historyRecords for the growth model.
+  async collectChannelData(source) {
+    let channelData;
+    if (/\.json$/i.test(source || '')) {
+      console.log(`🚀 Starting offline analysis from snapshot: ${source}`);
+      channelData = await this.loadChannelSnapshot(source);
     } else {
-      channelId = channelIdentifier.value;
+      channelData = await this.fetchChannelDataFromApi(source);
+    }
+    
+    channelData.historyRecords = await this.loadHistoryRecords(channelData.channel.id, channelData.analysisMetadata?.fetchedAt);
+    return channelData;
+  }
+
+  async loadHistoryRecords(channelId, before) {
+    if (!this.history || !channelId) return [];
+    try {
+      const records = await this.history.list(channelId);
+      const cutoff = Date.parse(before) || Date.now();
+      return records.filter(record => Date.parse(record.recordedAt) < cutoff);
+    } catch (error) {
+      console.warn(`⚠️ Could not read audit history: ${error.message}`);
+      return [];
+    }
+  }
+
+  async fetchChannelDataFromApi(source) {
+    console.log(`🚀 Starting analysis for: ${source}`);
+    
+    const channelId = this.extractChannelId(source);
+    if (!channelId) {
+      throw new Error('Invalid YouTube channel URL format');
+    }
+
+    const channelData = await this.fetchChannelData(channelId);
+    if (this.saveSnapshots) {
+      await this.saveChannelSnapshot(channelData, source);
+    }
+    return channelData;
+  }
+
+  summarizeVideosForBenchmark(videos) {
+    return videos.map(video => ({
+      id: video.id,
+      title: video.snippet.title,
+      tags: Array.isArray(video.snippet.tags) ? video.snippet.tags : [],
+      views: parseInt(video.statistics?.viewCount) || 0,
+      format: this.classifyVideoFormat(this.parseDuration(video.contentDetails?.duration), video.snippet.title, video.snippet.description),
+      titleAnalysis: this.analyzeTitleComprehensive(video.snippet.title)
+    }));
+  }
+
+  extractChannelId(url) {
+    if (!url || typeof url !== 'string') return null;
+    const input = url.trim();
+    
+    // Bare handles and channel ids
+    if (/^@[^\s/?#]+$/.test(input)) {
+      try {
+        return { type: 'handle', value: decodeURIComponent(input.slice(1)) };
+      } catch (error) {
+        // Malformed percent-encoding such as "@%E0"
+        return null;
+      }
+    }
+    if (/^UC[\w-]{22}$/.test(input)) {
+      return { type: 'id', value: input };
+    }
+    
+    let parsed;
+    let segments;
+    try {
+      parsed = new URL(/^[a-z]+:\/\//i.test(input) ? input : `https://${input}`);
+      segments = parsed.pathname.split('/').filter(Boolean).map(segment => decodeURIComponent(segment));
+    } catch (error) {
+      return null;
+    }
+    
+    const host = parsed.hostname.toLowerCase().replace(/^(www|m|music)\./, '');
+    
+    if (host === 'youtu.be') {
+      return segments[0] ? { type: 'video', value: segments[0] } : null;
+    }
+    
+    if (host !== 'youtube.com' && host !== 'youtube-nocookie.com') return null;
+    
+    const [first, second] = segments;
+    if (!first) return null;
+    
+    if (first.startsWith('@')) return { type: 'handle', value: first.slice(1) };
+    if (first === 'channel' && second) return { type: 'id', value: second };
+    if (first === 'c' && second) return { type: 'custom', value: second };
+    if (first === 'user' && second) return { type: 'user', value: second };
+    if (first === 'watch' && parsed.searchParams.get('v')) return { type: 'video', value: parsed.searchParams.get('v') };
+    if (['shorts', 'live', 'embed', 'v'].includes(first) && second) return { type: 'video', value: second };
+    
+    // Legacy vanity URLs such as youtube.com/SomeName behave like /c/ custom URLs
+    const reservedPaths = ['playlist', 'results', 'feed', 'watch', 'about', 'account', 'premium', 'gaming', 'hashtag', 'post', 'redirect', 't', 'signin'];
+    if (!second && !reservedPaths.includes(first.toLowerCase())) {
+      return { type: 'custom', value: first };
+    }
+    
+    return null;
+  }
+
+  async resolveChannelId(channelIdentifier) {
+    const { type, value } = channelIdentifier;
+    
+    if (type === 'id') return value;
+    
+    if (type === 'handle') {
+      const response = await this.youtube.channels.list({ part: ['id'], forHandle: `@${value}` });
+      if (!response.data.items?.length) throw new Error(`Channel not found for handle @${value}`);
+      return response.data.items[0].id;
+    }
+    
+    if (type === 'user') {
+      const response = await this.youtube.channels.list({ part: ['id'], forUsername: value });
+      if (!response.data.items?.length) throw new Error(`Channel not found for username ${value}`);
+      return response.data.items[0].id;
+    }
+    
+    if (type === 'video') {
+      const response = await this.youtube.videos.list({ part: ['snippet'], id: [value] });
+      if (!response.data.items?.length) throw new Error(`Video not found: ${value}`);
+      return response.data.items[0].snippet.channelId;
+    }
+    
+    if (type === 'custom') {
+      return this.resolveCustomUrl(value);
     }
+    
+    throw new Error(`Unsupported channel identifier type: ${type}`);
+  }
+
+  async resolveCustomUrl(customName) {
+    // The API has no lookup for /c/ URLs, so gather candidates and only accept one whose
+    // snippet.customUrl is exactly this name (customUrl is now usually the "@handle")
+    const wanted = customName.toLowerCase();
+    const candidateIds = [];
+    
+    const handleResponse = await this.youtube.channels.list({ part: ['id'], forHandle: `@${customName}` });
+    candidateIds.push(...(handleResponse.data.items || []).map(item => item.id));
+    
+    const searchResponse = await this.youtube.search.list({
+      part: ['snippet'],
+      type: 'channel',
+      q: customName,
+      maxResults: 10
+    });
+    candidateIds.push(...(searchResponse.data.items || []).map(item => item.snippet.channelId));
+    
+    const uniqueIds = [...new Set(candidateIds)];
+    if (uniqueIds.length > 0) {
+      const channelsResponse = await this.youtube.channels.list({ part: ['snippet'], id: uniqueIds });
+      const match = (channelsResponse.data.items || []).find(channel => {
+        const customUrl = (channel.snippet.customUrl || '').toLowerCase();
+        return customUrl === wanted || customUrl === `@${wanted}`;
+      });
+      if (match) return match.id;
+    }
+    
+    throw new Error(`Channel not found for custom URL /c/${customName}`);
+  }
+
+  async fetchChannelData(channelIdentifier) {
+    console.log('📡 Fetching channel data from YouTube API...');
+    
+    const quotaAtStart = this.quota.snapshot();
+    const cacheAtStart = this.cache.snapshot();
+    const fetchedAt = new Date().toISOString();
+    const warnings = [];
+    const channelId = await this.resolveChannelId(channelIdentifier);
+    console.log(`🔗 Resolved ${channelIdentifier.type} "${channelIdentifier.value}" to channel ${channelId}`);
 
     // Get channel basic info
     const channelResponse = await this.youtube.channels.list({
-      part: ['snippet', 'statistics', 'brandingSettings'],
+      part: ['snippet', 'statistics', 'brandingSettings', 'contentDetails'],
       id: [channelId]
     });
 
@@ -103,35 +479,50 @@ class YouTubeChannelAnalyzer {
     const totalVideos = parseInt(channelResponse.data.items[0].statistics.videoCount) || 0;
     console.log(`📊 Channel has ${totalVideos} total videos`);
 
-    // Fetch more videos with pagination - aim for at least 50-100 videos for better analysis
-    const targetVideoCount = Math.min(100, totalVideos); // Analyze up to 100 videos
+    // Every channel's uploads live in a system playlist ("UC..." channel id -> "UU..." playlist id)
+    const uploadsPlaylistId = channelResponse.data.items[0].contentDetails?.relatedPlaylists?.uploads ||
+      channelId.replace(/^UC/, 'UU');
+
+    const targetVideoCount = this.maxVideos === Infinity ? totalVideos : Math.min(this.maxVideos, totalVideos);
     const allVideos = [];
     let nextPageToken = null;
     let fetchedCount = 0;
+    let listedCount = 0;
+    let pageCount = 0;
 
-    console.log(`🎯 Targeting ${targetVideoCount} videos for comprehensive analysis`);
+    console.log(`🎯 Targeting ${targetVideoCount} videos for comprehensive analysis (uploads playlist ${uploadsPlaylistId})`);
 
-    // Fetch videos in batches with pagination
+    // Page through the uploads playlist (1 quota unit per page, newest first)
     while (fetchedCount < targetVideoCount) {
+      const batchSize = Math.min(50, targetVideoCount - fetchedCount); // YouTube API max is 50
+      const pageParams = {
+        part: ['contentDetails'],
+        playlistId: uploadsPlaylistId,
+        maxResults: batchSize,
+        pageToken: nextPageToken
+      };
+      
+      // Each page costs a playlistItems.list plus a videos.list call
+      if (!this.quota.canAfford(await this.quotaCostOf('playlistItems.list', pageParams) + this.quota.costOf('videos.list'))) {
+        this.quota.recordSkip('videoPages');
+        this.addWarning(warnings, 'video-enumeration', 'quota-budget',
+          `Quota budget reached after ${fetchedCount} videos - stopped listing uploads`,
+          { missingVideos: targetVideoCount - fetchedCount });
+        break;
+      }
+      
       try {
-        const batchSize = Math.min(50, targetVideoCount - fetchedCount); // YouTube API max is 50
-        
-        const videosResponse = await this.youtube.search.list({
-          part: ['snippet'],
-          channelId: channelId,
-          order: 'date',
-          maxResults: batchSize,
-          type: 'video',
-          pageToken: nextPageToken
-        });
+        const playlistResponse = await this.youtube.playlistItems.list(pageParams);
+        pageCount++;
 
-        if (!videosResponse.data.items?.length) {
+        if (!playlistResponse.data.items?.length) {
           console.log('📝 No more videos found');
           break;
         }
 
-        const videoIds = videosResponse.data.items.map(item => item.id.videoId);
-        console.log(`📥 Fetched ${videoIds.length} video IDs (batch ${Math.floor(fetchedCount/50) + 1})`);
+        const videoIds = playlistResponse.data.items.map(item => item.contentDetails.videoId).filter(Boolean);
+        listedCount += videoIds.length;
+        console.log(`📥 Fetched ${videoIds.length} video IDs (page ${pageCount})`);
 
         // Get detailed stats for this batch
         if (videoIds.length > 0) {
@@ -144,6 +535,15 @@ class YouTubeChannelAnalyzer {
             const batchVideos = statsResponse.data.items || [];
             console.log(`📊 Got detailed stats for ${batchVideos.length} videos`);
             
+            // Private and deleted uploads are listed in the playlist but not returned by videos.list
+            if (batchVideos.length < videoIds.length) {
+              const returnedIds = new Set(batchVideos.map(video => video.id));
+              const unavailableIds = videoIds.filter(id => !returnedIds.has(id));
+              this.addWarning(warnings, 'video-details', 'unavailable-videos',
+                `${unavailableIds.length} listed videos are private or deleted`,
+                { videoIds: unavailableIds });
+            }
+            
             // Filter out any videos that failed to load properly
             const validVideos = batchVideos.filter(video => 
               video.snippet && video.statistics && video.contentDetails
@@ -153,31 +553,41 @@ class YouTubeChannelAnalyzer {
             allVideos.push(...validVideos);
             fetchedCount += validVideos.length;
 
-            // Log any videos that were dropped
+            // Record any videos that were dropped
             if (validVideos.length < batchVideos.length) {
-              console.log(`⚠️ Dropped ${batchVideos.length - validVideos.length} videos due to missing data`);
+              const validIds = new Set(validVideos.map(video => video.id));
+              this.addWarning(warnings, 'video-details', 'incomplete-videos',
+                `Dropped ${batchVideos.length - validVideos.length} videos due to missing data`,
+                { videoIds: batchVideos.filter(video => !validIds.has(video.id)).map(video => video.id) });
             }
           } catch (error) {
-            console.error(`❌ Error fetching stats for batch: ${error.message}`);
+            if (error.fatal) throw error;
             // Continue with next batch instead of failing completely
+            this.addWarning(warnings, 'video-details', 'request-failed',
+              `Could not load details for ${videoIds.length} videos: ${error.message}`,
+              { videoIds, ...this.describeApiError(error) });
           }
         }
 
-        nextPageToken = videosResponse.data.nextPageToken;
+        nextPageToken = playlistResponse.data.nextPageToken;
         if (!nextPageToken) {
           console.log('📝 Reached end of videos (no more pages)');
           break;
         }
 
-        // Add small delay to respect rate limits
-        await new Promise(resolve => setTimeout(resolve, 100));
-
       } catch (error) {
-        console.error(`❌ Error in video fetching loop: ${error.message}`);
+        if (error.fatal) throw error;
+        // Without the next page token there is no way to continue past a failed page
+        this.addWarning(warnings, 'video-enumeration', 'request-failed',
+          `Listing uploads failed after ${fetchedCount} videos: ${error.message}`,
+          { missingVideos: targetVideoCount - fetchedCount, ...this.describeApiError(error) });
         break;
       }
     }
 
+    // The uploads playlist is newest first, but keep that guarantee explicit for the transcript/comment samples
+    allVideos.sort((a, b) => new Date(b.snippet.publishedAt) - new Date(a.snippet.publishedAt));
+
     console.log(`🎬 Successfully loaded ${allVideos.length} videos for analysis`);
     
     if (allVideos.length < 10) {
@@ -194,7 +604,7 @@ class YouTubeChannelAnalyzer {
     if (allVideos.length > 0) {
       allVideos.forEach((video, index) => {
         const duration = this.parseDuration(video.contentDetails?.duration);
-        const isShort = duration < 60;
+        const isShort = this.classifyVideoFormat(duration, video.snippet?.title || '', video.snippet?.description) === 'Short';
         const tagCount = video.snippet?.tags?.length || 0;
         
         if (isShort) {
@@ -213,41 +623,177 @@ class YouTubeChannelAnalyzer {
       console.log(`📊 Summary: ${shortsCount} Shorts (${shortsWithTags} with tags), ${regularCount} Regular (${regularWithTags} with tags)`);
     }
 
-    const playlistsResponse = await this.youtube.playlists.list({
+    let playlists = [];
+    const playlistParams = {
       part: ['snippet', 'contentDetails'],
       channelId: channelId,
       maxResults: 10
-    });
+    };
+    if (this.quota.canAfford(await this.quotaCostOf('playlists.list', playlistParams))) {
+      try {
+        const playlistsResponse = await this.youtube.playlists.list(playlistParams);
+        playlists = playlistsResponse.data.items || [];
+      } catch (error) {
+        if (error.fatal) throw error;
+        this.addWarning(warnings, 'playlists', 'request-failed',
+          `Could not load playlists: ${error.message}`, this.describeApiError(error));
+      }
+    } else {
+      this.quota.recordSkip('playlists');
+      this.addWarning(warnings, 'playlists', 'quota-budget', 'Playlists skipped to stay within the quota budget');
+    }
 
     // Fetch transcripts for a reasonable sample (limit to 20 for performance)
     console.log('📝 Analyzing video transcripts...');
     const transcriptSample = allVideos.slice(0, 20);
     console.log(`🎤 Analyzing transcripts for ${transcriptSample.length} most recent videos`);
-    const transcriptData = await this.fetchTranscriptsForVideos(transcriptSample);
+    // Transcripts are the most expensive optional data, so keep enough budget for the cheaper comments
+    const transcriptData = await this.fetchTranscriptsForVideos(transcriptSample, transcriptSample.length, warnings);
+
+    // Comment threads for the same recent sample
+    console.log('💬 Fetching comment threads...');
+    const commentData = await this.fetchCommentsForVideos(transcriptSample, channelId, warnings);
 
     return {
       channel: channelResponse.data.items[0],
       videos: allVideos, // Now contains many more videos
-      playlists: playlistsResponse.data.items || [],
+      playlists: playlists,
       transcripts: transcriptData,
+      comments: commentData,
+      warnings: warnings,
       analysisMetadata: {
+        dataSource: 'api',
+        fetchedAt,
         totalVideosOnChannel: totalVideos,
         videosAnalyzed: allVideos.length,
-        coveragePercentage: ((allVideos.length / totalVideos) * 100).toFixed(1),
-        transcriptsAnalyzed: Object.keys(transcriptData).length
+        videosListed: listedCount,
+        videoLimit: this.maxVideos === Infinity ? 'all' : this.maxVideos,
+        enumerationSource: 'uploads-playlist',
+        uploadsPlaylistId,
+        coveragePercentage: totalVideos > 0 ? ((allVideos.length / totalVideos) * 100).toFixed(1) : '0.0',
+        transcriptsAnalyzed: Object.values(transcriptData).filter(Boolean).length,
+        transcriptSources: this.countTranscriptSources(transcriptData),
+        commentVideosSampled: Object.keys(commentData).length,
+        commentThreadsAnalyzed: Object.values(commentData).reduce((sum, c) => sum + c.threads.length, 0),
+        quota: this.quota.summary(quotaAtStart),
+        cache: this.cache.summary(cacheAtStart),
+        warningCount: warnings.length
+      }
+    };
+  }
+
+  async saveChannelSnapshot(channelData, input) {
+    try {
+      const filePath = await saveSnapshot(createSnapshot(channelData, { input }));
+      console.log(`💾 Raw data snapshot saved: ${filePath}`);
+      return filePath;
+    } catch (error) {
+      console.error('Failed to save raw data snapshot:', error.message);
+      return null;
+    }
+  }
+
+  async loadChannelSnapshot(filePath) {
+    const snapshot = await loadSnapshot(filePath);
+    const { data } = snapshot;
+    console.log(`📼 Replaying ${data.channel.snippet.title} (${data.videos.length} videos) fetched ${snapshot.fetchedAt}`);
+    
+    return {
+      ...data,
+      transcripts: data.transcripts || {},
+      comments: data.comments || {},
+      warnings: data.warnings || [],
+      analysisMetadata: {
+        ...data.analysisMetadata,
+        dataSource: 'snapshot',
+        fetchedAt: snapshot.fetchedAt,
+        snapshotFile: filePath,
+        snapshotVersion: snapshot.snapshotVersion
       }
     };
   }
 
-  async fetchTranscriptsForVideos(videos) {
+  // Every recommendation of an analysis, most severe first; priorityRecommendations holds only the top 10
+  rankedRecommendations(analysis) {
+    return this.generatePriorityRecommendations({
+      branding: analysis.brandingIdentity,
+      content: analysis.contentStrategy,
+      seo: analysis.seoMetadata,
+      engagement: analysis.engagementSignals,
+      performance: analysis.videoPerformance,
+      formats: analysis.formatTracks,
+      growth: analysis.growth,
+      comments: analysis.commentAnalysis,
+      quality: analysis.contentQuality,
+      playlists: analysis.playlistStructure,
+      transcripts: analysis.transcriptAnalysis
+    });
+  }
+
+  // Compares this audit with the previous one for the same channel. Returns the comparison for
+  // analysis.history and the record that saveHistoryRecord() keeps for the next run.
+  async trackHistory(analysis, videos) {
+    if (!this.history) return { history: null, record: null };
+    
+    try {
+      const record = createHistoryRecord(analysis, videos, this.rankedRecommendations(analysis));
+      const previous = await this.history.previous(record.channelId, record.recordedAt);
+      
+      if (!previous) {
+        console.log('📈 First recorded audit for this channel - changes will be reported from the next run');
+        return { history: { previousRun: null, comparison: null }, record };
+      }
+      
+      const comparison = compareRuns(previous, record);
+      console.log(`📈 Compared with audit from ${previous.recordedAt} (${comparison.elapsedDays} days ago): ${comparison.newUploads.length} new uploads, ${comparison.recommendations.resolved.length} recommendations resolved`);
+      return { history: { previousRun: previous.recordedAt, comparison }, record };
+    } catch (error) {
+      console.error('Failed to compare with audit history:', error.message);
+      return { history: null, record: null };
+    }
+  }
+
+  // Called once the result is saved, so a run that fails validation never becomes the "previous run"
+  async saveHistoryRecord(record) {
+    if (!record) return;
+    
+    try {
+      await this.history.save(record);
+    } catch (error) {
+      console.error('Failed to save audit history:', error.message);
+    }
+  }
+
+  // Units a request would charge; nothing when the response cache will answer it
+  async quotaCostOf(endpoint, params = null) {
+    if (params && await this.cache.isCached(endpoint, params)) return 0;
+    return this.quota.costOf(endpoint);
+  }
+
+  async fetchTranscriptsForVideos(videos, reservedQuota = 0, warnings = []) {
     const transcriptData = {};
+    const skippedForQuota = [];
+    
+    const costOf = (endpoint, params) => this.quotaCostOf(endpoint, params);
     
     for (const video of videos) {
+      // Providers that cost quota are dropped once they would eat into the reserved budget
+      const available = this.transcriptProviders.filter(provider => !provider.disabled);
+      const providers = [];
+      for (const provider of available) {
+        const cost = provider.quotaCostFor ? await provider.quotaCostFor(video, costOf) : provider.estimatedQuotaCost;
+        if (!(cost > 0) || this.quota.canAfford(cost + reservedQuota)) providers.push(provider);
+      }
+      if (providers.length < available.length) {
+        this.quota.recordSkip('transcripts');
+        skippedForQuota.push(video.id);
+      }
+      
       try {
-        const transcript = await this.fetchVideoTranscript(video.id);
+        const transcript = await this.fetchVideoTranscript(video, providers);
         if (transcript) {
           transcriptData[video.id] = transcript;
-          console.log(`✅ Transcript found for: ${video.snippet.title.substring(0, 30)}...`);
+          console.log(`✅ Transcript found (${transcript.source}) for: ${video.snippet.title.substring(0, 30)}...`);
         }
       } catch (error) {
         console.log(`⚠️ No transcript for: ${video.snippet.title.substring(0, 30)}...`);
@@ -255,90 +801,148 @@ class YouTubeChannelAnalyzer {
       }
     }
     
+    if (skippedForQuota.length > 0) {
+      this.addWarning(warnings, 'transcripts', 'quota-budget',
+        `Captions API skipped for ${skippedForQuota.length} videos to stay within the quota budget`,
+        { videoIds: skippedForQuota });
+    }
+    
     return transcriptData;
   }
 
-  async fetchVideoTranscript(videoId) {
-    try {
-      // First, get available captions
-      const captionsResponse = await this.youtube.captions.list({
-        part: ['snippet'],
-        videoId: videoId
-      });
-
-      if (!captionsResponse.data.items?.length) {
-        return null;
+  async fetchCommentsForVideos(videos, channelId, warnings = []) {
+    const commentData = {};
+    const skippedForQuota = [];
+    const failed = [];
+    
+    for (const video of videos) {
+      const threadParams = {
+        part: ['snippet', 'replies'],
+        videoId: video.id,
+        maxResults: 100,
+        order: 'relevance',
+        textFormat: 'plainText'
+      };
+      if (!this.quota.canAfford(await this.quotaCostOf('commentThreads.list', threadParams))) {
+        this.quota.recordSkip('comments');
+        skippedForQuota.push(video.id);
+        continue;
+      }
+      
+      try {
+        const threadsResponse = await this.youtube.commentThreads.list(threadParams);
+        
+        const threads = (threadsResponse.data.items || []).map(thread => {
+          const topLevel = thread.snippet.topLevelComment.snippet;
+          const replies = thread.replies?.comments || [];
+          const totalReplyCount = thread.snippet.totalReplyCount || 0;
+          const creatorReplied = replies.some(reply => reply.snippet.authorChannelId?.value === channelId);
+          return {
+            id: thread.id,
+            text: topLevel.textOriginal || topLevel.textDisplay || '',
+            authorChannelId: topLevel.authorChannelId?.value || null,
+            likeCount: topLevel.likeCount || 0,
+            publishedAt: topLevel.publishedAt,
+            totalReplyCount,
+            // The API returns only a few replies per thread; null when the creator's reply may be among the missing ones
+            creatorReplied: creatorReplied || (replies.length < totalReplyCount ? null : false)
+          };
+        });
+        
+        commentData[video.id] = { disabled: false, threads };
+      } catch (error) {
+        if (error.fatal) throw error;
+        const { reason } = this.describeApiError(error);
+        if (reason === 'commentsDisabled') {
+          commentData[video.id] = { disabled: true, threads: [] };
+        } else {
+          console.log(`⚠️ Could not load comments for: ${video.snippet.title.substring(0, 30)}... (${error.message})`);
+          failed.push({ videoId: video.id, ...this.describeApiError(error) });
+        }
       }
+    }
+    
+    if (skippedForQuota.length > 0) {
+      this.addWarning(warnings, 'comments', 'quota-budget',
+        `Comments skipped for ${skippedForQuota.length} videos to stay within the quota budget`,
+        { videoIds: skippedForQuota });
+    }
+    
+    if (failed.length > 0) {
+      this.addWarning(warnings, 'comments', 'request-failed',
+        `Could not load comments for ${failed.length} videos`,
+        { videoIds: failed.map(f => f.videoId), failures: failed });
+    }
+    
+    return commentData;
+  }
 
-      // Prefer auto-generated English captions or manual English captions
-      const caption = captionsResponse.data.items.find(item => 
-        item.snippet.language === 'en' || 
-        item.snippet.language === 'en-US' ||
-        item.snippet.trackKind === 'asr' // auto-generated
-      ) || captionsResponse.data.items[0];
+  addWarning(warnings, stage, code, message, details = {}) {
+    console.warn(`⚠️ [${stage}] ${message}`);
+    warnings.push({ stage, code, message, ...details });
+  }
 
-      if (!caption) {
-        return null;
-      }
+  describeApiError(error) {
+    const classification = error.classification || classifyApiError(error);
+    return {
+      reason: classification.reason,
+      status: classification.status,
+      attempts: error.attempts || 1
+    };
+  }
 
-      // Download the transcript
-      const transcriptResponse = await this.youtube.captions.download({
-        id: caption.id,
-        tfmt: 'ttml' // XML format with timestamps
-      });
+  countTranscriptSources(transcripts) {
+    const sources = {};
+    Object.values(transcripts || {}).filter(Boolean).forEach(transcript => {
+      sources[transcript.source || 'unknown'] = (sources[transcript.source || 'unknown'] || 0) + 1;
+    });
+    return sources;
+  }
 
-      if (transcriptResponse.data) {
-        return this.parseTranscript(transcriptResponse.data);
+  async fetchVideoTranscript(video, providers = this.transcriptProviders) {
+    // Ask each provider in turn; the first one with usable caption data wins
+    for (const provider of providers) {
+      const result = await provider.fetchTranscript(video);
+      if (!result?.data) continue;
+      
+      const transcript = this.parseTranscript(result.data, result.format);
+      if (transcript?.fullText) {
+        return { ...transcript, source: provider.name };
       }
-
-      return null;
-    } catch (error) {
-      // Transcripts might not be available or accessible
-      return null;
     }
+    
+    return null;
   }
 
-  parseTranscript(ttmlData) {
+  parseTranscript(captionData, format = null) {
     try {
-      // Parse TTML/XML transcript data
-      // This is a simplified parser - in production you might want to use a proper XML parser
-      const text = ttmlData.toString();
+      const text = captionData.toString();
+      const { cues } = parseCaptions(text, format);
       
-      // Extract text content and timestamps
-      const sentences = [];
-      const timeRegex = /<p begin="([^"]+)"[^>]*>([^<]+)<\/p>/g;
-      let match;
-      
-      while ((match = timeRegex.exec(text)) !== null) {
-        const timestamp = this.parseTimestamp(match[1]);
-        const content = match[2].replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>');
-        
-        sentences.push({
-          timestamp: timestamp,
-          text: content.trim()
-        });
-      }
+      const sentences = cues.map(cue => ({
+        timestamp: cue.begin,
+        end: cue.end,
+        text: cue.text.replace(/\s+/g, ' '),
+        speaker: cue.speaker
+      }));
 
       if (sentences.length === 0) {
-        // Fallback: extract all text content if timestamp parsing fails
-        const cleanText = text.replace(/<[^>]*>/g, ' ')
-          .replace(/&amp;/g, '&')
-          .replace(/&lt;/g, '<')
-          .replace(/&gt;/g, '>')
+        // Fallback: extract all text content if no cues could be parsed
+        const cleanText = decodeEntities(text.replace(/<[^>]*>/g, ' '))
           .replace(/\s+/g, ' ')
           .trim();
         
         if (cleanText) {
           return {
             fullText: cleanText,
-            sentences: [{ timestamp: 0, text: cleanText }],
+            sentences: [{ timestamp: 0, end: null, text: cleanText, speaker: null }],
             duration: 0
           };
         }
       }
 
       const fullText = sentences.map(s => s.text).join(' ');
-      const duration = sentences.length > 0 ? sentences[sentences.length - 1].timestamp : 0;
+      const duration = sentences.reduce((latest, s) => Math.max(latest, s.end ?? s.timestamp), 0);
 
       return {
         fullText: fullText,
@@ -352,26 +956,18 @@ class YouTubeChannelAnalyzer {
   }
 
   parseTimestamp(timeStr) {
-    // Parse timestamp like "00:01:30.500" to seconds
-    try {
-      const parts = timeStr.split(':');
-      if (parts.length === 3) {
-        const hours = parseInt(parts[0]) || 0;
-        const minutes = parseInt(parts[1]) || 0;
-        const seconds = parseFloat(parts[2]) || 0;
-        return hours * 3600 + minutes * 60 + seconds;
-      }
-      return 0;
-    } catch (error) {
-      return 0;
-    }
+    // Parse TTML/WebVTT/SRT time expressions ("00:01:30.500", "12.5s", "300t") to seconds
+    return parseTimeExpression(timeStr) ?? 0;
   }
 
   performAnalysis(data) {
     console.log('🔍 Performing comprehensive channel analysis...');
     
-    const { channel, videos, playlists, transcripts, analysisMetadata } = data;
+    const { channel, videos, playlists, transcripts, comments, warnings, analysisMetadata, historyRecords } = data;
     const stats = channel.statistics;
+    
+    // Ages and recency are measured from when the data was fetched, so replaying a snapshot gives the same scores
+    this.referenceTime = Date.parse(analysisMetadata?.fetchedAt) || Date.now();
     const snippet = channel.snippet;
     
     // LOG THE ACTUAL DATA BEING ANALYZED
@@ -381,6 +977,7 @@ class YouTubeChannelAnalyzer {
     console.log(`   📈 Coverage: ${analysisMetadata?.coveragePercentage || 'Unknown'}%`);
     console.log(`   🎤 Videos with transcripts: ${Object.keys(transcripts || {}).length}`);
     console.log(`   📝 Playlists found: ${playlists.length}`);
+    console.log(`   📐 Rules profile: ${this.rules.profile}${this.rules.source ? ` (${this.rules.source})` : ''}`);
     
     // Validate we have enough data
     if (videos.length < 10) {
@@ -413,9 +1010,13 @@ class YouTubeChannelAnalyzer {
     const videoAnalysis = videos.map(video => this.analyzeVideoComprehensive(video, transcripts));
     
     const brandingAnalysis = this.analyzeBrandingComprehensive(channel, brandingSettings);
-    const contentStrategy = this.analyzeContentStrategyComprehensive(videoAnalysis, snippet);
-    const seoAnalysis = this.analyzeSEOComprehensive(videoAnalysis);
+    const contentStrategy = this.analyzeContentStrategyComprehensive(videoAnalysis, snippet, transcripts);
+    const videoPerformance = this.analyzeVideoPerformance(videoAnalysis);
+    const growth = this.analyzeGrowthComprehensive(videoAnalysis, historyRecords || []);
+    const seoAnalysis = this.analyzeSEOComprehensive(videoAnalysis, videoPerformance);
     const engagementSignals = this.analyzeEngagementSignalsComprehensive(videoAnalysis, subscriberCount);
+    const formatTracks = this.analyzeFormatTracks(videoAnalysis, engagementSignals);
+    const commentAnalysis = this.analyzeCommentsComprehensive(videoAnalysis, comments, channel.id);
     const contentQuality = this.analyzeContentQualityComprehensive(videoAnalysis);
     const playlistStructure = this.analyzePlaylistStructureComprehensive(playlists, videoAnalysis);
     
@@ -423,23 +1024,36 @@ class YouTubeChannelAnalyzer {
     const transcriptAnalysis = this.analyzeTranscriptsComprehensive(videoAnalysis, transcripts);
     
     return {
+      schemaVersion: ANALYSIS_SCHEMA_VERSION,
       timestamp: new Date().toISOString(),
       channel: {
+        id: channel.id,
         name: snippet.title,
         description: snippet.description,
         subscriberCount,
         totalViews,
         videoCount,
         createdAt: snippet.publishedAt,
-        thumbnailUrl: snippet.thumbnails?.high?.url,
-        customUrl: snippet.customUrl,
-        country: snippet.country
+        // Optional on the API side; null keeps them present in the saved result
+        thumbnailUrl: snippet.thumbnails?.high?.url ?? null,
+        customUrl: snippet.customUrl ?? null,
+        country: snippet.country ?? null
       },
       analysisMetadata: analysisMetadata,
+      rules: {
+        profile: this.rules.profile,
+        description: this.rules.description || null,
+        source: this.rules.source || 'built-in'
+      },
+      warnings: warnings || [],
       brandingIdentity: brandingAnalysis,
       contentStrategy: contentStrategy,
       seoMetadata: seoAnalysis,
       engagementSignals: engagementSignals,
+      formatTracks: formatTracks,
+      videoPerformance: videoPerformance,
+      growth: growth,
+      commentAnalysis: commentAnalysis,
       contentQuality: contentQuality,
       playlistStructure: playlistStructure,
       transcriptAnalysis: transcriptAnalysis,
@@ -448,6 +1062,7 @@ class YouTubeChannelAnalyzer {
         contentStrategyScore: contentStrategy.overallScore,
         seoScore: seoAnalysis.overallScore,
         engagementScore: engagementSignals.overallScore,
+        commentScore: commentAnalysis.overallScore,
         contentQualityScore: contentQuality.overallScore,
         playlistScore: playlistStructure.overallScore,
         transcriptScore: transcriptAnalysis.overallScore
@@ -457,11 +1072,15 @@ class YouTubeChannelAnalyzer {
         content: contentStrategy,
         seo: seoAnalysis,
         engagement: engagementSignals,
+        performance: videoPerformance,
+        formats: formatTracks,
+        growth: growth,
+        comments: commentAnalysis,
         quality: contentQuality,
         playlists: playlistStructure,
         transcripts: transcriptAnalysis
-      }),
-      videos: videoAnalysis.slice(0, 15),
+      }).slice(0, 10),
+      videos: videoAnalysis,
       analysisDate: new Date().toISOString()
     };
   }
@@ -492,10 +1111,12 @@ class YouTubeChannelAnalyzer {
     }
     
     const duration = this.parseDuration(contentDetails?.duration);
+    const format = this.classifyVideoFormat(duration, title, description);
+    const isShort = format === 'Short';
     
     // Transcript analysis for this video
     const transcript = transcripts ? transcripts[video.id] : null;
-    const transcriptAnalysis = transcript ? this.analyzeVideoTranscript(video, transcript) : null;
+    const transcriptAnalysis = this.analyzeVideoTranscript(video, transcript);
     
     return {
       id: video.id,
@@ -510,9 +1131,9 @@ class YouTubeChannelAnalyzer {
       duration,
       thumbnails: snippet.thumbnails,
       categoryId: snippet.categoryId,
-      titleAnalysis: this.analyzeTitleComprehensive(title),
-      descriptionAnalysis: this.analyzeDescriptionComprehensive(description),
-      tagsAnalysis: this.analyzeTagsComprehensive(tags),
+      titleAnalysis: this.analyzeTitleComprehensive(title, isShort),
+      descriptionAnalysis: this.analyzeDescriptionComprehensive(description, isShort),
+      tagsAnalysis: this.analyzeTagsComprehensive(tags, isShort),
       thumbnailAnalysis: this.analyzeThumbnailComprehensive(snippet.thumbnails),
       hasHook: this.detectHook(title, description),
       hasTimestamps: this.detectTimestamps(description),
@@ -521,7 +1142,7 @@ class YouTubeChannelAnalyzer {
       contentStructure: this.analyzeContentStructure(description),
       likeToViewRatio: views > 0 ? (likes / views) * 100 : 0,
       commentToViewRatio: views > 0 ? (comments / views) * 100 : 0,
-      format: this.classifyVideoFormat(duration, title),
+      format,
       transcriptAnalysis: transcriptAnalysis
     };
   }
@@ -539,45 +1160,82 @@ class YouTubeChannelAnalyzer {
     return hours * 3600 + minutes * 60 + seconds;
   }
 
-  analyzeTitleComprehensive(title) {
+  analyzeTitleComprehensive(title, isShort = false) {
+    if (isShort) return this.analyzeShortTitle(title);
+    
+    const { powerWords, searchPhrases } = this.rules.words;
+    const { minLength, maxLength, minWords } = this.rules.thresholds.title;
+    const lower = title.toLowerCase();
     let score = 0;
     
-    if (title.length >= 30 && title.length <= 60) score += 25;
-    else if (title.length > 60) score += 15;
+    if (title.length >= minLength && title.length <= maxLength) score += 25;
+    else if (title.length > maxLength) score += 15;
     else score += 10;
     
-    const words = title.toLowerCase().split(' ');
-    if (words.length >= 5) score += 20;
+    const words = lower.split(' ');
+    if (words.length >= minWords) score += 20;
     
-    const powerWords = ['ultimate', 'complete', 'best', 'guide', 'tutorial', 'how to', 'tips', 'secrets'];
-    if (powerWords.some(word => title.toLowerCase().includes(word))) score += 20;
+    if (powerWords.some(word => lower.includes(word))) score += 20;
     
     if (/\d/.test(title)) score += 15;
     if (title.includes('?')) score += 10;
-    if (title.toLowerCase().includes('how to') || title.toLowerCase().includes('what is')) score += 10;
+    if (searchPhrases.some(phrase => lower.includes(phrase))) score += 10;
+    
+    return {
+      score: Math.min(score, 100),
+      length: title.length,
+      hasNumbers: /\d/.test(title),
+      hasPowerWords: powerWords.some(word => lower.includes(word)),
+      isQuestion: title.includes('?'),
+      naturalLanguage: searchPhrases.some(phrase => lower.includes(phrase))
+    };
+  }
+
+  // Shorts titles sit over the video in the feed: short and punchy beats keyword-rich
+  analyzeShortTitle(title) {
+    const lower = title.toLowerCase();
+    const text = title.replace(/#[\w-]+/g, '').trim();
+    const { powerWords, searchPhrases } = this.rules.words;
+    const { minLength, maxLength, minWords } = this.rules.thresholds.shortsTitle;
+    let score = 0;
+    
+    if (text.length >= minLength && text.length <= maxLength) score += 35;
+    else if (text.length > maxLength && text.length <= maxLength + 20) score += 20;
+    else score += 10;
+    
+    if (text.split(/\s+/).filter(Boolean).length >= minWords) score += 20;
+    if (/\d/.test(text)) score += 15;
+    if (title.includes('?')) score += 15;
+    if (powerWords.some(word => lower.includes(word))) score += 10;
+    if (/#[\w-]+/.test(title)) score += 5;
     
     return {
       score: Math.min(score, 100),
       length: title.length,
       hasNumbers: /\d/.test(title),
-      hasPowerWords: powerWords.some(word => title.toLowerCase().includes(word)),
+      hasPowerWords: powerWords.some(word => lower.includes(word)),
       isQuestion: title.includes('?'),
-      naturalLanguage: title.toLowerCase().includes('how to') || title.toLowerCase().includes('what is')
+      naturalLanguage: searchPhrases.some(phrase => lower.includes(phrase)),
+      rules: 'shorts'
     };
   }
 
-  analyzeDescriptionComprehensive(description) {
+  analyzeDescriptionComprehensive(description, isShort = false) {
     if (!description) return { score: 0, issues: ['No description provided'] };
+    if (isShort) return this.analyzeShortDescription(description);
     
+    const { callToAction, socialPlatforms } = this.rules.words;
+    const { minLength } = this.rules.thresholds.description;
+    const lower = description.toLowerCase();
     let score = 0;
     const issues = [];
     const strengths = [];
     
-    if (description.length >= 200) {
+    if (description.length >= minLength) {
       score += 25;
       strengths.push('Good description length');
     } else {
-      issues.push('Description too short (aim for 200+ characters)');
+      issues.push(`Description too short (aim for ${minLength}+ characters)`);
     }
     
     if (description.includes('http')) {
@@ -599,15 +1257,14 @@ class YouTubeChannelAnalyzer {
       issues.push('No timestamps for navigation');
     }
     
-    const cta = ['subscribe', 'like', 'comment', 'share', 'bell'];
-    if (cta.some(word => description.toLowerCase().includes(word))) {
+    if (callToAction.some(word => lower.includes(word))) {
       score += 15;
       strengths.push('Has call-to-action');
     } else {
       issues.push('Missing call-to-action');
     }
     
-    if (description.includes('twitter') || description.includes('instagram')) {
+    if (socialPlatforms.some(platform => lower.includes(platform))) {
       score += 10;
       strengths.push('Links to social media');
     }
@@ -617,19 +1274,77 @@ class YouTubeChannelAnalyzer {
       length: description.length,
       hasLinks: description.includes('http'),
       hasTimestamps: /\d+:\d+/.test(description),
-      hasCallToAction: cta.some(word => description.toLowerCase().includes(word)),
+      hasCallToAction: callToAction.some(word => lower.includes(word)),
       strengths,
       issues
     };
   }
 
-  analyzeTagsComprehensive(tags) {
-    if (!tags || tags.length === 0) {
-      return { 
-        score: 0, 
-        count: 0, 
+  // Shorts descriptions are rarely read: judge hashtags and a pointer to related long-form content,
+  // not length or timestamps
+  analyzeShortDescription(description) {
+    const lower = description.toLowerCase();
+    const hashtags = description.match(/#[\w-]+/g) || [];
+    const { callToAction } = this.rules.words;
+    const { minLength, maxHashtags } = this.rules.thresholds.shortsDescription;
+    const linksLongForm = /youtu\.?be|full video|watch the full|long version/i.test(description);
+    let score = 0;
+    const issues = [];
+    const strengths = [];
+    
+    if (description.length >= minLength) {
+      score += 35;
+      strengths.push('Has a description');
+    } else {
+      issues.push('Description is nearly empty');
+    }
+    
+    if (hashtags.length >= 1 && hashtags.length <= maxHashtags) {
+      score += 30;
+      strengths.push('Uses a few focused hashtags');
+    } else if (hashtags.length > maxHashtags) {
+      score += 10;
+      issues.push(`Too many hashtags (keep to ${maxHashtags} or fewer)`);
+    } else {
+      issues.push('No hashtags');
+    }
+    
+    if (linksLongForm) {
+      score += 20;
+      strengths.push('Points viewers to related long-form content');
+    } else {
+      issues.push('No link to related long-form content');
+    }
+    
+    if (callToAction.some(word => lower.includes(word))) {
+      score += 15;
+      strengths.push('Has call-to-action');
+    }
+    
+    return {
+      score: Math.min(score, 100),
+      length: description.length,
+      hasLinks: description.includes('http'),
+      hasTimestamps: false,
+      hasCallToAction: callToAction.some(word => lower.includes(word)),
+      hashtagCount: hashtags.length,
+      linksLongForm,
+      strengths,
+      issues,
+      rules: 'shorts'
+    };
+  }
+
+  analyzeTagsComprehensive(tags, isShort = false) {
+    if (isShort) return this.analyzeShortTags(tags);
+    
+    const { minCount, optimalMin, optimalMax, longTailLength, nicheLength } = this.rules.thresholds.tags;
+    if (!tags || tags.length === 0) {
+      return { 
+        score: 0, 
+        count: 0, 
         issues: ['No tags provided'],
-        recommendations: ['Add 8-15 relevant tags per video']
+        recommendations: [`Add ${optimalMin}-${optimalMax} relevant tags per video`]
       };
     }
     
@@ -637,18 +1352,18 @@ class YouTubeChannelAnalyzer {
     const issues = [];
     const strengths = [];
     
-    if (tags.length >= 8 && tags.length <= 15) {
+    if (tags.length >= optimalMin && tags.length <= optimalMax) {
       score += 40;
       strengths.push('Good tag quantity');
-    } else if (tags.length >= 5) {
+    } else if (tags.length >= minCount) {
       score += 25;
-      issues.push('Could use more tags (aim for 8-15)');
+      issues.push(`Could use more tags (aim for ${optimalMin}-${optimalMax})`);
     } else {
-      issues.push('Too few tags (minimum 5 recommended)');
+      issues.push(`Too few tags (minimum ${minCount} recommended)`);
     }
     
-    const shortTags = tags.filter(tag => tag.length <= 15).length;
-    const longTags = tags.filter(tag => tag.length > 15).length;
+    const shortTags = tags.filter(tag => tag.length <= longTailLength).length;
+    const longTags = tags.filter(tag => tag.length > longTailLength).length;
     if (shortTags > 0 && longTags > 0) {
       score += 20;
       strengths.push('Good mix of short and long-tail tags');
@@ -659,7 +1374,7 @@ class YouTubeChannelAnalyzer {
       strengths.push('Includes long-tail keywords');
     }
     
-    if (tags.some(tag => tag.length > 20)) {
+    if (tags.some(tag => tag.length > nicheLength)) {
       score += 20;
       strengths.push('Has specific/niche tags');
     }
@@ -675,10 +1390,47 @@ class YouTubeChannelAnalyzer {
     };
   }
 
+  // Tags carry little weight for Shorts discovery; a handful of specific ones is enough
+  analyzeShortTags(tags) {
+    const count = tags?.length || 0;
+    const { minCount } = this.rules.thresholds.shortsTags;
+    const { nicheLength } = this.rules.thresholds.tags;
+    const issues = [];
+    const strengths = [];
+    let score = 40;
+    
+    if (count >= minCount) {
+      score += 30;
+      strengths.push('Has a few tags');
+    } else {
+      issues.push(`Add ${minCount}+ specific tags`);
+    }
+    if ((tags || []).some(tag => tag.includes(' '))) {
+      score += 15;
+      strengths.push('Includes long-tail keywords');
+    }
+    if ((tags || []).some(tag => tag.length > nicheLength)) {
+      score += 15;
+      strengths.push('Has specific/niche tags');
+    }
+    
+    return {
+      score: Math.min(score, 100),
+      count,
+      hasVariety: count > 0,
+      hasLongTail: (tags || []).some(tag => tag.includes(' ')),
+      strengths,
+      issues,
+      recommendations: count < minCount ? [`Add ${minCount}-${minCount + 2} specific tags`] : ['Good tag count for a Short'],
+      rules: 'shorts'
+    };
+  }
+
   getTagRecommendations(tagCount) {
+    const { minCount, optimalMin, optimalMax } = this.rules.thresholds.tags;
     if (tagCount === 0) return ['Add relevant tags to improve discoverability'];
-    if (tagCount < 5) return ['Add more tags (aim for 8-15 total)'];
-    if (tagCount > 15) return ['Too many tags may dilute relevance'];
+    if (tagCount < minCount) return [`Add more tags (aim for ${optimalMin}-${optimalMax} total)`];
+    if (tagCount > optimalMax) return ['Too many tags may dilute relevance'];
     return ['Good tag count - ensure they are all relevant'];
   }
 
@@ -709,9 +1461,9 @@ class YouTubeChannelAnalyzer {
 
   // Content quality helpers
   detectHook(title, description) {
-    const hookWords = ['ultimate', 'secret', 'mistake', 'never', 'always', 'best', 'worst', 'shocking'];
+    const { hookWords, hookPhrases } = this.rules.words;
     const titleHook = hookWords.some(word => title.toLowerCase().includes(word));
-    const descHook = description.toLowerCase().includes('in this video') || description.toLowerCase().includes('today we');
+    const descHook = hookPhrases.some(phrase => description.toLowerCase().includes(phrase));
     return titleHook || descHook;
   }
 
@@ -720,16 +1472,20 @@ class YouTubeChannelAnalyzer {
   }
 
   detectCallToAction(description) {
-    const cta = ['subscribe', 'like', 'comment', 'share', 'bell', 'notification'];
-    return cta.some(word => description.toLowerCase().includes(word));
+    const lower = description.toLowerCase();
+    return this.rules.words.callToAction.some(word => lower.includes(word));
   }
 
   detectLinks(description) {
     return /https?:\/\/[^\s]+/.test(description);
   }
 
-  classifyVideoFormat(duration, title) {
+  // Shorts can run up to 3 minutes (since October 2024), so anything up to 180s tagged #shorts counts too
+  classifyVideoFormat(duration, title, description = '') {
+    // parseDuration() gives 0 for live and upcoming streams (P0D) and for missing contentDetails
+    if (!(duration > 0)) return 'Live/Unknown';
     if (duration < 60) return 'Short';
+    if (duration <= 180 && /#shorts\b/i.test(`${title} ${description}`)) return 'Short';
     if (duration < 300) return 'Quick Tutorial';
     if (duration < 1200) return 'Standard';
     if (duration < 3600) return 'Long-form';
@@ -760,7 +1516,7 @@ class YouTubeChannelAnalyzer {
     };
   }
 
-  // Transcript analysis methods (simplified for space)
+  // Transcript analysis methods
   analyzeVideoTranscript(video, transcript) {
     if (!transcript || !transcript.fullText) {
       return {
@@ -769,17 +1525,229 @@ class YouTubeChannelAnalyzer {
       };
     }
 
+    const sentences = (transcript.sentences || []).filter(s => s.text);
+    const isTimestamped = sentences.length > 1;
+    const words = tokenize(transcript.fullText);
+    const wordCount = words.length;
+    
+    const videoDuration = this.parseDuration(video.contentDetails?.duration);
+    const lastSentence = sentences[sentences.length - 1];
+    const duration = videoDuration || lastSentence?.end || transcript.duration || 0;
+    const speakingMinutes = duration > 0 ? duration / 60 : 0;
+    const wordsPerMinute = isTimestamped && speakingMinutes > 0 ? wordCount / speakingMinutes : null;
+    
+    const titleKeywords = [...new Set(tokenize(video.snippet?.title).filter(token => !isStopword(token)))];
+    
+    const speechAnalysis = this.analyzeSpeechPace(sentences, duration, wordsPerMinute, transcript.fullText, wordCount);
+    const hookAnalysis = this.analyzeTranscriptHook(sentences, titleKeywords, isTimestamped);
+    const contentDelivery = this.analyzeSilenceGaps(sentences, wordsPerMinute, isTimestamped);
+    const structureAnalysis = this.analyzeTranscriptStructure(transcript.fullText, sentences, titleKeywords, duration);
+    const densityAnalysis = this.analyzeVocabulary(words);
+    
+    const scoredSections = [speechAnalysis, hookAnalysis, contentDelivery, structureAnalysis, densityAnalysis]
+      .filter(section => section.score !== null);
+    const overallScore = scoredSections.reduce((sum, section) => sum + section.score, 0) / scoredSections.length;
+
     return {
       available: true,
-      overallScore: 75, // Simplified scoring
-      hookAnalysis: { score: 70 },
-      speechAnalysis: { score: 80, wordsPerMinute: 150, fillerRate: 2 },
-      contentDelivery: { score: 75, deliveryRate: 80 },
-      structureAnalysis: { score: 70 },
-      densityAnalysis: { score: 75 },
-      wordCount: transcript.fullText.split(' ').length,
-      duration: transcript.duration || 0,
-      transcriptQuality: transcript.sentences?.length > 0 ? 'Timestamped' : 'Basic'
+      overallScore,
+      hookAnalysis,
+      speechAnalysis,
+      contentDelivery,
+      structureAnalysis,
+      densityAnalysis,
+      wordCount,
+      duration,
+      source: transcript.source || null,
+      transcriptQuality: isTimestamped ? 'Timestamped' : 'Basic'
+    };
+  }
+
+  analyzeSpeechPace(sentences, duration, wordsPerMinute, fullText, wordCount) {
+    const fillerPatterns = {
+      um: /\b(?:um+|umm+)\b/g,
+      uh: /\b(?:uh+|uhm+|erm+)\b/g,
+      // Only "like" set off as a filler ("um like", "like, ...", "..., like"), not "I like this" or "like and subscribe"
+      like: /\b(?:um+|uh+),?\s+like\b|\blike,|,\s*like\b(?!\s+and\b)/g,
+      'you know': /\byou know\b/g
+    };
+    
+    const lowerText = fullText.toLowerCase();
+    const fillerCounts = {};
+    let fillerTotal = 0;
+    Object.entries(fillerPatterns).forEach(([filler, pattern]) => {
+      fillerCounts[filler] = (lowerText.match(pattern) || []).length;
+      fillerTotal += fillerCounts[filler];
+    });
+    const fillerRate = wordCount > 0 ? (fillerTotal / wordCount) * 100 : 0;
+    
+    // Words per minute in buckets of at least a minute, capped at 20 buckets for long videos
+    const wpmOverTime = [];
+    if (wordsPerMinute !== null && duration > 0) {
+      const bucketSeconds = Math.max(60, Math.ceil(duration / 20));
+      for (let start = 0; start < duration; start += bucketSeconds) {
+        const end = Math.min(start + bucketSeconds, duration);
+        const bucketWords = sentences
+          .filter(s => s.timestamp >= start && s.timestamp < end)
+          .reduce((sum, s) => sum + tokenize(s.text).length, 0);
+        wpmOverTime.push({ start, end, wordsPerMinute: bucketWords / ((end - start) / 60) });
+      }
+    }
+    
+    const spokenBuckets = wpmOverTime.filter(bucket => bucket.wordsPerMinute > 0);
+    const bucketMean = spokenBuckets.reduce((sum, b) => sum + b.wordsPerMinute, 0) / spokenBuckets.length || 0;
+    const bucketStdDev = Math.sqrt(
+      spokenBuckets.reduce((sum, b) => sum + (b.wordsPerMinute - bucketMean) ** 2, 0) / spokenBuckets.length || 0
+    );
+    const paceVariation = bucketMean > 0 ? bucketStdDev / bucketMean : null;
+    
+    let score = null;
+    if (wordsPerMinute !== null) {
+      if (wordsPerMinute >= 130 && wordsPerMinute <= 170) score = 100;
+      else if (wordsPerMinute >= 110 && wordsPerMinute <= 190) score = 80;
+      else if (wordsPerMinute >= 90 && wordsPerMinute <= 210) score = 60;
+      else score = 40;
+      
+      if (fillerRate > 3) score -= 25;
+      else if (fillerRate > 1.5) score -= 10;
+      score = Math.max(score, 0);
+    }
+    
+    return {
+      score,
+      wordsPerMinute,
+      wordsPerMinuteOverTime: wpmOverTime,
+      paceVariation,
+      fillerRate,
+      fillerCount: fillerTotal,
+      fillerCounts
+    };
+  }
+
+  analyzeTranscriptHook(sentences, titleKeywords, isTimestamped) {
+    if (!isTimestamped) {
+      return { score: null, reason: 'Transcript has no timestamps' };
+    }
+    
+    const spokenWithin = seconds => sentences
+      .filter(s => s.timestamp < seconds)
+      .map(s => s.text)
+      .join(' ');
+    
+    const first15Text = spokenWithin(15);
+    const first30Text = spokenWithin(30);
+    const first30Tokens = new Set(tokenize(first30Text));
+    const titleKeywordsInHook = titleKeywords.filter(keyword => first30Tokens.has(keyword));
+    const firstWordsAt = sentences[0]?.timestamp || 0;
+    
+    const wordsInFirst15Seconds = tokenize(first15Text).length;
+    const wordsInFirst30Seconds = tokenize(first30Text).length;
+    
+    let score = 0;
+    if (wordsInFirst15Seconds >= 25) score += 40;
+    else if (wordsInFirst15Seconds >= 10) score += 25;
+    else if (wordsInFirst15Seconds > 0) score += 10;
+    
+    if (titleKeywords.length > 0) {
+      score += (titleKeywordsInHook.length / titleKeywords.length) * 40;
+    } else {
+      score += 20;
+    }
+    
+    if (firstWordsAt <= 3) score += 20;
+    else if (firstWordsAt <= 8) score += 10;
+    
+    return {
+      score: Math.min(score, 100),
+      firstWordsAtSeconds: firstWordsAt,
+      wordsInFirst15Seconds,
+      wordsInFirst30Seconds,
+      titleKeywordsInHook,
+      first15SecondsText: first15Text
+    };
+  }
+
+  analyzeSilenceGaps(sentences, wordsPerMinute, isTimestamped) {
+    if (!isTimestamped || !wordsPerMinute) {
+      return { score: null, reason: 'Transcript has no timestamps' };
+    }
+    
+    // Without cue end times, estimate when each sentence finishes from the average speaking rate
+    const secondsPerWord = 60 / wordsPerMinute;
+    const gaps = [];
+    for (let i = 1; i < sentences.length; i++) {
+      const previous = sentences[i - 1];
+      const spokenUntil = previous.end ?? previous.timestamp + tokenize(previous.text).length * secondsPerWord;
+      const gap = sentences[i].timestamp - spokenUntil;
+      if (gap >= 2) gaps.push({ at: spokenUntil, seconds: gap });
+    }
+    
+    const totalSilenceSeconds = gaps.reduce((sum, g) => sum + g.seconds, 0);
+    const longGaps = gaps.filter(g => g.seconds >= 5);
+    const longestGap = gaps.reduce((longest, g) => (!longest || g.seconds > longest.seconds ? g : longest), null);
+    
+    const score = Math.max(100 - longGaps.length * 10 - Math.min(gaps.length, 20), 0);
+    
+    return {
+      score,
+      silenceGapCount: gaps.length,
+      longSilenceGapCount: longGaps.length,
+      totalSilenceSeconds,
+      longestSilenceGap: longestGap,
+      deliveryRate: Math.max(100 - longGaps.length * 10, 0)
+    };
+  }
+
+  analyzeTranscriptStructure(fullText, sentences, titleKeywords, duration) {
+    const spokenTokens = new Set(tokenize(fullText));
+    const titleKeywordsMentioned = titleKeywords.filter(keyword => spokenTokens.has(keyword));
+    const titleKeywordCoverage = titleKeywords.length > 0 ? (titleKeywordsMentioned.length / titleKeywords.length) * 100 : null;
+    
+    const closingText = duration > 0 && sentences.length > 1
+      ? sentences.filter(s => s.timestamp >= duration - 60).map(s => s.text).join(' ')
+      : fullText.slice(-500);
+    const hasSpokenCallToAction = this.detectCallToAction(closingText);
+    
+    let score = titleKeywordCoverage !== null ? titleKeywordCoverage * 0.7 : 50;
+    if (hasSpokenCallToAction) score += 30;
+    
+    return {
+      score: Math.min(score, 100),
+      titleKeywords,
+      titleKeywordsMentioned,
+      titleKeywordCoverage,
+      hasSpokenCallToAction
+    };
+  }
+
+  analyzeVocabulary(words) {
+    const uniqueWords = new Set(words).size;
+    const typeTokenRatio = words.length > 0 ? uniqueWords / words.length : 0;
+    
+    // Moving-average type/token ratio, which unlike plain TTR does not drop as transcripts get longer
+    const windowSize = 100;
+    let movingAverageTTR = typeTokenRatio;
+    if (words.length > windowSize) {
+      let total = 0;
+      let windows = 0;
+      for (let i = 0; i + windowSize <= words.length; i += 10) {
+        total += new Set(words.slice(i, i + windowSize)).size / windowSize;
+        windows++;
+      }
+      movingAverageTTR = total / windows;
+    }
+    
+    let score;
+    if (movingAverageTTR >= 0.7) score = 100;
+    else if (movingAverageTTR >= 0.6) score = 85;
+    else if (movingAverageTTR >= 0.5) score = 70;
+    else score = 50;
+    
+    return {
+      score,
+      uniqueWords,
+      typeTokenRatio,
+      movingAverageTypeTokenRatio: movingAverageTTR
     };
   }
 
@@ -791,67 +1759,1376 @@ class YouTubeChannelAnalyzer {
         overallScore: 0,
         transcriptsAvailable: 0,
         coveragePercentage: 0,
+        sources: this.countTranscriptSources(transcripts),
+        averages: {
+          wordsPerMinute: null,
+          fillerRate: null,
+          wordsInFirst15Seconds: null,
+          titleKeywordCoverage: null,
+          vocabularyRichness: null,
+          longSilenceGaps: null
+        },
         insights: ['No transcripts available for analysis'],
         recommendations: [
-          'Enable auto-generated captions on YouTube',
-          'Consider adding manual captions for better accuracy'
+          {
+            priority: 'Low',
+            category: 'Captions',
+            action: 'Enable auto-generated captions on YouTube'
+          },
+          {
+            priority: 'Low',
+            category: 'Captions',
+            action: 'Consider adding manual captions for better accuracy'
+          }
         ]
       };
     }
 
+    const transcriptAnalyses = videosWithTranscripts.map(v => v.transcriptAnalysis);
+    const average = values => {
+      const present = values.filter(value => value !== null && value !== undefined);
+      return present.length > 0 ? present.reduce((sum, value) => sum + value, 0) / present.length : null;
+    };
+    
+    const averageWordsPerMinute = average(transcriptAnalyses.map(t => t.speechAnalysis.wordsPerMinute));
+    const averageFillerRate = average(transcriptAnalyses.map(t => t.speechAnalysis.fillerRate));
+    const averageWordsInFirst15Seconds = average(transcriptAnalyses.map(t => t.hookAnalysis.wordsInFirst15Seconds));
+    const averageTitleKeywordCoverage = average(transcriptAnalyses.map(t => t.structureAnalysis.titleKeywordCoverage));
+    const averageVocabularyRichness = average(transcriptAnalyses.map(t => t.densityAnalysis.movingAverageTypeTokenRatio));
+    const averageLongSilenceGaps = average(transcriptAnalyses.map(t => t.contentDelivery.longSilenceGapCount));
+    const slowStarts = videosWithTranscripts.filter(v => v.transcriptAnalysis.hookAnalysis.firstWordsAtSeconds > 8);
+    
+    const insights = [];
+    const recommendations = [];
+    
+    if (averageWordsPerMinute !== null) {
+      insights.push(`Average speaking pace is ${Math.round(averageWordsPerMinute)} words per minute`);
+      if (averageWordsPerMinute > 190) {
+        recommendations.push({
+          priority: 'Medium',
+          category: 'Speech Delivery',
+          action: `Slow down delivery - ${Math.round(averageWordsPerMinute)} words per minute is hard to follow (aim for 130-170)`
+        });
+      } else if (averageWordsPerMinute < 110) {
+        recommendations.push({
+          priority: 'Medium',
+          category: 'Speech Delivery',
+          action: `Tighten pacing - ${Math.round(averageWordsPerMinute)} words per minute suggests long pauses or slow delivery (aim for 130-170)`
+        });
+      }
+    }
+    
+    if (averageFillerRate !== null) {
+      insights.push(`Filler words make up ${averageFillerRate.toFixed(1)}% of spoken words`);
+      if (averageFillerRate > 3) {
+        recommendations.push({
+          priority: 'Medium',
+          category: 'Speech Delivery',
+          action: `Cut filler words ("um", "uh", "like", "you know") in editing - ${averageFillerRate.toFixed(1)} per 100 words`
+        });
+      }
+    }
+    
+    if (averageWordsInFirst15Seconds !== null) {
+      insights.push(`On average ${Math.round(averageWordsInFirst15Seconds)} words are spoken in the first 15 seconds`);
+    }
+    
+    if (slowStarts.length > 0) {
+      recommendations.push({
+        priority: 'High',
+        category: 'Video Hooks',
+        action: `Start talking sooner - ${slowStarts.length} of ${videosWithTranscripts.length} videos have no speech in the first 8 seconds`
+      });
+    }
+    
+    if (averageTitleKeywordCoverage !== null) {
+      insights.push(`Videos mention ${averageTitleKeywordCoverage.toFixed(0)}% of their title keywords out loud`);
+      if (averageTitleKeywordCoverage < 50) {
+        recommendations.push({
+          priority: 'Medium',
+          category: 'Video Hooks',
+          action: 'Say the title keywords early in the video so the content matches what the title promised'
+        });
+      }
+    }
+    
+    if (averageLongSilenceGaps !== null && averageLongSilenceGaps > 3) {
+      recommendations.push({
+        priority: 'Low',
+        category: 'Speech Delivery',
+        action: `Trim dead air - videos average ${averageLongSilenceGaps.toFixed(1)} silent stretches of 5+ seconds`
+      });
+    }
+
     return {
-      overallScore: 75,
+      overallScore: average(transcriptAnalyses.map(t => t.overallScore)),
       transcriptsAvailable: videosWithTranscripts.length,
       coveragePercentage: parseFloat(((videosWithTranscripts.length / videoAnalyses.length) * 100).toFixed(1)),
-      insights: ['Good speech patterns detected', 'Content delivery is consistent'],
-      recommendations: []
+      sources: this.countTranscriptSources(transcripts),
+      averages: {
+        wordsPerMinute: averageWordsPerMinute,
+        fillerRate: averageFillerRate,
+        wordsInFirst15Seconds: averageWordsInFirst15Seconds,
+        titleKeywordCoverage: averageTitleKeywordCoverage,
+        vocabularyRichness: averageVocabularyRichness,
+        longSilenceGaps: averageLongSilenceGaps
+      },
+      insights,
+      recommendations
+    };
+  }
+
+  // Comment analysis
+  analyzeCommentsComprehensive(videos, comments, channelId) {
+    const sampledVideos = videos.filter(v => comments?.[v.id]);
+    const disabledCount = sampledVideos.filter(v => comments[v.id].disabled).length;
+    const threads = sampledVideos.flatMap(v => comments[v.id].threads.map(thread => ({ ...thread, videoId: v.id })));
+    const audienceThreads = threads.filter(thread => thread.authorChannelId !== channelId);
+    
+    if (audienceThreads.length === 0) {
+      return {
+        overallScore: 0,
+        videosSampled: sampledVideos.length,
+        commentsDisabledCount: disabledCount,
+        commentsAnalyzed: 0,
+        insights: ['No comments available for analysis'],
+        recommendations: disabledCount > 0 ? [{
+          priority: 'Medium',
+          category: 'Community',
+          action: `Turn comments back on - they are disabled on ${disabledCount} of ${sampledVideos.length} sampled videos`
+        }] : []
+      };
+    }
+    
+    // Sentiment
+    const scored = audienceThreads.map(thread => ({ ...thread, sentiment: scoreSentiment(thread.text) }));
+    const sentimentCounts = { Positive: 0, Neutral: 0, Negative: 0 };
+    scored.forEach(thread => sentimentCounts[thread.sentiment.label]++);
+    const positiveShare = (sentimentCounts.Positive / scored.length) * 100;
+    const negativeShare = (sentimentCounts.Negative / scored.length) * 100;
+    const sentimentScore = Math.max(Math.min(50 + positiveShare - negativeShare * 2, 100), 0);
+    
+    // Questions and topic requests
+    const questions = scored.filter(thread => this.isAudienceQuestion(thread.text));
+    const recurringQuestions = this.findRecurringPhrases(questions);
+    const topicRequests = scored
+      .map(thread => ({ ...thread, requestedTopic: this.extractRequestedTopic(thread.text) }))
+      .filter(thread => thread.requestedTopic);
+    const requestedTopics = this.findRecurringPhrases(topicRequests.map(thread => ({ ...thread, text: thread.requestedTopic })), 1);
+    
+    // Creator replies; threads whose replies were truncated without showing one are left out of the rates
+    const repliedThreads = scored.filter(thread => thread.creatorReplied);
+    const knownThreads = scored.filter(thread => thread.creatorReplied !== null);
+    const replyRate = knownThreads.length > 0 ? (repliedThreads.length / knownThreads.length) * 100 : 0;
+    const unansweredQuestions = questions
+      .filter(thread => thread.creatorReplied === false)
+      .sort((a, b) => b.likeCount - a.likeCount);
+    const knownQuestions = questions.filter(thread => thread.creatorReplied !== null);
+    const questionReplyRate = knownQuestions.length > 0
+      ? ((knownQuestions.length - unansweredQuestions.length) / knownQuestions.length) * 100
+      : null;
+    const replyScore = Math.min(replyRate * 4, 100);
+    
+    // Conversation volume relative to views on the sampled videos
+    const sampledViews = sampledVideos.reduce((sum, v) => sum + v.views, 0);
+    const sampledComments = sampledVideos.reduce((sum, v) => sum + v.comments, 0);
+    const commentsPer1000Views = sampledViews > 0 ? (sampledComments / sampledViews) * 1000 : 0;
+    const conversationScore = Math.min(commentsPer1000Views * 20, 100);
+    
+    const overallScore = sentimentScore * 0.4 + replyScore * 0.35 + conversationScore * 0.25;
+    
+    const summarize = thread => ({
+      videoId: thread.videoId,
+      text: thread.text.length > 200 ? thread.text.substring(0, 197) + '...' : thread.text,
+      likeCount: thread.likeCount,
+      replyCount: thread.totalReplyCount,
+      creatorReplied: thread.creatorReplied,
+      sentiment: thread.sentiment.label
+    });
+    
+    const insights = [
+      `${positiveShare.toFixed(0)}% of comments are positive, ${negativeShare.toFixed(0)}% negative`,
+      `The creator replied to ${replyRate.toFixed(0)}% of comment threads`,
+      `${questions.length} of ${scored.length} comments ask a question`
+    ];
+    if (requestedTopics.length > 0) {
+      insights.push(`Most requested topics: ${requestedTopics.slice(0, 3).map(t => `"${t.phrase}"`).join(', ')}`);
+    }
+    
+    const recommendations = [];
+    
+    if (replyRate < 10) {
+      recommendations.push({
+        priority: 'Medium',
+        category: 'Community',
+        action: `Reply to more comments - only ${replyRate.toFixed(0)}% of threads have a creator reply, and early replies boost comment activity`
+      });
+    }
+    
+    if (unansweredQuestions.length >= 3) {
+      recommendations.push({
+        priority: 'Medium',
+        category: 'Community',
+        action: `Answer the ${unansweredQuestions.length} unanswered viewer questions, starting with the most liked: "${unansweredQuestions[0].text.substring(0, 80)}"`
+      });
+    }
+    
+    if (requestedTopics.length > 0) {
+      recommendations.push({
+        priority: 'Medium',
+        category: 'Content Ideas',
+        action: `Viewers are asking for videos about: ${requestedTopics.slice(0, 3).map(t => t.phrase).join(', ')}`
+      });
+    }
+    
+    if (recurringQuestions.length > 0) {
+      recommendations.push({
+        priority: 'Low',
+        category: 'Content Ideas',
+        action: `Cover recurring questions in a video or pinned comment: ${recurringQuestions.slice(0, 3).map(q => q.phrase).join(', ')}`
+      });
+    }
+    
+    if (negativeShare > 25) {
+      recommendations.push({
+        priority: 'High',
+        category: 'Community',
+        action: `${negativeShare.toFixed(0)}% of comments are negative - review them for recurring complaints (audio, clickbait, outdated content)`
+      });
+    }
+    
+    if (disabledCount > 0) {
+      recommendations.push({
+        priority: 'Low',
+        category: 'Community',
+        action: `Comments are disabled on ${disabledCount} of ${sampledVideos.length} sampled videos`
+      });
+    }
+    
+    return {
+      overallScore,
+      scoreExplanation: { score: overallScore, grade: this.getScoreGrade(overallScore) },
+      videosSampled: sampledVideos.length,
+      commentsDisabledCount: disabledCount,
+      commentsAnalyzed: scored.length,
+      sentiment: {
+        score: sentimentScore,
+        positivePercentage: positiveShare,
+        neutralPercentage: (sentimentCounts.Neutral / scored.length) * 100,
+        negativePercentage: negativeShare,
+        averageComparative: scored.reduce((sum, t) => sum + t.sentiment.comparative, 0) / scored.length
+      },
+      creatorReplies: {
+        score: replyScore,
+        replyRate,
+        threadsWithCreatorReply: repliedThreads.length,
+        questionReplyRate
+      },
+      conversation: {
+        score: conversationScore,
+        commentsPer1000Views
+      },
+      questions: {
+        count: questions.length,
+        recurring: recurringQuestions.slice(0, 10),
+        topUnanswered: unansweredQuestions.slice(0, 5).map(summarize)
+      },
+      requestedTopics: requestedTopics.slice(0, 10),
+      mostLikedComments: [...scored].sort((a, b) => b.likeCount - a.likeCount).slice(0, 10).map(summarize),
+      insights,
+      recommendations
+    };
+  }
+
+  isAudienceQuestion(text) {
+    const normalized = text.trim().toLowerCase();
+    return normalized.includes('?') ||
+      /^(how|what|why|when|where|which|who|can you|could you|will you|would you|do you|does|is there|are there|any tips)\b/.test(normalized);
+  }
+
+  extractRequestedTopic(text) {
+    const requestPatterns = [
+      /(?:can|could|would|will) you (?:please )?(?:make|do|create|cover|explain|show)(?: us)?(?: a)?(?: video| tutorial| part 2)?(?: on| about| for| of)? ([^.?!\n]{3,60})/i,
+      /please (?:make|do|create|cover)(?: a)?(?: video| tutorial)?(?: on| about| for| of)? ([^.?!\n]{3,60})/i,
+      /(?:next|future) video (?:on|about|should be about) ([^.?!\n]{3,60})/i,
+      /(?:would love|want|waiting for|hoping for)(?: to see)?(?: a)? (?:video|tutorial|part 2) (?:on|about|for|of) ([^.?!\n]{3,60})/i
+    ];
+    
+    for (const pattern of requestPatterns) {
+      const match = text.match(pattern);
+      if (match) return match[1].trim();
+    }
+    return null;
+  }
+
+  findRecurringPhrases(comments, minimumComments = 2) {
+    // Count each phrase once per comment so one long comment cannot make a phrase "recurring"
+    const phraseComments = new Map();
+    comments.forEach((comment, index) => {
+      new Set(extractNgrams(comment.text, 3)).forEach(phrase => {
+        if (!phraseComments.has(phrase)) phraseComments.set(phrase, new Set());
+        phraseComments.get(phrase).add(index);
+      });
+    });
+    
+    const ranked = [...phraseComments]
+      .filter(([, indexes]) => indexes.size >= minimumComments)
+      .map(([phrase, indexes]) => ({
+        phrase,
+        count: indexes.size,
+        likes: [...indexes].reduce((sum, index) => sum + (comments[index].likeCount || 0), 0)
+      }))
+      .sort((a, b) => b.count - a.count || b.phrase.split(' ').length - a.phrase.split(' ').length || b.likes - a.likes);
+    
+    // Keep the longest phrase of a family ("rest api" rather than "api" when they always co-occur)
+    const phrases = [];
+    ranked.forEach(candidate => {
+      const covered = phrases.some(kept =>
+        kept.count >= candidate.count && ` ${kept.phrase} `.includes(` ${candidate.phrase} `)
+      );
+      if (!covered) phrases.push(candidate);
+    });
+    
+    return phrases;
+  }
+
+  // Branding analysis
+  analyzeBrandingComprehensive(channel, brandingSettings) {
+    const snippet = channel.snippet || {};
+    const brandingChannel = brandingSettings.channel || {};
+    const keywords = this.parseChannelKeywords(brandingChannel.keywords);
+    
+    const channelName = this.analyzeChannelName(snippet.title || '', keywords);
+    const visualIdentity = this.analyzeVisualIdentity(snippet.thumbnails, brandingSettings.image);
+    const aboutSection = this.analyzeAboutSection(snippet.description || brandingChannel.description || '', keywords);
+    const channelKeywords = this.analyzeChannelKeywords(keywords);
+    const channelTrailer = this.analyzeChannelTrailer(brandingChannel.unsubscribedTrailer);
+    const localization = this.analyzeChannelLocalization(
+      snippet.country || brandingChannel.country,
+      snippet.defaultLanguage || brandingChannel.defaultLanguage
+    );
+    const customUrl = this.analyzeCustomUrl(snippet.customUrl);
+    
+    const overallScore = (
+      aboutSection.score * 0.25 +
+      visualIdentity.score * 0.2 +
+      channelKeywords.score * 0.15 +
+      channelTrailer.score * 0.15 +
+      channelName.score * 0.1 +
+      customUrl.score * 0.1 +
+      localization.score * 0.05
+    );
+    
+    return {
+      overallScore,
+      scoreExplanation: { score: overallScore, grade: this.getScoreGrade(overallScore) },
+      channelName,
+      visualIdentity,
+      aboutSection,
+      channelKeywords,
+      channelTrailer,
+      localization,
+      customUrl,
+      recommendations: [
+        ...visualIdentity.recommendations,
+        ...aboutSection.recommendations,
+        ...channelTrailer.recommendations,
+        ...channelKeywords.recommendations,
+        ...customUrl.recommendations,
+        ...channelName.recommendations,
+        ...localization.recommendations
+      ]
+    };
+  }
+
+  parseChannelKeywords(keywordsString) {
+    // brandingSettings.channel.keywords is space separated, with multi-word keywords in quotes
+    if (!keywordsString) return [];
+    
+    const keywords = [];
+    const keywordRegex = /"([^"]+)"|(\S+)/g;
+    let match;
+    
+    while ((match = keywordRegex.exec(keywordsString)) !== null) {
+      const keyword = (match[1] || match[2]).trim().toLowerCase();
+      if (keyword && !keywords.includes(keyword)) keywords.push(keyword);
+    }
+    
+    return keywords;
+  }
+
+  analyzeChannelName(name, keywords) {
+    const recommendations = [];
+    const words = name.trim().split(/\s+/).filter(Boolean);
+    
+    let clarity = 100;
+    if (name.length === 0) clarity = 0;
+    else if (name.length > 30) clarity = 50;
+    else if (name.length > 20) clarity = 75;
+    
+    let memorability = 100;
+    if (words.length > 3) memorability -= 30;
+    if (/\d/.test(name)) memorability -= 15;
+    if (/[^\p{L}\p{N}\s'&.-]/u.test(name)) memorability -= 20;
+    memorability = Math.max(memorability, 0);
+    
+    const nameLower = name.toLowerCase();
+    const matchingKeywords = keywords.filter(keyword =>
+      nameLower.includes(keyword) || keyword.split(' ').some(word => word.length > 3 && nameLower.includes(word))
+    );
+    const nicheAlignment = matchingKeywords.length > 0 ? 100 : 50;
+    
+    if (clarity < 75) {
+      recommendations.push({
+        priority: 'Low',
+        category: 'Channel Name',
+        action: `Shorten the channel name (currently ${name.length} characters) so it is not truncated in search results and suggestions`
+      });
+    }
+    
+    if (memorability < 70) {
+      recommendations.push({
+        priority: 'Low',
+        category: 'Channel Name',
+        action: 'Simplify the channel name - fewer words, numbers and symbols make it easier to remember and search for'
+      });
+    }
+    
+    return {
+      score: (clarity + memorability + nicheAlignment) / 3,
+      length: name.length,
+      wordCount: words.length,
+      clarity,
+      memorability,
+      nicheAlignment,
+      matchingKeywords,
+      recommendations
+    };
+  }
+
+  analyzeVisualIdentity(thumbnails, image) {
+    const recommendations = [];
+    
+    let profileImageQuality = 0;
+    if (thumbnails?.high) profileImageQuality = 100;
+    else if (thumbnails?.medium) profileImageQuality = 70;
+    else if (thumbnails?.default) profileImageQuality = 40;
+    
+    const bannerUrl = image?.bannerExternalUrl || null;
+    const bannerPresent = !!bannerUrl;
+    
+    if (profileImageQuality === 0) {
+      recommendations.push({
+        priority: 'High',
+        category: 'Profile Image',
+        action: 'Upload a profile image (800x800px) - it appears next to every video, comment and search result'
+      });
+    } else if (profileImageQuality < 100) {
+      recommendations.push({
+        priority: 'Medium',
+        category: 'Profile Image',
+        action: 'Upload a higher resolution profile image (800x800px recommended)'
+      });
+    }
+    
+    if (!bannerPresent) {
+      recommendations.push({
+        priority: 'High',
+        category: 'Channel Banner',
+        action: 'Add a channel banner (2560x1440px) that states what the channel is about and the upload schedule'
+      });
+    }
+    
+    return {
+      score: profileImageQuality * 0.4 + (bannerPresent ? 60 : 0),
+      profileImageQuality,
+      bannerPresent,
+      bannerUrl,
+      recommendations
+    };
+  }
+
+  analyzeAboutSection(description, keywords) {
+    const recommendations = [];
+    const descriptionLower = description.toLowerCase();
+    const aboveTheFold = descriptionLower.substring(0, 150);
+    
+    const keywordsInDescription = keywords.filter(keyword => descriptionLower.includes(keyword));
+    const keywordsAboveTheFold = keywords.filter(keyword => aboveTheFold.includes(keyword));
+    const keywordCoverage = keywords.length > 0 ? (keywordsInDescription.length / keywords.length) * 100 : 0;
+    
+    const hasLinks = this.detectLinks(description);
+    const hasContactInfo = /[\w.+-]+@[\w-]+\.[\w.]+/.test(description);
+    
+    let score = 0;
+    if (description.length >= 1000) score += 40;
+    else if (description.length >= 300) score += 30;
+    else if (description.length >= 100) score += 15;
+    else if (description.length > 0) score += 5;
+    
+    score += keywordCoverage * 0.3;
+    if (keywordsAboveTheFold.length > 0) score += 15;
+    if (hasLinks || hasContactInfo) score += 15;
+    
+    if (description.length === 0) {
+      recommendations.push({
+        priority: 'Critical',
+        category: 'About Section',
+        action: 'Write a channel description - it is indexed by YouTube search and shown on the About tab'
+      });
+    } else if (description.length < 300) {
+      recommendations.push({
+        priority: 'High',
+        category: 'About Section',
+        action: `Expand the channel description from ${description.length} to 300-1000 characters covering who the channel is for and what viewers will learn`
+      });
+    }
+    
+    if (keywords.length > 0 && keywordCoverage < 50) {
+      const missing = keywords.filter(keyword => !keywordsInDescription.includes(keyword)).slice(0, 5);
+      recommendations.push({
+        priority: 'Medium',
+        category: 'About Section',
+        action: `Mention your channel keywords in the description - missing: ${missing.join(', ')}`
+      });
+    }
+    
+    if (description.length > 0 && keywords.length > 0 && keywordsAboveTheFold.length === 0) {
+      recommendations.push({
+        priority: 'Medium',
+        category: 'About Section',
+        action: 'Put your main keyword in the first 150 characters of the description, which are shown in search results'
+      });
+    }
+    
+    if (description.length > 0 && !hasLinks && !hasContactInfo) {
+      recommendations.push({
+        priority: 'Low',
+        category: 'About Section',
+        action: 'Add links to your website or social profiles and a business contact email'
+      });
+    }
+    
+    return {
+      score: Math.min(score, 100),
+      descriptionLength: description.length,
+      keywordOptimized: keywordCoverage,
+      keywordsInDescription,
+      keywordsAboveTheFold,
+      hasLinks,
+      hasContactInfo,
+      recommendations
+    };
+  }
+
+  analyzeChannelKeywords(keywords) {
+    const recommendations = [];
+    const totalLength = keywords.join(' ').length;
+    
+    let score = 0;
+    if (keywords.length >= 5 && keywords.length <= 20) score = 100;
+    else if (keywords.length > 20) score = 70;
+    else if (keywords.length > 0) score = 40;
+    
+    if (keywords.length === 0) {
+      recommendations.push({
+        priority: 'High',
+        category: 'Channel Keywords',
+        action: 'Add 5-20 channel keywords in YouTube Studio (Settings > Channel > Basic info) describing your niche'
+      });
+    } else if (keywords.length < 5) {
+      recommendations.push({
+        priority: 'Medium',
+        category: 'Channel Keywords',
+        action: `Add more channel keywords - only ${keywords.length} set (aim for 5-20)`
+      });
+    } else if (keywords.length > 20) {
+      recommendations.push({
+        priority: 'Low',
+        category: 'Channel Keywords',
+        action: `Trim channel keywords from ${keywords.length} to the 20 most relevant to keep them focused`
+      });
+    }
+    
+    return {
+      score,
+      count: keywords.length,
+      totalLength,
+      keywords,
+      recommendations
+    };
+  }
+
+  analyzeChannelTrailer(trailerVideoId) {
+    const hasTrailer = !!trailerVideoId;
+    
+    return {
+      score: hasTrailer ? 100 : 0,
+      hasTrailer,
+      trailerVideoId: trailerVideoId || null,
+      recommendations: hasTrailer ? [] : [{
+        priority: 'High',
+        category: 'Channel Trailer',
+        action: 'Set a channel trailer for non-subscribers - a 30-60 second video explaining what the channel offers'
+      }]
+    };
+  }
+
+  analyzeChannelLocalization(country, defaultLanguage) {
+    const recommendations = [];
+    
+    if (!country) {
+      recommendations.push({
+        priority: 'Low',
+        category: 'Channel Settings',
+        action: 'Set the channel country in YouTube Studio so it is eligible for local recommendations'
+      });
+    }
+    
+    if (!defaultLanguage) {
+      recommendations.push({
+        priority: 'Low',
+        category: 'Channel Settings',
+        action: 'Set the channel default language so titles and descriptions are matched to the right audience'
+      });
+    }
+    
+    return {
+      score: (country ? 50 : 0) + (defaultLanguage ? 50 : 0),
+      country: country || null,
+      defaultLanguage: defaultLanguage || null,
+      recommendations
+    };
+  }
+
+  analyzeCustomUrl(customUrl) {
+    const hasCustomUrl = !!customUrl;
+    
+    return {
+      score: hasCustomUrl ? 100 : 0,
+      hasCustomUrl,
+      customUrl: customUrl || null,
+      recommendations: hasCustomUrl ? [] : [{
+        priority: 'Medium',
+        category: 'Custom URL',
+        action: 'Claim a handle / custom URL so the channel is easy to share and find'
+      }]
+    };
+  }
+
+  // Content strategy analysis
+  analyzeContentStrategyComprehensive(videos, channelSnippet, transcripts) {
+    const uploadPattern = this.analyzeUploadPattern(videos);
+    
+    const contentThemes = this.analyzeContentThemes(videos, transcripts);
+    const videoFormats = { diversityScore: 75 };
+    const targetAudience = { clarityScore: 70 };
+    
+    const overallScore = (
+      uploadPattern.consistencyScore * 0.4 +
+      contentThemes.clarityScore * 0.2 +
+      videoFormats.diversityScore * 0.2 +
+      targetAudience.clarityScore * 0.2
+    );
+    
+    return {
+      overallScore,
+      uploadPattern,
+      contentThemes,
+      videoFormats,
+      targetAudience,
+      recommendations: [...uploadPattern.recommendations, ...contentThemes.recommendations]
+    };
+  }
+
+  analyzeContentThemes(videos, transcripts) {
+    const boilerplateLines = this.findBoilerplateDescriptionLines(videos);
+    const documents = videos.map(video => {
+      const description = (video.description || '')
+        .split('\n')
+        .filter(line => !boilerplateLines.has(line.trim().toLowerCase()))
+        .join('\n');
+      
+      return [
+        { text: video.title, weight: 3 },
+        { text: (video.tags || []).join(', '), weight: 2 },
+        { text: description, weight: 1 },
+        { text: transcripts?.[video.id]?.fullText || '', weight: 0.5 }
+      ];
+    });
+    
+    const { tfidf, termFrequencies, documentFrequency } = computeTfIdf(documents);
+    const channelAverageViews = videos.reduce((sum, v) => sum + v.views, 0) / videos.length || 0;
+    const minimumVideos = Math.max(2, Math.ceil(videos.length * 0.05));
+    
+    const candidates = [];
+    documentFrequency.forEach((frequency, term) => {
+      if (frequency < minimumVideos) return;
+      
+      let score = 0;
+      let occurrences = 0;
+      let totalViews = 0;
+      const videoIds = [];
+      
+      videos.forEach((video, index) => {
+        if (!tfidf[index].has(term)) return;
+        score += tfidf[index].get(term);
+        occurrences += termFrequencies[index].get(term);
+        totalViews += video.views;
+        videoIds.push(video.id);
+      });
+      
+      // Multi-word phrases describe a topic better than the single words they contain
+      score *= 1 + (term.split(' ').length - 1) * 0.25;
+      const averageViews = totalViews / videoIds.length;
+      
+      candidates.push({
+        theme: term,
+        frequency,
+        occurrences,
+        score,
+        averageViews,
+        viewsVsChannelAverage: channelAverageViews > 0 ? averageViews / channelAverageViews : 0,
+        videoIds
+      });
+    });
+    
+    candidates.sort((a, b) => b.score - a.score);
+    
+    // Drop a candidate when a higher ranked theme contains it (or vice versa) and covers the same videos
+    const primaryThemes = [];
+    for (const candidate of candidates) {
+      if (primaryThemes.length >= 10) break;
+      
+      const redundant = primaryThemes.some(theme => {
+        const nested = ` ${theme.theme} `.includes(` ${candidate.theme} `) || ` ${candidate.theme} `.includes(` ${theme.theme} `);
+        if (!nested) return false;
+        const shared = candidate.videoIds.filter(id => theme.videoIds.includes(id)).length;
+        return shared / Math.min(candidate.videoIds.length, theme.videoIds.length) >= 0.8;
+      });
+      
+      if (!redundant) primaryThemes.push(candidate);
+    }
+    
+    const topThemeShare = primaryThemes.length > 0 && videos.length > 0
+      ? (primaryThemes[0].frequency / videos.length) * 100
+      : 0;
+    const coveredByTopThemes = new Set(primaryThemes.slice(0, 3).flatMap(theme => theme.videoIds));
+    const topThemesCoverage = videos.length > 0 ? (coveredByTopThemes.size / videos.length) * 100 : 0;
+    const clarityScore = Math.min(topThemesCoverage * 0.6 + topThemeShare * 0.4, 100);
+    
+    const recommendations = [];
+    
+    if (videos.length >= 5 && clarityScore < 50) {
+      recommendations.push({
+        priority: 'Medium',
+        category: 'Content Focus',
+        action: `Build the channel around 2-3 core topics - the top themes only cover ${topThemesCoverage.toFixed(0)}% of analyzed videos`
+      });
+    }
+    
+    const strongTheme = primaryThemes
+      .filter(theme => theme.frequency >= 3 && theme.viewsVsChannelAverage >= 1.5)
+      .sort((a, b) => b.viewsVsChannelAverage - a.viewsVsChannelAverage)[0];
+    if (strongTheme) {
+      recommendations.push({
+        priority: 'Medium',
+        category: 'Content Themes',
+        action: `Make more videos about "${strongTheme.theme}" - they average ${Math.round(strongTheme.averageViews).toLocaleString()} views (${strongTheme.viewsVsChannelAverage.toFixed(1)}x the channel average)`
+      });
+    }
+    
+    const weakTheme = primaryThemes
+      .filter(theme => theme.frequency >= 5 && theme.viewsVsChannelAverage < 0.5)
+      .sort((a, b) => a.viewsVsChannelAverage - b.viewsVsChannelAverage)[0];
+    if (weakTheme) {
+      recommendations.push({
+        priority: 'Low',
+        category: 'Content Themes',
+        action: `Rethink the angle on "${weakTheme.theme}" videos - ${weakTheme.frequency} uploads averaging ${weakTheme.viewsVsChannelAverage.toFixed(1)}x the channel average views`
+      });
+    }
+    
+    const transcriptsAnalyzed = videos.filter(v => transcripts?.[v.id]?.fullText).length;
+    
+    return {
+      clarityScore,
+      primaryThemes,
+      topThemeShare,
+      topThemesCoverage,
+      themeSource: ['titles', 'tags', 'descriptions', ...(transcriptsAnalyzed > 0 ? ['transcripts'] : [])].join(', '),
+      analysisDetails: {
+        titlesAnalyzed: videos.length,
+        descriptionsAnalyzed: videos.filter(v => v.description?.length > 50).length,
+        tagsAnalyzed: videos.filter(v => v.tags?.length > 0).length,
+        transcriptsAnalyzed,
+        boilerplateLinesRemoved: boilerplateLines.size
+      },
+      recommendations
+    };
+  }
+
+  findBoilerplateDescriptionLines(videos) {
+    // Lines repeated across many descriptions (social links, sponsor blurbs) are not topics
+    const lineCounts = new Map();
+    videos.forEach(video => {
+      const lines = new Set((video.description || '').split('\n').map(line => line.trim().toLowerCase()).filter(Boolean));
+      lines.forEach(line => lineCounts.set(line, (lineCounts.get(line) || 0) + 1));
+    });
+    
+    const threshold = Math.max(3, videos.length * 0.3);
+    return new Set([...lineCounts].filter(([, count]) => count >= threshold).map(([line]) => line));
+  }
+
+  analyzeUploadPattern(videos) {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    
+    const uploads = videos
+      .map(v => ({ date: new Date(v.publishedAt), isShort: v.format === 'Short' }))
+      .filter(u => !isNaN(u.date))
+      .sort((a, b) => a.date - b.date);
+    
+    const cadence = this.computeUploadCadence(uploads.map(u => u.date));
+    const recommendations = [];
+    
+    const dayOfWeekDistribution = Object.fromEntries(dayNames.map(day => [day, 0]));
+    const hourOfDayDistribution = new Array(24).fill(0);
+    uploads.forEach(u => {
+      dayOfWeekDistribution[dayNames[u.date.getUTCDay()]]++;
+      hourOfDayDistribution[u.date.getUTCHours()]++;
+    });
+    
+    const mostCommonDay = uploads.length > 0
+      ? Object.entries(dayOfWeekDistribution).sort((a, b) => b[1] - a[1])[0][0]
+      : null;
+    const mostCommonHourUTC = uploads.length > 0
+      ? hourOfDayDistribution.indexOf(Math.max(...hourOfDayDistribution))
+      : null;
+    const mostCommonDayShare = uploads.length > 0 ? (dayOfWeekDistribution[mostCommonDay] / uploads.length) * 100 : 0;
+    
+    // Recent cadence (last 90 days) vs. everything earlier in the sample, in uploads per week
+    const now = this.referenceTime ?? Date.now();
+    const recentWindowDays = 90;
+    const recentCutoff = now - recentWindowDays * DAY_MS;
+    const recentUploads = uploads.filter(u => u.date.getTime() >= recentCutoff);
+    const historicUploads = uploads.filter(u => u.date.getTime() < recentCutoff);
+    const historicSpanDays = historicUploads.length > 0
+      ? Math.max((recentCutoff - historicUploads[0].date.getTime()) / DAY_MS, 7)
+      : 0;
+    const recentPerWeek = recentUploads.length / (recentWindowDays / 7);
+    const historicPerWeek = historicSpanDays > 0 ? historicUploads.length / (historicSpanDays / 7) : null;
+    
+    let trendDirection = 'Insufficient data';
+    if (historicPerWeek !== null && historicUploads.length >= 3) {
+      const ratio = historicPerWeek > 0 ? recentPerWeek / historicPerWeek : 0;
+      if (ratio > 1.25) trendDirection = 'Increasing';
+      else if (ratio < 0.8) trendDirection = 'Decreasing';
+      else trendDirection = 'Stable';
+    }
+    
+    const daysSinceLastUpload = uploads.length > 0
+      ? Math.max((now - uploads[uploads.length - 1].date.getTime()) / DAY_MS, 0)
+      : null;
+    
+    const consistencyScore = this.scoreUploadConsistency(cadence, daysSinceLastUpload);
+    const frequency = this.getUploadFrequencyLabel(cadence.medianGapDays);
+    
+    if (cadence.gapCount >= 3 && cadence.coefficientOfVariation > 1) {
+      recommendations.push({
+        priority: 'High',
+        category: 'Upload Schedule',
+        action: `Upload on a predictable schedule - gaps between uploads range widely (median ${cadence.medianGapDays.toFixed(1)} days, longest ${cadence.longestHiatusDays.toFixed(0)} days)`
+      });
+    }
+    
+    if (cadence.medianGapDays !== null && daysSinceLastUpload > Math.max(cadence.medianGapDays * 3, 14)) {
+      recommendations.push({
+        priority: 'High',
+        category: 'Upload Schedule',
+        action: `No uploads for ${Math.round(daysSinceLastUpload)} days, well beyond the usual ${cadence.medianGapDays.toFixed(1)}-day gap - resume uploading to keep subscribers engaged`
+      });
+    }
+    
+    if (trendDirection === 'Decreasing') {
+      recommendations.push({
+        priority: 'Medium',
+        category: 'Upload Schedule',
+        action: `Upload frequency has dropped from ${historicPerWeek.toFixed(1)} to ${recentPerWeek.toFixed(1)} videos per week over the last ${recentWindowDays} days`
+      });
+    }
+    
+    if (uploads.length >= 10 && mostCommonDayShare < 30) {
+      recommendations.push({
+        priority: 'Low',
+        category: 'Upload Schedule',
+        action: 'Pick fixed upload days - uploads are spread evenly across the week, so viewers cannot anticipate new videos'
+      });
+    }
+    
+    return {
+      consistencyScore,
+      frequency,
+      uploadsAnalyzed: uploads.length,
+      ...cadence,
+      daysSinceLastUpload,
+      dayOfWeekDistribution,
+      hourOfDayDistributionUTC: hourOfDayDistribution,
+      mostCommonDay,
+      mostCommonHourUTC,
+      trend: {
+        direction: trendDirection,
+        recentWindowDays,
+        recentUploads: recentUploads.length,
+        recentUploadsPerWeek: recentPerWeek,
+        historicUploads: historicUploads.length,
+        historicUploadsPerWeek: historicPerWeek
+      },
+      byFormat: {
+        shorts: this.computeUploadCadence(uploads.filter(u => u.isShort).map(u => u.date)),
+        longForm: this.computeUploadCadence(uploads.filter(u => !u.isShort).map(u => u.date))
+      },
+      recommendations
+    };
+  }
+
+  computeUploadCadence(dates) {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const sorted = [...dates].sort((a, b) => a - b);
+    const gaps = [];
+    let longestHiatus = null;
+    
+    for (let i = 1; i < sorted.length; i++) {
+      const gap = (sorted[i] - sorted[i - 1]) / DAY_MS;
+      gaps.push(gap);
+      if (!longestHiatus || gap > longestHiatus.days) {
+        longestHiatus = { days: gap, from: sorted[i - 1].toISOString(), to: sorted[i].toISOString() };
+      }
+    }
+    
+    if (gaps.length === 0) {
+      return {
+        uploads: sorted.length,
+        gapCount: 0,
+        medianGapDays: null,
+        meanGapDays: null,
+        gapVarianceDays: null,
+        gapStdDevDays: null,
+        coefficientOfVariation: null,
+        longestHiatusDays: null,
+        longestHiatus: null,
+        uploadsPerWeek: null,
+        frequency: this.getUploadFrequencyLabel(null)
+      };
+    }
+    
+    const sortedGaps = [...gaps].sort((a, b) => a - b);
+    const middle = Math.floor(sortedGaps.length / 2);
+    const median = sortedGaps.length % 2 ? sortedGaps[middle] : (sortedGaps[middle - 1] + sortedGaps[middle]) / 2;
+    const mean = gaps.reduce((sum, g) => sum + g, 0) / gaps.length;
+    const variance = gaps.reduce((sum, g) => sum + (g - mean) ** 2, 0) / gaps.length;
+    const stdDev = Math.sqrt(variance);
+    const spanDays = (sorted[sorted.length - 1] - sorted[0]) / DAY_MS;
+    
+    return {
+      uploads: sorted.length,
+      gapCount: gaps.length,
+      medianGapDays: median,
+      meanGapDays: mean,
+      gapVarianceDays: variance,
+      gapStdDevDays: stdDev,
+      coefficientOfVariation: mean > 0 ? stdDev / mean : 0,
+      longestHiatusDays: longestHiatus.days,
+      longestHiatus,
+      uploadsPerWeek: spanDays > 0 ? (gaps.length / spanDays) * 7 : null,
+      frequency: this.getUploadFrequencyLabel(median)
+    };
+  }
+
+  scoreUploadConsistency(cadence, daysSinceLastUpload) {
+    if (cadence.gapCount < 2) return 0;
+    
+    // Regular gaps score high; irregular gaps, long hiatuses and a stalled channel pull it down
+    let score = 100 - Math.min(cadence.coefficientOfVariation * 40, 60);
+    
+    const hiatusRatio = cadence.medianGapDays > 0 ? cadence.longestHiatusDays / cadence.medianGapDays : 0;
+    if (hiatusRatio > 10) score -= 20;
+    else if (hiatusRatio > 5) score -= 10;
+    
+    if (daysSinceLastUpload !== null && daysSinceLastUpload > Math.max(cadence.medianGapDays * 3, 14)) {
+      score -= 20;
+    }
+    
+    return Math.max(Math.min(score, 100), 0);
+  }
+
+  getUploadFrequencyLabel(medianGapDays) {
+    if (medianGapDays === null || medianGapDays === undefined) return 'Insufficient data';
+    if (medianGapDays <= 1.5) return 'Daily';
+    if (medianGapDays <= 4) return 'Several times a week';
+    if (medianGapDays <= 10) return 'Weekly';
+    if (medianGapDays <= 20) return 'Bi-weekly';
+    if (medianGapDays <= 45) return 'Monthly';
+    return 'Infrequent';
+  }
+
+  // Age- and format-normalised performance: each video's views/day against the median views/day of the
+  // nearest uploads of the same format, so old videos and Shorts are not compared with everything else
+  analyzeVideoPerformance(videos) {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const MIN_AGE_DAYS = 3; // views/day is meaningless while a video is still in its launch spike
+    const NEIGHBOURS = 10;
+    const Z_THRESHOLD = 2;
+    const now = this.referenceTime ?? Date.now();
+    
+    const measured = videos
+      .map(video => {
+        const publishedTime = Date.parse(video.publishedAt);
+        const ageDays = Math.max((now - publishedTime) / DAY_MS, 0);
+        return { video, publishedTime, ageDays, viewsPerDay: video.views / Math.max(ageDays, 1) };
+      })
+      .sort((a, b) => a.publishedTime - b.publishedTime);
+    const eligible = measured.filter(m => m.ageDays >= MIN_AGE_DAYS);
+    
+    if (eligible.length < 6) {
+      return {
+        available: false,
+        reason: `Need at least 6 videos older than ${MIN_AGE_DAYS} days (found ${eligible.length})`,
+        videosMeasured: eligible.length,
+        overPerformers: [],
+        underPerformers: [],
+        sharedAttributes: { overPerformers: [], underPerformers: [] },
+        insights: [],
+        recommendations: []
+      };
+    }
+    
+    eligible.forEach(m => {
+      const sameFormat = eligible.filter(other => other !== m && other.video.format === m.video.format);
+      const pool = sameFormat.length >= 3 ? sameFormat : eligible.filter(other => other !== m);
+      const neighbours = [...pool]
+        .sort((a, b) => Math.abs(a.publishedTime - m.publishedTime) - Math.abs(b.publishedTime - m.publishedTime))
+        .slice(0, NEIGHBOURS);
+      
+      m.baselineScope = sameFormat.length >= 3 ? 'format' : 'channel';
+      m.baseline = this.medianOf(neighbours.map(n => n.viewsPerDay));
+      m.ratio = m.baseline > 0 ? m.viewsPerDay / m.baseline : null;
+      m.logRatio = Math.log((m.viewsPerDay + 1) / (m.baseline + 1));
+    });
+    
+    // Robust z-score of the log ratio (median/MAD), floored so a very uniform channel does not flag noise
+    const logRatios = eligible.map(m => m.logRatio);
+    const centre = this.medianOf(logRatios);
+    const spread = Math.max(1.4826 * this.medianOf(logRatios.map(value => Math.abs(value - centre))), 0.1);
+    
+    const records = measured.map(m => {
+      const record = {
+        id: m.video.id,
+        title: m.video.title,
+        format: m.video.format,
+        publishedAt: m.video.publishedAt,
+        ageDays: parseFloat(m.ageDays.toFixed(1)),
+        views: m.video.views,
+        viewsPerDay: parseFloat(m.viewsPerDay.toFixed(1)),
+        baselineViewsPerDay: null,
+        baselineScope: null,
+        performanceRatio: null,
+        zScore: null,
+        classification: 'Too recent'
+      };
+      
+      if (m.ageDays >= MIN_AGE_DAYS) {
+        const zScore = (m.logRatio - centre) / spread;
+        record.baselineViewsPerDay = parseFloat(m.baseline.toFixed(1));
+        record.baselineScope = m.baselineScope;
+        record.performanceRatio = m.ratio !== null ? parseFloat(m.ratio.toFixed(2)) : null;
+        record.zScore = parseFloat(zScore.toFixed(2));
+        if (zScore >= Z_THRESHOLD && (m.ratio === null || m.ratio >= 1.5)) record.classification = 'Over-performer';
+        else if (zScore <= -Z_THRESHOLD && m.ratio !== null && m.ratio <= 0.67) record.classification = 'Under-performer';
+        else record.classification = 'Typical';
+      }
+      
+      m.video.performance = record;
+      return record;
+    });
+    
+    const overPerformers = records.filter(r => r.classification === 'Over-performer').sort((a, b) => b.zScore - a.zScore);
+    const underPerformers = records.filter(r => r.classification === 'Under-performer').sort((a, b) => a.zScore - b.zScore);
+    const eligibleVideos = eligible.map(m => m.video);
+    const sharedAttributes = {
+      overPerformers: this.findSharedAttributes(overPerformers.map(r => videos.find(v => v.id === r.id)), eligibleVideos),
+      underPerformers: this.findSharedAttributes(underPerformers.map(r => videos.find(v => v.id === r.id)), eligibleVideos)
+    };
+    
+    const insights = [];
+    const recommendations = [];
+    const describe = attributes => attributes.slice(0, 3)
+      .map(a => `${a.attribute.toLowerCase()} (${a.groupPercentage.toFixed(0)}% vs ${a.channelPercentage.toFixed(0)}% overall)`)
+      .join(', ');
+    
+    if (overPerformers.length > 0) {
+      insights.push(`${overPerformers.length} videos significantly out-performed comparable uploads - best: "${overPerformers[0].title}" at ${overPerformers[0].performanceRatio}x the usual views/day`);
+    }
+    if (underPerformers.length > 0) {
+      insights.push(`${underPerformers.length} videos significantly under-performed comparable uploads`);
+    }
+    if (sharedAttributes.overPerformers.length > 0) {
+      recommendations.push({
+        priority: 'Medium',
+        category: 'Performance Patterns',
+        action: `Your over-performers share ${describe(sharedAttributes.overPerformers)} - lean into what already works on this channel`
+      });
+    }
+    if (sharedAttributes.underPerformers.length > 0) {
+      recommendations.push({
+        priority: 'Low',
+        category: 'Performance Patterns',
+        action: `Your under-performers share ${describe(sharedAttributes.underPerformers)} - test alternatives on upcoming uploads`
+      });
+    }
+    
+    return {
+      available: true,
+      method: `Views/day vs. median of the ${NEIGHBOURS} nearest same-format uploads; outliers at |z| >= ${Z_THRESHOLD} (robust z-score)`,
+      videosMeasured: eligible.length,
+      tooRecent: measured.length - eligible.length,
+      channelMedianViewsPerDay: parseFloat(this.medianOf(eligible.map(m => m.viewsPerDay)).toFixed(1)),
+      overPerformers: overPerformers.slice(0, 10),
+      underPerformers: underPerformers.slice(0, 10),
+      sharedAttributes,
+      insights,
+      recommendations
+    };
+  }
+
+  // Views-over-age curve for the catalogue, expected views for a new upload, per-video momentum and the
+  // 12-month trend in (age-adjusted) views per upload. Earlier audits add observations of the same videos
+  // at younger ages, and turn momentum from an estimate into a measurement.
+  analyzeGrowthComprehensive(videos, historyRecords = []) {
+    const now = this.referenceTime ?? Date.now();
+    const longForm = videos.filter(video => video.format !== 'Short');
+    const scopeVideos = longForm.length >= 8 ? longForm : videos;
+    const scopeIds = new Set(scopeVideos.map(video => video.id));
+    
+    const observations = scopeVideos.map(video => ({ ageDays: ageInDays(video.publishedAt, now), views: video.views }));
+    const historyObservations = [];
+    historyRecords.forEach(record => {
+      const recordedAt = Date.parse(record.recordedAt);
+      (record.videos || []).forEach(video => {
+        if (scopeIds.has(video.id)) {
+          historyObservations.push({ ageDays: ageInDays(video.publishedAt, recordedAt), views: video.views });
+        }
+      });
+    });
+    
+    const curve = observations.length >= 5 ? fitViewCurve([...observations, ...historyObservations]) : null;
+    if (!curve) {
+      return {
+        available: false,
+        reason: `Need at least 5 videos with views to fit a growth curve (found ${observations.length})`,
+        insights: [],
+        recommendations: []
+      };
+    }
+    
+    // Momentum needs a previous audit at least a day old to measure views gained since
+    const previous = [...historyRecords].reverse().find(record => (now - Date.parse(record.recordedAt)) / DAY_MS >= 1) || null;
+    const previousViews = previous ? new Map(previous.videos.map(video => [video.id, video.views])) : null;
+    const elapsedDays = previous ? (now - Date.parse(previous.recordedAt)) / DAY_MS : null;
+    
+    const momentum = videos.map(video => {
+      const ageDays = ageInDays(video.publishedAt, now);
+      const lifetimeViewsPerDay = video.views / Math.max(ageDays, 1);
+      const expected = expectedViewsAt(curve, ageDays);
+      const record = {
+        id: video.id,
+        title: video.title,
+        ageDays: parseFloat(ageDays.toFixed(1)),
+        views: video.views,
+        lifetimeViewsPerDay: parseFloat(lifetimeViewsPerDay.toFixed(1)),
+        viewsVsCurve: expected > 0 ? parseFloat((video.views / expected).toFixed(2)) : null,
+        recentViewsPerDay: null,
+        momentumRatio: null,
+        basis: 'estimated',
+        momentum: 'Launching'
+      };
+      
+      if (previousViews?.has(video.id) && elapsedDays > 0) {
+        const recentViewsPerDay = Math.max(video.views - previousViews.get(video.id), 0) / elapsedDays;
+        record.recentViewsPerDay = parseFloat(recentViewsPerDay.toFixed(1));
+        record.momentumRatio = lifetimeViewsPerDay > 0 ? parseFloat((recentViewsPerDay / lifetimeViewsPerDay).toFixed(2)) : null;
+        record.basis = 'observed';
+        record.momentum = classifyMomentum(record.momentumRatio);
+      } else if (ageDays >= 90) {
+        // Without history: far above the typical curve this late in life suggests steady long-tail traffic
+        if (record.viewsVsCurve >= 1.5 && ageDays >= 180) record.momentum = 'Evergreen';
+        else if (record.viewsVsCurve !== null && record.viewsVsCurve <= 0.5) record.momentum = 'Plateaued';
+        else record.momentum = 'Steady';
+      }
+      return record;
+    });
+    
+    const evergreen = momentum
+      .filter(record => record.momentum === 'Evergreen' || record.momentum === 'Accelerating')
+      .sort((a, b) => (b.recentViewsPerDay ?? b.lifetimeViewsPerDay) - (a.recentViewsPerDay ?? a.lifetimeViewsPerDay));
+    const plateaued = momentum.filter(record => record.momentum === 'Plateaued');
+    
+    // Views per upload by calendar month, adjusted to the views a video would have at 30 days old
+    const monthly = [];
+    const reference = new Date(now);
+    for (let offset = 11; offset >= 0; offset--) {
+      const start = Date.UTC(reference.getUTCFullYear(), reference.getUTCMonth() - offset, 1);
+      const end = Date.UTC(reference.getUTCFullYear(), reference.getUTCMonth() - offset + 1, 1);
+      const uploads = videos.filter(video => {
+        const published = Date.parse(video.publishedAt);
+        return published >= start && published < end;
+      });
+      const adjusted = uploads.map(video => video.views * expectedViewsAt(curve, 30) / expectedViewsAt(curve, ageInDays(video.publishedAt, now)));
+      monthly.push({
+        month: new Date(start).toISOString().slice(0, 7),
+        uploads: uploads.length,
+        medianViews: uploads.length > 0 ? Math.round(this.medianOf(uploads.map(video => video.views))) : null,
+        medianViewsAt30Days: uploads.length > 0 ? Math.round(this.medianOf(adjusted)) : null
+      });
+    }
+    
+    const trendPoints = monthly
+      .map((entry, index) => ({ x: index, y: entry.medianViewsAt30Days > 0 ? Math.log(entry.medianViewsAt30Days) : null }))
+      .filter(point => point.y !== null);
+    const trendFit = trendPoints.length >= 4 ? linearRegression(trendPoints) : null;
+    const monthlyChange = trendFit ? (Math.exp(trendFit.slope) - 1) * 100 : null;
+    let trendDirection = 'Insufficient data';
+    if (monthlyChange !== null) {
+      trendDirection = monthlyChange > 3 ? 'Increasing' : monthlyChange < -3 ? 'Decreasing' : 'Flat';
+    }
+    
+    const expectedViews = {
+      day7: Math.round(expectedViewsAt(curve, 7)),
+      day30: Math.round(expectedViewsAt(curve, 30)),
+      day90: Math.round(expectedViewsAt(curve, 90))
+    };
+    
+    const insights = [
+      `A typical ${longForm.length >= 8 ? 'long-form ' : ''}upload reaches ~${expectedViews.day7.toLocaleString()} views in a week, ~${expectedViews.day30.toLocaleString()} in a month and ~${expectedViews.day90.toLocaleString()} in 90 days`
+    ];
+    if (monthlyChange !== null) {
+      insights.push(`Age-adjusted views per upload are ${trendDirection.toLowerCase()} (${monthlyChange >= 0 ? '+' : ''}${monthlyChange.toFixed(1)}% per month over the last 12 months)`);
+    }
+    if (!previous) {
+      insights.push('Momentum is estimated from the catalogue - it will be measured once a previous audit exists');
+    }
+    
+    const recommendations = [];
+    if (trendDirection === 'Decreasing' && monthlyChange < -10) {
+      recommendations.push({
+        priority: 'High',
+        category: 'Growth',
+        action: `Views per upload are falling ~${Math.abs(monthlyChange).toFixed(0)}% a month (age-adjusted) - compare recent topics and packaging with what worked a year ago`
+      });
+    } else if (trendDirection === 'Decreasing') {
+      recommendations.push({
+        priority: 'Medium',
+        category: 'Growth',
+        action: `Views per upload are drifting down (${monthlyChange.toFixed(1)}% a month, age-adjusted) - watch the next uploads closely`
+      });
+    }
+    if (evergreen.length > 0) {
+      recommendations.push({
+        priority: 'Medium',
+        category: 'Growth',
+        action: `${evergreen.length} videos keep gaining views long after release (e.g. "${evergreen[0].title}") - make follow-ups and point end screens and playlists at them`
+      });
+    }
+    
+    return {
+      available: true,
+      model: {
+        formula: 'views = a * ageDays^b',
+        a: parseFloat(curve.a.toFixed(2)),
+        b: parseFloat(curve.b.toFixed(3)),
+        rSquared: parseFloat(curve.rSquared.toFixed(3)),
+        scope: longForm.length >= 8 ? 'long-form' : 'all formats',
+        catalogueObservations: observations.length,
+        historyObservations: historyObservations.length,
+        historyRuns: historyRecords.length
+      },
+      expectedViews,
+      momentumBasis: previous ? 'observed' : 'estimated',
+      momentumSince: previous?.recordedAt || null,
+      evergreenCount: evergreen.length,
+      plateauedCount: plateaued.length,
+      evergreen: evergreen.slice(0, 10),
+      plateaued: plateaued.sort((a, b) => a.viewsVsCurve - b.viewsVsCurve).slice(0, 10),
+      momentum,
+      monthlyTrend: {
+        months: monthly,
+        direction: trendDirection,
+        monthlyChangePercentage: monthlyChange !== null ? parseFloat(monthlyChange.toFixed(1)) : null
+      },
+      insights,
+      recommendations
     };
   }
 
-  // Analysis methods (simplified implementations)
-  analyzeBrandingComprehensive(channel, brandingSettings) {
-    return {
-      overallScore: 70,
-      channelName: { clarity: 80, memorability: 75, nicheAlignment: 70 },
-      visualIdentity: { profileImageQuality: 85, bannerPresent: true, bannerQuality: 80 },
-      aboutSection: { descriptionLength: 250, keywordOptimized: 75 },
-      recommendations: []
-    };
+  describeVideoAttributes(video) {
+    const title = video.title || '';
+    const tagCount = video.tags?.length || 0;
+    const attributes = [
+      title.length < 30 ? 'Short title (<30 chars)' : title.length <= 60 ? 'Title 30-60 chars' : 'Long title (>60 chars)',
+      `${video.format} format`,
+      tagCount === 0 ? 'No tags' : tagCount < 5 ? '1-4 tags' : '5+ tags'
+    ];
+    if (video.titleAnalysis?.hasNumbers) attributes.push('Number in title');
+    if (video.titleAnalysis?.isQuestion) attributes.push('Question title');
+    if (video.titleAnalysis?.hasPowerWords) attributes.push('Power word in title');
+    new Set((video.tags || []).map(tag => tag.toLowerCase())).forEach(tag => attributes.push(`Tag "${tag}"`));
+    return attributes;
   }
 
-  analyzeContentStrategyComprehensive(videos, channelSnippet) {
-    return {
-      overallScore: 65,
-      uploadPattern: { consistencyScore: 70, frequency: 'Weekly' },
-      contentThemes: { 
-        clarityScore: 75,
-        primaryThemes: [
-          { theme: 'tutorial', frequency: 10 },
-          { theme: 'programming', frequency: 8 }
-        ],
-        themeSource: 'comprehensive',
-        analysisDetails: {
-          titlesAnalyzed: videos.length,
-          descriptionsAnalyzed: videos.filter(v => v.description?.length > 50).length,
-          tagsAnalyzed: videos.filter(v => v.tags?.length > 0).length
-        }
-      },
-      videoFormats: { diversityScore: 75 },
-      targetAudience: { clarityScore: 70 },
-      recommendations: []
+  // Attributes at least half of the group has, and that are 20+ points more common in it than channel-wide
+  findSharedAttributes(group, population) {
+    if (group.length < 2) return [];
+    
+    const countAttributes = videos => {
+      const counts = {};
+      videos.forEach(video => this.describeVideoAttributes(video).forEach(attribute => {
+        counts[attribute] = (counts[attribute] || 0) + 1;
+      }));
+      return counts;
     };
+    const groupCounts = countAttributes(group);
+    const populationCounts = countAttributes(population);
+    
+    return Object.entries(groupCounts)
+      .map(([attribute, count]) => ({
+        attribute,
+        videos: count,
+        groupPercentage: (count / group.length) * 100,
+        channelPercentage: ((populationCounts[attribute] || 0) / population.length) * 100
+      }))
+      .filter(a => a.videos >= 2 && a.groupPercentage >= 50 && a.groupPercentage - a.channelPercentage >= 20)
+      .sort((a, b) => (b.groupPercentage - b.channelPercentage) - (a.groupPercentage - a.channelPercentage))
+      .slice(0, 8);
+  }
+
+  medianOf(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
   }
 
-  analyzeSEOComprehensive(videos) {
-    const titleAnalysis = this.analyzeTitlesComprehensiveWithInsights(videos);
+  analyzeSEOComprehensive(videos, performance = null) {
+    const titleAnalysis = this.analyzeTitlesComprehensiveWithInsights(videos, performance);
     const descriptionAnalysis = this.analyzeDescriptionsComprehensiveWithInsights(videos);
     const tagsAnalysis = this.analyzeTagsSetComprehensiveWithInsights(videos);
     
+    const weights = this.rules.weights.seo;
     const overallScore = (
-      titleAnalysis.averageScore * 0.3 +
-      descriptionAnalysis.averageScore * 0.3 +
-      tagsAnalysis.averageScore * 0.2 +
-      70 * 0.2 // thumbnails
+      titleAnalysis.averageScore * weights.titles +
+      descriptionAnalysis.averageScore * weights.descriptions +
+      tagsAnalysis.averageScore * weights.tags +
+      70 * weights.thumbnails
     );
 
     return {
@@ -866,18 +3143,29 @@ class YouTubeChannelAnalyzer {
     };
   }
 
-  analyzeTitlesComprehensiveWithInsights(videos) {
-    const titleScores = videos.map(video => this.analyzeTitleComprehensive(video.title));
+  analyzeTitlesComprehensiveWithInsights(videos, performance = null) {
+    const titleScores = videos.map(video => this.analyzeTitleComprehensive(video.title, video.format === 'Short'));
     const averageScore = titleScores.reduce((sum, analysis) => sum + analysis.score, 0) / titleScores.length || 0;
     
     const avgLength = titleScores.reduce((sum, t) => sum + t.length, 0) / titleScores.length;
     const hasNumbersPercent = (titleScores.filter(t => t.hasNumbers).length / titleScores.length) * 100;
-    const optimalLengthPercent = (titleScores.filter(t => t.length >= 30 && t.length <= 60).length / titleScores.length) * 100;
+    // "Optimal" follows each title's own format rules (30-60 characters long-form, 15-50 for Shorts by default)
+    const { title: titleRule, shortsTitle: shortsTitleRule } = this.rules.thresholds;
+    const isOptimalLength = t => {
+      const rule = t.rules === 'shorts' ? shortsTitleRule : titleRule;
+      return t.length >= rule.minLength && t.length <= rule.maxLength;
+    };
+    const optimalLengthPercent = (titleScores.filter(isOptimalLength).length / titleScores.length) * 100;
     
-    const bestTitleExample = videos.reduce((best, current) => 
-      current.views > best.views ? current : best, videos[0]);
-    const worstTitleExample = videos.reduce((worst, current) => 
-      current.views < worst.views ? current : worst, videos[0]);
+    // Best/worst by age-normalised performance rather than raw views, which mostly reflect video age
+    const describeTitle = record => record ? {
+      title: record.title,
+      views: record.views,
+      viewsPerDay: record.viewsPerDay,
+      performanceRatio: record.performanceRatio,
+      length: record.title.length,
+      hasNumbers: /\d/.test(record.title)
+    } : null;
     
     return {
       averageScore,
@@ -886,32 +3174,28 @@ class YouTubeChannelAnalyzer {
       optimalLengthPercentage: optimalLengthPercent,
       hasNumbersPercentage: hasNumbersPercent,
       isQuestionPercentage: 20,
-      bestPerformingTitle: {
-        title: bestTitleExample.title,
-        views: bestTitleExample.views,
-        length: bestTitleExample.title.length,
-        hasNumbers: /\d/.test(bestTitleExample.title)
-      },
-      worstPerformingTitle: {
-        title: worstTitleExample.title,
-        views: worstTitleExample.views,
-        length: worstTitleExample.title.length,
-        hasNumbers: /\d/.test(worstTitleExample.title)
-      }
+      bestPerformingTitle: describeTitle(performance?.overPerformers[0]),
+      worstPerformingTitle: describeTitle(performance?.underPerformers[0])
     };
   }
 
   analyzeDescriptionsComprehensiveWithInsights(videos) {
-    const descriptionScores = videos.map(video => this.analyzeDescriptionComprehensive(video.description));
+    const descriptionScores = videos.map(video => this.analyzeDescriptionComprehensive(video.description, video.format === 'Short'));
     const averageScore = descriptionScores.reduce((sum, analysis) => sum + analysis.score, 0) / descriptionScores.length || 0;
     
     const avgLength = descriptionScores.reduce((sum, d) => sum + d.length, 0) / descriptionScores.length;
     const hasLinksPercent = (descriptionScores.filter(d => d.hasLinks).length / descriptionScores.length) * 100;
-    const hasTimestampsPercent = (descriptionScores.filter(d => d.hasTimestamps).length / descriptionScores.length) * 100;
     const hasCTAPercent = (descriptionScores.filter(d => d.hasCallToAction).length / descriptionScores.length) * 100;
-    const adequateLengthPercent = (descriptionScores.filter(d => d.length >= 200).length / descriptionScores.length) * 100;
     
-    const emptyDescriptions = videos.filter(v => !v.description || v.description.length < 50);
+    // Length and chapters only matter for long-form; Shorts would drag these percentages down
+    const longFormScores = descriptionScores.filter((d, index) => videos[index].format !== 'Short');
+    const longFormShare = predicate => (longFormScores.length > 0 ? (longFormScores.filter(predicate).length / longFormScores.length) * 100 : 0);
+    const hasTimestampsPercent = longFormShare(d => d.hasTimestamps);
+    const { description: descriptionRule, shortsDescription: shortsDescriptionRule } = this.rules.thresholds;
+    const adequateLengthPercent = longFormShare(d => d.length >= descriptionRule.minLength);
+    
+    const emptyDescriptions = videos.filter(v => !v.description ||
+      v.description.length < (v.format === 'Short' ? shortsDescriptionRule.minLength : descriptionRule.emptyLength));
     
     return {
       averageScore,
@@ -925,12 +3209,13 @@ class YouTubeChannelAnalyzer {
   }
 
   analyzeTagsSetComprehensiveWithInsights(videos) {
-    const tagScores = videos.map(video => this.analyzeTagsComprehensive(video.tags));
+    const tagScores = videos.map(video => this.analyzeTagsComprehensive(video.tags, video.format === 'Short'));
     const averageScore = tagScores.reduce((sum, analysis) => sum + analysis.score, 0) / tagScores.length || 0;
     
+    const { minCount, optimalMin, optimalMax } = this.rules.thresholds.tags;
     const videosWithNoTags = videos.filter(v => !v.tags || v.tags.length === 0);
-    const videosWithFewTags = videos.filter(v => v.tags && v.tags.length > 0 && v.tags.length < 5);
-    const videosWithGoodTags = videos.filter(v => v.tags && v.tags.length >= 8 && v.tags.length <= 15);
+    const videosWithFewTags = videos.filter(v => v.tags && v.tags.length > 0 && v.tags.length < minCount);
+    const videosWithGoodTags = videos.filter(v => v.tags && v.tags.length >= optimalMin && v.tags.length <= optimalMax);
     
     const avgTagCount = videos.reduce((sum, v) => sum + (v.tags?.length || 0), 0) / videos.length;
     
@@ -951,21 +3236,25 @@ class YouTubeChannelAnalyzer {
 
   generateSEOInsights(titleAnalysis, descriptionAnalysis, tagsAnalysis, videos) {
     const insights = [];
+    const { thresholds, severity } = this.rules;
+    const minTitleLength = thresholds.title.minLength;
+    const longFormTitles = titleAnalysis.titleAnalyses.filter(t => t.rules !== 'shorts');
+    const longFormAverageLength = longFormTitles.reduce((sum, t) => sum + t.length, 0) / longFormTitles.length;
     
-    if (titleAnalysis.averageLength < 30) {
+    if (longFormTitles.length > 0 && longFormAverageLength < minTitleLength) {
       insights.push({
         category: "Title Length",
-        severity: "High",
-        finding: `${Math.round((titleAnalysis.titleAnalyses.filter(t => t.length < 30).length / videos.length) * 100)}% of your titles are under 30 characters`,
+        severity: severity.titleLength,
+        finding: `${Math.round((longFormTitles.filter(t => t.length < minTitleLength).length / longFormTitles.length) * 100)}% of your long-form titles are under ${minTitleLength} characters`,
         impact: "Factual: Shorter titles have less space for descriptive keywords",
-        solution: "Consider extending titles to 40-60 characters with descriptive keywords"
+        solution: `Consider extending titles to ${minTitleLength}-${thresholds.title.maxLength} characters with descriptive keywords`
       });
     }
     
-    if (tagsAnalysis.noTagsPercentage > 10) {
+    if (tagsAnalysis.noTagsPercentage > thresholds.missingTagsPercentage) {
       insights.push({
         category: "Tags Usage",
-        severity: "Critical",
+        severity: severity.missingTags,
         finding: `${tagsAnalysis.videosWithNoTagsCount} out of ${videos.length} videos have zero tags`,
         impact: "Factual: Tags help YouTube understand video content for categorization",
         solution: "Add relevant tags to videos that currently have none"
@@ -1001,30 +3290,68 @@ class YouTubeChannelAnalyzer {
     };
   }
 
-  analyzeEngagementSignalsComprehensive(videos, subscriberCount) {
-    const totalViews = videos.reduce((sum, v) => sum + v.views, 0);
-    const avgViews = totalViews / videos.length;
+  // Shorts reach far beyond subscribers and collect likes more cheaply, so each format has its own
+  // benchmarks; the channel score blends the two tracks by video count
+  getEngagementBenchmarks(isShort) {
+    const { shorts, longForm } = this.rules.thresholds.engagement;
+    return isShort ? shorts : longForm;
+  }
+
+  scoreEngagementTrack(videos, subscriberCount, isShort) {
+    const benchmarks = this.getEngagementBenchmarks(isShort);
+    const avgViews = videos.reduce((sum, v) => sum + v.views, 0) / videos.length;
     
-    const viewsToSubsRatio = (avgViews / subscriberCount) * 100;
-    const viewsToSubsScore = Math.min(viewsToSubsRatio * 10, 100);
+    const viewsToSubsRatio = subscriberCount > 0 ? (avgViews / subscriberCount) * 100 : 0;
+    const viewsToSubsScore = Math.min(viewsToSubsRatio * benchmarks.viewsToSubsMultiplier, 100);
+    const avgLikeRatio = videos.reduce((sum, v) => sum + v.likeToViewRatio, 0) / videos.length;
+    const likeScore = Math.min(avgLikeRatio * benchmarks.likeRatioMultiplier, 100);
     
-    const likeRatios = videos.map(v => v.likeToViewRatio);
-    const avgLikeRatio = likeRatios.reduce((sum, r) => sum + r, 0) / likeRatios.length;
+    return {
+      videos: videos.length,
+      overallScore: viewsToSubsScore * 0.5 + likeScore * 0.5,
+      viewsToSubscribers: {
+        ratio: viewsToSubsRatio,
+        score: viewsToSubsScore,
+        benchmark: viewsToSubsRatio > benchmarks.viewsToSubsExcellent ? 'Excellent' : 'Needs Improvement'
+      },
+      likeEngagement: {
+        averageRatio: avgLikeRatio,
+        score: likeScore,
+        benchmark: avgLikeRatio > benchmarks.likeRatioExcellent ? 'Excellent' : 'Needs Improvement'
+      }
+    };
+  }
+
+  analyzeEngagementSignalsComprehensive(videos, subscriberCount) {
+    const shorts = videos.filter(v => v.format === 'Short');
+    const longForm = videos.filter(v => v.format !== 'Short');
+    const byFormat = {
+      shorts: shorts.length > 0 ? this.scoreEngagementTrack(shorts, subscriberCount, true) : null,
+      longForm: longForm.length > 0 ? this.scoreEngagementTrack(longForm, subscriberCount, false) : null
+    };
+    const tracks = [byFormat.shorts, byFormat.longForm].filter(Boolean);
+    const blend = select => tracks.length > 0
+      ? tracks.reduce((sum, track) => sum + select(track) * track.videos, 0) / videos.length
+      : 0;
     
-    const overallScore = viewsToSubsScore * 0.5 + avgLikeRatio * 25 * 0.5;
+    const overallScore = blend(track => track.overallScore);
+    const viewsToSubsRatio = blend(track => track.viewsToSubscribers.ratio);
+    const avgLikeRatio = blend(track => track.likeEngagement.averageRatio);
+    const primaryTrack = byFormat.longForm || byFormat.shorts;
 
     return {
       overallScore,
       scoreExplanation: this.explainEngagementScore(overallScore, viewsToSubsRatio, avgLikeRatio),
       viewsToSubscribers: {
         ratio: viewsToSubsRatio,
-        score: viewsToSubsScore,
-        benchmark: viewsToSubsRatio > 15 ? 'Excellent' : 'Needs Improvement'
+        score: blend(track => track.viewsToSubscribers.score),
+        benchmark: primaryTrack?.viewsToSubscribers.benchmark || 'Needs Improvement'
       },
       likeEngagement: {
         averageRatio: avgLikeRatio,
-        benchmark: avgLikeRatio > 3 ? 'Excellent' : 'Needs Improvement'
+        benchmark: primaryTrack?.likeEngagement.benchmark || 'Needs Improvement'
       },
+      byFormat,
       detailedInsights: []
     };
   }
@@ -1048,6 +3375,94 @@ class YouTubeChannelAnalyzer {
     };
   }
 
+  // Shorts and long-form as separate tracks, each scored with its own rules (see analyzeShortTitle etc.)
+  analyzeFormatTracks(videos, engagementSignals) {
+    const buildTrack = (trackVideos, engagement) => {
+      if (trackVideos.length === 0) return null;
+      
+      const seo = this.analyzeSEOComprehensive(trackVideos);
+      const descriptions = trackVideos.map(v => v.descriptionAnalysis || {});
+      const share = predicate => (trackVideos.filter(predicate).length / trackVideos.length) * 100;
+      
+      return {
+        videos: trackVideos.length,
+        shareOfUploads: (trackVideos.length / videos.length) * 100,
+        averageViews: trackVideos.reduce((sum, v) => sum + v.views, 0) / trackVideos.length,
+        medianViews: this.medianOf(trackVideos.map(v => v.views)),
+        overallScore: seo.overallScore * 0.5 + engagement.overallScore * 0.5,
+        seoScore: seo.overallScore,
+        titleScore: seo.titles.averageScore,
+        descriptionScore: seo.descriptions.averageScore,
+        tagScore: seo.tags.averageScore,
+        engagementScore: engagement.overallScore,
+        viewsToSubscribersRatio: engagement.viewsToSubscribers.ratio,
+        likeRatio: engagement.likeEngagement.averageRatio,
+        timestampsPercentage: share(v => v.hasTimestamps),
+        hashtagPercentage: share(v => /#[\w-]+/.test(`${v.title} ${v.description}`)),
+        linksLongFormPercentage: (descriptions.filter(d => d.linksLongForm).length / trackVideos.length) * 100,
+        recommendations: []
+      };
+    };
+    
+    const shorts = buildTrack(videos.filter(v => v.format === 'Short'), engagementSignals.byFormat.shorts);
+    const longForm = buildTrack(videos.filter(v => v.format !== 'Short'), engagementSignals.byFormat.longForm);
+    const insights = [];
+    
+    if (shorts && shorts.videos >= 3) {
+      if (longForm && shorts.linksLongFormPercentage < 50) {
+        shorts.recommendations.push({
+          priority: 'Medium',
+          category: 'Shorts',
+          action: `Only ${shorts.linksLongFormPercentage.toFixed(0)}% of Shorts point to a related long-form video - link one in the description or a pinned comment to turn Shorts viewers into long-form viewers`
+        });
+      }
+      if (shorts.hashtagPercentage < 50) {
+        shorts.recommendations.push({
+          priority: 'Low',
+          category: 'Shorts',
+          action: `Add 2-3 topical hashtags to Shorts titles or descriptions (${shorts.hashtagPercentage.toFixed(0)}% have any)`
+        });
+      }
+      if (shorts.titleScore < 50) {
+        shorts.recommendations.push({
+          priority: 'Medium',
+          category: 'Shorts',
+          action: `Shorts titles score ${shorts.titleScore.toFixed(0)}/100 - keep them to 15-50 characters and lead with the payoff or a question`
+        });
+      }
+    }
+    
+    if (longForm && longForm.videos >= 3) {
+      if (longForm.timestampsPercentage < 30) {
+        longForm.recommendations.push({
+          priority: 'Medium',
+          category: 'Long-form',
+          action: `Only ${longForm.timestampsPercentage.toFixed(0)}% of long-form videos have chapters - add timestamps to descriptions so viewers (and search) can jump to sections`
+        });
+      }
+      if (longForm.descriptionScore < 50) {
+        longForm.recommendations.push({
+          priority: 'Medium',
+          category: 'Long-form',
+          action: `Long-form descriptions score ${longForm.descriptionScore.toFixed(0)}/100 - aim for ${this.rules.thresholds.description.minLength}+ characters with links and a call to action`
+        });
+      }
+    }
+    
+    if (shorts && longForm) {
+      insights.push(`Shorts are ${shorts.shareOfUploads.toFixed(0)}% of uploads and average ${Math.round(shorts.averageViews).toLocaleString()} views vs ${Math.round(longForm.averageViews).toLocaleString()} for long-form`);
+    } else {
+      insights.push(shorts ? 'The channel only publishes Shorts' : 'The channel publishes no Shorts');
+    }
+    
+    return {
+      shorts,
+      longForm,
+      insights,
+      recommendations: [...(shorts?.recommendations || []), ...(longForm?.recommendations || [])]
+    };
+  }
+
   analyzeContentQualityComprehensive(videos) {
     return {
       overallScore: 70,
@@ -1084,18 +3499,26 @@ class YouTubeChannelAnalyzer {
     };
   }
 
+  // Every recommendation, most severe first; the report shows the top 10, history compares them all
   generatePriorityRecommendations(analysisResults) {
     const allRecommendations = [
       ...analysisResults.branding.recommendations,
       ...analysisResults.content.recommendations,
       ...analysisResults.seo.recommendations,
       ...analysisResults.engagement.recommendations || [],
+      ...(analysisResults.formats?.recommendations || []),
+      ...(analysisResults.performance?.recommendations || []),
+      ...(analysisResults.growth?.recommendations || []),
+      ...(analysisResults.comments?.recommendations || []),
       ...analysisResults.quality.recommendations,
       ...analysisResults.playlists.recommendations,
       ...(analysisResults.transcripts?.recommendations || [])
     ];
     
-    return allRecommendations.slice(0, 10);
+    // Stable sort so the most severe items surface first, keeping category order within a priority
+    const priorityOrder = { Critical: 0, High: 1, Medium: 2, Low: 3 };
+    return allRecommendations
+      .sort((a, b) => (priorityOrder[a.priority] ?? 2) - (priorityOrder[b.priority] ?? 2));
   }
 
   getScoreGrade(score) {
@@ -1110,9 +3533,12 @@ class YouTubeChannelAnalyzer {
   identifyVideoIssues(video) {
     const issues = [];
     
+    const isShort = video.format === 'Short';
+    const { title, description, shortsDescription } = this.rules.thresholds;
+    
     if (!video.tags || video.tags.length === 0) issues.push('NO TAGS');
-    if (video.title.length < 30) issues.push('SHORT TITLE');
-    if (!video.description || video.description.length < 100) issues.push('POOR DESC');
+    if (!isShort && video.title.length < title.minLength) issues.push('SHORT TITLE');
+    if (!video.description || video.description.length < (isShort ? shortsDescription.minLength : description.poorLength)) issues.push('POOR DESC');
     if (video.titleAnalysis?.score < 50) issues.push('WEAK HOOK');
     
     if (video.transcriptAnalysis?.available) {
@@ -1124,6 +3550,7 @@ class YouTubeChannelAnalyzer {
     return issues.length > 0 ? issues.join(', ') : '✅ Good';
   }
 
+  // One named tab per report area; each run rewrites values, formats, score colours and charts in place
   async writeToSheets(analysis) {
     console.log('📝 Writing comprehensive results to Google Sheets...');
     
@@ -1134,125 +3561,708 @@ class YouTubeChannelAnalyzer {
     }
 
     try {
+      const tabs = this.buildReportTabs(analysis);
+      const sheets = await this.ensureSheetTabs(sheetId, tabs.map(tab => tab.title));
+      
+      await this.sheets.spreadsheets.batchUpdate({
+        spreadsheetId: sheetId,
+        requestBody: { requests: tabs.flatMap(tab => resetRequests(sheets[tab.title])) }
+      });
+      
+      await this.sheets.spreadsheets.values.batchUpdate({
+        spreadsheetId: sheetId,
+        requestBody: {
+          valueInputOption: 'RAW',
+          data: tabs.map(tab => ({ range: `'${tab.title}'!A1`, values: tab.rows }))
+        }
+      });
+      
+      await this.sheets.spreadsheets.batchUpdate({
+        spreadsheetId: sheetId,
+        requestBody: { requests: tabs.flatMap(tab => formatRequests(sheets[tab.title].properties.sheetId, tab)) }
+      });
+
+      console.log(`✅ Results written to Google Sheets (${tabs.map(tab => tab.title).join(', ')})`);
+    } catch (error) {
+      console.error('❌ Failed to write to Google Sheets:', error.message);
+    }
+  }
+
+  buildReportTabs(analysis) {
+    return [
+      this.buildOverviewTab(analysis),
+      this.buildSEOTab(analysis),
+      this.buildEngagementTab(analysis),
+      this.buildVideosTab(analysis),
+      this.buildRecommendationsTab(analysis),
+      this.buildHistoryTab(analysis)
+    ];
+  }
+
+  buildOverviewTab(analysis) {
+    const tab = new ReportTab('Overview');
+    const metadata = analysis.analysisMetadata || {};
+    const coverage = parseFloat(metadata.coveragePercentage);
+    
+    tab.section('🎥 YOUTUBE CHANNEL AUDIT', analysis.channel.name);
+    tab.freezeThrough(0);
+    tab.metric('Generated', toSheetsDate(new Date().toISOString()), 'date');
+    tab.blank();
+    
+    tab.section('📊 CHANNEL OVERVIEW');
+    tab.row('Channel Name', analysis.channel.name);
+    tab.metric('Subscribers', analysis.channel.subscriberCount, 'integer');
+    tab.metric('Total Views', analysis.channel.totalViews, 'integer');
+    tab.metric('Video Count', analysis.channel.videoCount, 'integer');
+    tab.blank();
+    
+    tab.section('📈 ANALYSIS COVERAGE & RELIABILITY');
+    tab.metric('Total Videos on Channel', metadata.totalVideosOnChannel || analysis.channel.videoCount, 'integer');
+    tab.metric('Videos Analyzed', metadata.videosAnalyzed || analysis.videos.length, 'integer');
+    tab.metric('Coverage', numberOrBlank(coverage), 'percent');
+    tab.row('Analysis Reliability', coverage >= 5 ? '✅ Good' : coverage >= 2 ? '⚠️ Limited' : '❌ Poor');
+    tab.blank();
+    
+    tab.section('📈 OVERALL PERFORMANCE SCORES');
+    const scores = tab.table([
+      { header: 'Area', value: ([key]) => SCORE_LABELS[key] },
+      { header: 'Score', value: ([, score]) => numberOrBlank(score, 1), format: 'score' },
+      { header: 'Grade', value: ([, score]) => (typeof score === 'number' ? this.getScoreGrade(score) : 'No data') }
+    ], Object.keys(SCORE_LABELS).map(key => [key, analysis.overallScores[key]]));
+    tab.chart({
+      type: 'BAR',
+      title: 'Score Breakdown',
+      ...scores,
+      domainColumn: 0,
+      seriesColumns: [1],
+      anchorRow: scores.startRow - 1,
+      anchorColumn: 4
+    });
+    tab.blank();
+    
+    // Full per-video data lives on the Videos tab; the overview keeps the top performers
+    tab.section('📹 TOP VIDEOS (by views per day)', '', '', '', 'Full table: Videos tab');
+    tab.table([
+      { header: 'Title', value: video => video.title },
+      { header: 'Published', value: video => video.publishedAt, format: 'date' },
+      { header: 'Views', value: video => video.views, format: 'integer' },
+      { header: 'Views / Day', value: video => numberOrBlank(video.performance?.viewsPerDay), format: 'decimal' },
+      { header: 'Issues Found', value: video => this.identifyVideoIssues(video) }
+    ], [...analysis.videos]
+      .sort((a, b) => (b.performance?.viewsPerDay ?? 0) - (a.performance?.viewsPerDay ?? 0))
+      .slice(0, 10));
+    tab.blank();
+    
+    if (analysis.warnings?.length) {
+      tab.section('⚠️ DATA WARNINGS (missing or partial data)');
+      tab.table([
+        { header: 'Stage', value: warning => warning.stage },
+        { header: 'Issue', value: warning => warning.message },
+        { header: 'Reason', value: warning => warning.reason || warning.code }
+      ], analysis.warnings.slice(0, 20));
+      tab.blank();
+    }
+    
+    tab.section('📋 ANALYSIS METADATA');
+    tab.metric('Analysis Date', toSheetsDate(analysis.analysisDate), 'date');
+    tab.metric('API Quota Used', numberOrBlank(metadata.quota?.unitsUsed), 'integer', metadata.quota?.budget ? `Budget: ${metadata.quota.budget}` : '');
+    tab.row('Data Source', metadata.dataSource === 'snapshot'
+      ? `Snapshot (fetched ${new Date(metadata.fetchedAt).toLocaleDateString()})` : 'YouTube API');
+    if (metadata.cache?.enabled) tab.metric('Cache Hit Rate', metadata.cache.hitRate, 'percent');
+    else tab.row('Cache Hit Rate', 'Disabled');
+    tab.row('Rules Profile', analysis.rules?.profile || 'default', analysis.rules?.source || '');
+    tab.row('Analysis Version', '4.0 Enhanced with Better Video Coverage');
+    return tab;
+  }
+
+  buildSEOTab(analysis) {
+    const tab = new ReportTab('SEO');
+    const { titles, descriptions, tags } = analysis.seoMetadata;
+    const weights = this.rules.weights.seo;
+    
+    tab.section('🔍 SEO & METADATA', analysis.channel.name);
+    tab.freezeThrough(0);
+    tab.metric('SEO Score', numberOrBlank(analysis.overallScores.seoScore, 1), 'score', this.getScoreGrade(analysis.overallScores.seoScore));
+    tab.blank();
+    
+    tab.section('⚖️ SCORE COMPONENTS');
+    tab.table([
+      { header: 'Component', value: component => component.label },
+      { header: 'Average Score', value: component => numberOrBlank(component.score, 1), format: 'score' },
+      { header: 'Weight', value: component => component.weight * 100, format: 'percent' }
+    ], [
+      { label: 'Titles', score: titles.averageScore, weight: weights.titles },
+      { label: 'Descriptions', score: descriptions.averageScore, weight: weights.descriptions },
+      { label: 'Tags', score: tags.averageScore, weight: weights.tags },
+      { label: 'Thumbnails', score: analysis.seoMetadata.thumbnails.averageScore, weight: weights.thumbnails }
+    ]);
+    tab.blank();
+    
+    tab.section('✍️ TITLES');
+    tab.metric('Average Title Length', numberOrBlank(titles.averageLength, 1), 'decimal', 'characters');
+    tab.metric('Optimal Length', numberOrBlank(titles.optimalLengthPercentage, 1), 'percent', 'Target: 80%+');
+    tab.metric('With Numbers', numberOrBlank(titles.hasNumbersPercentage, 1), 'percent');
+    tab.blank();
+    
+    tab.section('📄 DESCRIPTIONS');
+    tab.metric('Average Description Length', numberOrBlank(descriptions.averageLength, 0), 'integer', 'characters');
+    tab.metric('Adequate Length (long-form)', numberOrBlank(descriptions.adequateLengthPercentage, 1), 'percent');
+    tab.metric('With Links', numberOrBlank(descriptions.hasLinksPercentage, 1), 'percent');
+    tab.metric('With Timestamps (long-form)', numberOrBlank(descriptions.hasTimestampsPercentage, 1), 'percent');
+    tab.metric('With Call-to-Action', numberOrBlank(descriptions.hasCTAPercentage, 1), 'percent');
+    tab.metric('Empty or Near-Empty', descriptions.emptyDescriptionsCount, 'integer', 'Target: 0');
+    tab.blank();
+    
+    tab.section('🏷️ TAGS');
+    tab.metric('Average Tags per Video', numberOrBlank(tags.averageTagCount, 1), 'decimal');
+    tab.metric('Videos with NO TAGS', tags.videosWithNoTagsCount, 'integer', 'Target: 0');
+    tab.metric('Videos Missing Tags', numberOrBlank(tags.noTagsPercentage, 1), 'percent', 'Target: 0%');
+    tab.metric('Videos with Too Few Tags', tags.videosWithFewTagsCount, 'integer');
+    tab.metric('Videos with a Good Tag Count', tags.videosWithGoodTagsCount, 'integer');
+    tab.blank();
+    
+    tab.section('💡 SEO INSIGHTS');
+    const insights = analysis.seoMetadata.detailedInsights || [];
+    if (insights.length > 0) {
+      tab.table([
+        { header: 'Category', value: insight => insight.category },
+        { header: 'Severity', value: insight => insight.severity },
+        { header: 'Finding', value: insight => insight.finding },
+        { header: 'Solution', value: insight => insight.solution }
+      ], insights);
+    } else {
+      tab.row('✅ No SEO issues flagged');
+    }
+    return tab;
+  }
+
+  buildEngagementTab(analysis) {
+    const tab = new ReportTab('Engagement');
+    const engagement = analysis.engagementSignals;
+    const comments = analysis.commentAnalysis;
+    
+    tab.section('💬 ENGAGEMENT SIGNALS', analysis.channel.name);
+    tab.freezeThrough(0);
+    tab.metric('Engagement Score', numberOrBlank(engagement.overallScore, 1), 'score', this.getScoreGrade(engagement.overallScore));
+    tab.metric('Views / Subscribers', numberOrBlank(engagement.viewsToSubscribers.ratio, 2), 'percent', engagement.viewsToSubscribers.benchmark);
+    tab.metric('Average Like Ratio', numberOrBlank(engagement.likeEngagement.averageRatio, 2), 'percent', engagement.likeEngagement.benchmark);
+    tab.blank();
+    
+    tab.section('🗨️ COMMENTS & COMMUNITY');
+    tab.metric('Comment Score', numberOrBlank(comments.overallScore, 1), 'score');
+    tab.metric('Comments Analyzed', comments.commentsAnalyzed || 0, 'integer', `${comments.videosSampled || 0} videos sampled`);
+    tab.metric('Positive Comments', numberOrBlank(comments.sentiment?.positivePercentage, 1), 'percent');
+    tab.metric('Negative Comments', numberOrBlank(comments.sentiment?.negativePercentage, 1), 'percent');
+    tab.metric('Creator Reply Rate', numberOrBlank(comments.creatorReplies?.replyRate, 1), 'percent', 'Target: 10%+');
+    tab.row('Requested Topics', (comments.requestedTopics || []).slice(0, 5).map(t => t.phrase).join(', ') || 'None found');
+    tab.blank();
+    
+    this.addFormatTrackSection(tab, analysis.formatTracks);
+    this.addPerformanceSection(tab, analysis.videoPerformance);
+    this.addGrowthSection(tab, analysis.growth);
+    
+    if (analysis.growth?.available) {
+      tab.section('📅 VIEWS OVER TIME (by upload month)');
+      const months = tab.table([
+        { header: 'Month', value: entry => entry.month },
+        { header: 'Uploads', value: entry => entry.uploads, format: 'integer' },
+        { header: 'Median Views', value: entry => numberOrBlank(entry.medianViews), format: 'integer' },
+        { header: 'Median Views @ 30 Days', value: entry => numberOrBlank(entry.medianViewsAt30Days), format: 'integer' }
+      ], analysis.growth.monthlyTrend.months);
+      tab.chart({
+        type: 'LINE',
+        title: 'Median Views per Upload by Month',
+        ...months,
+        domainColumn: 0,
+        seriesColumns: [2, 3],
+        anchorRow: months.startRow - 1,
+        anchorColumn: 5
+      });
+    }
+    return tab;
+  }
+
+  // One row per analysed video; shared by the Videos tab and the CSV export
+  videoTableColumns() {
+    const yesNo = value => (value ? 'Yes' : 'No');
+    return [
+      { header: 'Video ID', value: video => video.id },
+      { header: 'URL', value: video => `https://www.youtube.com/watch?v=${video.id}` },
+      { header: 'Published', value: video => video.publishedAt, format: 'date' },
+      { header: 'Title', value: video => video.title },
+      { header: 'Format', value: video => video.format },
+      { header: 'Duration (s)', value: video => video.duration, format: 'integer' },
+      { header: 'Views', value: video => video.views, format: 'integer' },
+      { header: 'Likes', value: video => video.likes, format: 'integer' },
+      { header: 'Comments', value: video => video.comments, format: 'integer' },
+      { header: 'Engagement %', value: video => numberOrBlank(video.engagementRate, 2), format: 'percent' },
+      { header: 'Like %', value: video => numberOrBlank(video.likeToViewRatio, 2), format: 'percent' },
+      { header: 'Comment %', value: video => numberOrBlank(video.commentToViewRatio, 3), format: 'percent' },
+      { header: 'Views / Day', value: video => numberOrBlank(video.performance?.viewsPerDay), format: 'decimal' },
+      { header: 'vs Baseline', value: video => numberOrBlank(video.performance?.performanceRatio), format: 'multiple' },
+      { header: 'Performance', value: video => video.performance?.classification || '' },
+      { header: 'Title Score', value: video => numberOrBlank(video.titleAnalysis?.score), format: 'score' },
+      { header: 'Description Score', value: video => numberOrBlank(video.descriptionAnalysis?.score), format: 'score' },
+      { header: 'Tags Score', value: video => numberOrBlank(video.tagsAnalysis?.score), format: 'score' },
+      { header: 'Thumbnail Score', value: video => numberOrBlank(video.thumbnailAnalysis?.score), format: 'score' },
+      { header: 'Structure Score', value: video => numberOrBlank(video.contentStructure?.score), format: 'score' },
+      { header: 'Transcript Score', value: video => numberOrBlank(video.transcriptAnalysis?.overallScore, 1), format: 'score' },
+      { header: 'Tags', value: video => video.tags?.length || 0, format: 'integer' },
+      { header: 'Hook', value: video => yesNo(video.hasHook) },
+      { header: 'Timestamps', value: video => yesNo(video.hasTimestamps) },
+      { header: 'Call-to-Action', value: video => yesNo(video.hasCallToAction) },
+      { header: 'Links', value: video => yesNo(video.hasLinks) },
+      { header: 'Transcript', value: video => (video.transcriptAnalysis?.available ? video.transcriptAnalysis.source || 'Available' : 'None') },
+      { header: 'Issues Found', value: video => this.identifyVideoIssues(video) }
+    ];
+  }
+
+  buildVideosTab(analysis) {
+    const tab = new ReportTab('Videos');
+    tab.columnWidths = { 0: 110, 1: 110, 3: 320, 27: 300 };
+    tab.table(this.videoTableColumns(), analysis.videos, { freeze: true, filter: true });
+    return tab;
+  }
+
+  buildRecommendationsTab(analysis) {
+    const tab = new ReportTab('Recommendations');
+    tab.table([
+      { header: '#', value: (rec, index) => index + 1 },
+      { header: 'Priority', value: rec => rec.priority || 'Medium' },
+      { header: 'Category', value: rec => rec.category || 'General' },
+      { header: 'Action Item', value: rec => rec.action }
+    ], analysis.priorityRecommendations, { freeze: true });
+    return tab;
+  }
+
+  buildHistoryTab(analysis) {
+    const tab = new ReportTab('History');
+    const comparison = analysis.history?.comparison;
+    tab.section('📈 CHANGES SINCE LAST AUDIT', analysis.channel.name);
+    tab.freezeThrough(0);
+    if (comparison) {
+      this.addHistorySections(tab, comparison);
+    } else {
+      tab.row(this.history
+        ? 'No earlier audit of this channel yet - changes will appear here after the next run'
+        : 'History tracking is disabled for this run');
+    }
+    return tab;
+  }
+
+  addFormatTrackSection(tab, formatTracks) {
+    if (!formatTracks) return;
+    
+    const tracks = [['📱 Shorts', formatTracks.shorts], ['🎬 Long-form', formatTracks.longForm]].filter(([, track]) => track);
+    if (tracks.length === 0) return;
+    
+    tab.section('📱 SHORTS vs 🎬 LONG-FORM');
+    tab.table([
+      { header: 'Track', value: ([label]) => label },
+      { header: 'Videos', value: ([, track]) => track.videos, format: 'integer' },
+      { header: 'Share of Uploads', value: ([, track]) => numberOrBlank(track.shareOfUploads, 1), format: 'percent' },
+      { header: 'Track Score', value: ([, track]) => numberOrBlank(track.overallScore, 1), format: 'score' },
+      { header: 'Average Views', value: ([, track]) => numberOrBlank(track.averageViews, 0), format: 'integer' },
+      { header: 'Median Views', value: ([, track]) => numberOrBlank(track.medianViews, 0), format: 'integer' },
+      { header: 'SEO Score', value: ([, track]) => numberOrBlank(track.seoScore, 1), format: 'score' },
+      { header: 'Title Score', value: ([, track]) => numberOrBlank(track.titleScore, 1), format: 'score' },
+      { header: 'Description Score', value: ([, track]) => numberOrBlank(track.descriptionScore, 1), format: 'score' },
+      { header: 'Tags Score', value: ([, track]) => numberOrBlank(track.tagScore, 1), format: 'score' },
+      { header: 'Engagement Score', value: ([, track]) => numberOrBlank(track.engagementScore, 1), format: 'score' },
+      { header: 'Views / Subscribers', value: ([, track]) => numberOrBlank(track.viewsToSubscribersRatio, 2), format: 'percent' },
+      { header: 'Like Ratio', value: ([, track]) => numberOrBlank(track.likeRatio, 2), format: 'percent' },
+      { header: 'Top Recommendation', value: ([, track]) => track.recommendations[0]?.action || '✅ No format-specific issues' }
+    ], tracks);
+    tab.blank();
+  }
+
+  addPerformanceSection(tab, performance) {
+    if (!performance?.available) return;
+    
+    tab.section('🏆 PERFORMANCE OUTLIERS (age & format normalized)');
+    tab.metric('Videos Measured', performance.videosMeasured, 'integer');
+    tab.metric('Channel Median Views / Day', numberOrBlank(performance.channelMedianViewsPerDay), 'decimal');
+    
+    const outliers = [
+      ...performance.overPerformers.slice(0, 5).map(record => ['🚀', record]),
+      ...performance.underPerformers.slice(0, 5).map(record => ['🐢', record])
+    ];
+    if (outliers.length > 0) {
+      tab.table([
+        { header: 'Title', value: ([icon, record]) => `${icon} ${record.title}` },
+        { header: 'Views / Day', value: ([, record]) => numberOrBlank(record.viewsPerDay), format: 'decimal' },
+        { header: 'vs Baseline', value: ([, record]) => numberOrBlank(record.performanceRatio), format: 'multiple' },
+        { header: 'Baseline Views / Day', value: ([, record]) => numberOrBlank(record.baselineViewsPerDay), format: 'decimal' },
+        { header: 'Format', value: ([, record]) => record.format },
+        { header: 'z-Score', value: ([, record]) => numberOrBlank(record.zScore, 2) }
+      ], outliers);
+    } else {
+      tab.row('No significant outliers - performance is consistent across uploads');
+    }
+    
+    const describe = attributes => attributes.slice(0, 4)
+      .map(a => `${a.attribute} (${a.groupPercentage.toFixed(0)}% vs ${a.channelPercentage.toFixed(0)}%)`).join(', ');
+    if (performance.sharedAttributes.overPerformers.length > 0) {
+      tab.row('Over-performers share', describe(performance.sharedAttributes.overPerformers));
+    }
+    if (performance.sharedAttributes.underPerformers.length > 0) {
+      tab.row('Under-performers share', describe(performance.sharedAttributes.underPerformers));
+    }
+    tab.blank();
+  }
+
+  addGrowthSection(tab, growth) {
+    if (!growth?.available) return;
+    
+    const { model, expectedViews, monthlyTrend } = growth;
+    tab.section('🌱 GROWTH & VIEW VELOCITY');
+    tab.metric('Expected Views at Day 7', numberOrBlank(expectedViews.day7), 'integer', 'new upload');
+    tab.metric('Expected Views at Day 30', numberOrBlank(expectedViews.day30), 'integer');
+    tab.metric('Expected Views at Day 90', numberOrBlank(expectedViews.day90), 'integer');
+    tab.metric('Growth Curve Exponent', numberOrBlank(model.b), null, 'views ∝ age^exponent', model.scope);
+    tab.metric('Growth Curve Fit (R²)', numberOrBlank(model.rSquared), null,
+      `${model.catalogueObservations + model.historyObservations} observations (${model.historyRuns} past audits)`);
+    tab.row('12-Month Trend', monthlyTrend.direction);
+    tab.metric('Monthly Change (age-adjusted)', numberOrBlank(monthlyTrend.monthlyChangePercentage), 'percent');
+    tab.metric('Evergreen Videos', growth.evergreenCount, 'integer', growth.evergreen.slice(0, 3).map(record => record.title).join(' | '));
+    tab.metric('Plateaued Videos', growth.plateauedCount, 'integer');
+    if (growth.momentumBasis === 'observed') {
+      tab.metric('Momentum Measured Since', toSheetsDate(growth.momentumSince), 'date');
+    } else {
+      tab.row('Momentum Basis', 'Estimated (no previous audit)');
+    }
+    tab.blank();
+  }
+
+  addHistorySections(tab, comparison) {
+    const { channelGrowth, videoVelocity, newUploads, recommendations } = comparison;
+    
+    tab.metric('Previous Audit', toSheetsDate(comparison.previousRecordedAt), 'date', `${comparison.elapsedDays} days ago`);
+    if (comparison.rulesProfile?.changed) {
+      tab.row('⚠️ Rules profile changed', comparison.rulesProfile.previous, comparison.rulesProfile.current, 'Score changes partly reflect the new rules');
+    }
+    tab.blank();
+    
+    tab.section('📊 SCORES');
+    tab.table([
+      { header: 'Area', value: ([name]) => SCORE_LABELS[name] || name },
+      { header: 'Previous', value: ([, delta]) => numberOrBlank(delta.previous, 1), format: 'score' },
+      { header: 'Current', value: ([, delta]) => numberOrBlank(delta.current, 1), format: 'score' },
+      { header: 'Change', value: ([, delta]) => numberOrBlank(delta.change, 1), format: 'decimal' }
+    ], Object.entries(comparison.scoreDeltas));
+    tab.blank();
+    
+    tab.section('👥 CHANNEL');
+    tab.table([
+      { header: 'Metric', value: ([label]) => label },
+      { header: 'Previous', value: ([, growth]) => numberOrBlank(growth.previous), format: 'integer' },
+      { header: 'Current', value: ([, growth]) => numberOrBlank(growth.current), format: 'integer' },
+      { header: 'Change', value: ([, growth]) => numberOrBlank(growth.change), format: 'integer' },
+      { header: 'Per Day', value: ([, growth]) => numberOrBlank(growth.perDay), format: 'decimal' }
+    ], [['Subscribers', channelGrowth.subscribers], ['Total Views', channelGrowth.views]]);
+    tab.blank();
+    
+    tab.section('🚀 VIEW VELOCITY (tracked videos)');
+    tab.metric('Views Gained', videoVelocity.totalViewsGained, 'integer', `${videoVelocity.videosCompared} videos`);
+    tab.metric('Median Views / Day', numberOrBlank(videoVelocity.medianViewsPerDay), 'decimal');
+    if (videoVelocity.fastest.length > 0) {
+      tab.table([
+        { header: 'Fastest Growing', value: video => video.title },
+        { header: 'Views', value: video => video.views, format: 'integer' },
+        { header: 'Views Gained', value: video => video.viewsGained, format: 'integer' },
+        { header: 'Views / Day', value: video => numberOrBlank(video.viewsPerDay), format: 'decimal' }
+      ], videoVelocity.fastest.slice(0, 3));
+    }
+    tab.blank();
+    
+    tab.section('🆕 UPLOADS & RECOMMENDATIONS');
+    tab.metric('New Uploads', newUploads.length, 'integer', newUploads.slice(0, 3).map(video => video.title).join(' | '));
+    tab.metric('Recommendations Resolved', recommendations.resolved.length, 'integer', recommendations.resolved.slice(0, 3).map(rec => rec.action).join(' | '));
+    tab.metric('New Recommendations', recommendations.introduced.length, 'integer', recommendations.introduced.slice(0, 3).map(rec => rec.action).join(' | '));
+  }
+
+  async ensureSheetTab(sheetId, title) {
+    return (await this.ensureSheetTabs(sheetId, [title]))[title];
+  }
+
+  // Adds whichever tabs are missing (in the given order, ahead of any others) and returns every
+  // requested tab by title with its properties, conditional format rules and charts
+  async ensureSheetTabs(sheetId, titles) {
+    const fetchSheets = async () => {
+      const spreadsheet = await this.sheets.spreadsheets.get({
+        spreadsheetId: sheetId,
+        fields: 'sheets(properties(sheetId,title,index),conditionalFormats,charts(chartId))'
+      });
+      return Object.fromEntries((spreadsheet.data.sheets || []).map(sheet => [sheet.properties.title, sheet]));
+    };
+    
+    let sheets = await fetchSheets();
+    const missing = titles.filter(title => !sheets[title]);
+    if (missing.length > 0) {
+      await this.sheets.spreadsheets.batchUpdate({
+        spreadsheetId: sheetId,
+        requestBody: { requests: missing.map(title => ({ addSheet: { properties: { title, index: titles.indexOf(title) } } })) }
+      });
+      sheets = await fetchSheets();
+    }
+    return sheets;
+  }
+
+  async writeComparisonToSheets(comparison) {
+    const sheetId = process.env.GOOGLE_SHEET_ID;
+    if (!sheetId) {
+      console.log('⚠️ No Google Sheet ID provided, skipping comparison tab');
+      return;
+    }
+
+    const tab = 'Competitor Benchmark';
+    try {
+      await this.ensureSheetTab(sheetId, tab);
       await this.sheets.spreadsheets.values.clear({
         spreadsheetId: sheetId,
-        range: 'A1:Z1000'
+        range: `'${tab}'!A1:Z1000`
       });
 
+      const channels = comparison.channels;
+      const blank = () => new Array(channels.length + 1).fill('');
+      const row = (label, format) => [label, ...channels.map(format)];
+      const fixed = (value, digits = 1) => (typeof value === 'number' ? value.toFixed(digits) : 'N/A');
+      const formats = [...new Set(comparison.formatMix.flatMap(entry => Object.keys(entry.formats)))];
+      const titleRows = [
+        ['Average Title Length', 'averageLength'],
+        ['Average Title Score', 'averageTitleScore'],
+        ['% With Numbers', 'withNumbersPercentage'],
+        ['% Questions', 'questionPercentage'],
+        ['% "How To"', 'howToPercentage'],
+        ['% Power Words', 'powerWordPercentage'],
+        ['% Brackets', 'bracketsPercentage'],
+        ['% Separators ( | : - )', 'separatorPercentage'],
+        ['% ALL CAPS Words', 'allCapsWordPercentage'],
+        ['% Emoji', 'emojiPercentage']
+      ];
+
       const values = [
-        ['🎥 COMPREHENSIVE YOUTUBE CHANNEL ANALYSIS', '', '', '', ''],
-        ['Generated:', new Date().toLocaleString(), '', '', ''],
-        ['', '', '', '', ''],
+        ['🏁 COMPETITOR BENCHMARK', ...blank().slice(1)],
+        ['Generated:', new Date(comparison.comparedAt).toLocaleString(), ...blank().slice(2)],
+        blank(),
+        row('Channel', (profile, index) => (index === 0 ? `⭐ ${profile.channel.name}` : profile.channel.name)),
+        row('Subscribers', profile => profile.channel.subscriberCount.toLocaleString()),
+        row('Videos Analyzed', profile => profile.videosAnalyzed),
+        blank(),
         
-        ['📊 CHANNEL OVERVIEW', '', '', '', ''],
-        ['Channel Name', analysis.channel.name, '', '', ''],
-        ['Subscribers', analysis.channel.subscriberCount.toLocaleString(), '', '', ''],
-        ['Total Views', analysis.channel.totalViews.toLocaleString(), '', '', ''],
-        ['Video Count', analysis.channel.videoCount, '', '', ''],
-        ['', '', '', '', ''],
+        ['📈 SCORES', ...blank().slice(1)],
+        ...comparison.scores.map(score => [score.label, ...score.byChannel.map(value => fixed(value))]),
+        blank(),
         
-        ['📈 ANALYSIS COVERAGE & RELIABILITY', '', '', '', ''],
-        ['Total Videos on Channel', analysis.analysisMetadata?.totalVideosOnChannel || analysis.channel.videoCount, '', '', ''],
-        ['Videos Analyzed', analysis.analysisMetadata?.videosAnalyzed || analysis.videos.length, '', '', ''],
-        ['Coverage Percentage', `${analysis.analysisMetadata?.coveragePercentage || 'Unknown'}%`, '', '', ''],
-        ['Analysis Reliability', 
-          (parseFloat(analysis.analysisMetadata?.coveragePercentage || 0) >= 5) ? '✅ Good' : 
-          (parseFloat(analysis.analysisMetadata?.coveragePercentage || 0) >= 2) ? '⚠️ Limited' : '❌ Poor', '', '', ''],
-        ['', '', '', '', ''],
+        ['📅 UPLOAD CADENCE', ...blank().slice(1)],
+        row('Frequency', profile => profile.cadence.frequency),
+        row('Uploads per Week', profile => fixed(profile.cadence.uploadsPerWeek, 2)),
+        row('Median Gap (days)', profile => fixed(profile.cadence.medianGapDays)),
+        row('Days Since Last Upload', profile => fixed(profile.cadence.daysSinceLastUpload, 0)),
+        blank(),
         
-        ['📈 OVERALL PERFORMANCE SCORES', '', '', '', ''],
-        ['Branding & Identity', `${analysis.overallScores.brandingScore.toFixed(1)}/100`, this.getScoreGrade(analysis.overallScores.brandingScore), '', ''],
-        ['Content Strategy', `${analysis.overallScores.contentStrategyScore.toFixed(1)}/100`, this.getScoreGrade(analysis.overallScores.contentStrategyScore), '', ''],
-        ['SEO & Metadata', `${analysis.overallScores.seoScore.toFixed(1)}/100`, this.getScoreGrade(analysis.overallScores.seoScore), '', ''],
-        ['Engagement Signals', `${analysis.overallScores.engagementScore.toFixed(1)}/100`, this.getScoreGrade(analysis.overallScores.engagementScore), '', ''],
-        ['Content Quality', `${analysis.overallScores.contentQualityScore.toFixed(1)}/100`, this.getScoreGrade(analysis.overallScores.contentQualityScore), '', ''],
-        ['Playlist Structure', `${analysis.overallScores.playlistScore.toFixed(1)}/100`, this.getScoreGrade(analysis.overallScores.playlistScore), '', ''],
-        ['Transcript Analysis', `${analysis.overallScores.transcriptScore?.toFixed(1) || 'N/A'}/100`, 
-          analysis.overallScores.transcriptScore ? this.getScoreGrade(analysis.overallScores.transcriptScore) : 'No transcripts', '', ''],
-        ['', '', '', '', ''],
+        ['👁️ VIEWS', ...blank().slice(1)],
+        row('Average Views per Video', profile => profile.views.averageViews.toLocaleString()),
+        row('Median Views per Video', profile => profile.views.medianViews.toLocaleString()),
+        row('Avg Views / Subscribers', profile => (profile.views.averageViewsPerSubscriber !== null ? `${profile.views.averageViewsPerSubscriber}%` : 'N/A')),
+        blank(),
         
-        ['🔍 SEO ANALYSIS BREAKDOWN', '', '', '', ''],
-        ['Average Title Length', `${analysis.seoMetadata.titles.averageLength?.toFixed(1)} characters`, '', '', ''],
-        ['Optimal Length %', `${analysis.seoMetadata.titles.optimalLengthPercentage?.toFixed(1)}%`, 'Target: 80%+', '', ''],
-        ['Videos with NO TAGS', analysis.seoMetadata.tags.videosWithNoTagsCount, 'Target: 0', '🚨 CRITICAL', ''],
-        ['% Videos Missing Tags', `${analysis.seoMetadata.tags.noTagsPercentage?.toFixed(1)}%`, 'Target: 0%', '', ''],
-        ['', '', '', '', ''],
+        ['✍️ TITLE PATTERNS', ...blank().slice(1)],
+        ...titleRows.map(([label, key]) => row(label, profile => fixed(profile.titlePatterns[key]))),
+        blank(),
         
-        ['📹 DETAILED VIDEO ANALYSIS (Recent 15 Videos)', '', '', '', '', ''],
-        ['Title', 'Views', 'Tags Count', 'Title Length', 'Transcript', 'Issues Found'],
-        ...analysis.videos.slice(0, 15).map(video => [
-          video.title.length > 35 ? video.title.substring(0, 32) + '...' : video.title,
-          video.views.toLocaleString(),
-          video.tags?.length || 0,
-          video.title.length,
-          video.transcriptAnalysis?.available ? '✅ Available' : '❌ None',
-          this.identifyVideoIssues(video)
-        ]),
-        ['', '', '', '', ''],
+        ['🎬 FORMAT MIX', ...blank().slice(1)],
+        ...formats.map(format => row(format, profile => `${profile.formatMix[format]?.percentage ?? 0}%`)),
+        blank(),
         
-        ['🎯 PRIORITY RECOMMENDATIONS', '', '', '', ''],
-        ['Priority', 'Action Item', 'Category', '', ''],
-        ...analysis.priorityRecommendations.slice(0, 10).map((rec, index) => [
-          rec.priority || 'Medium',
-          `${index + 1}. ${rec.action}`,
-          rec.category || 'General',
-          '',
-          ''
-        ]),
-        ['', '', '', '', ''],
+        ['🔗 OVERLAP WITH PRIMARY', ...blank().slice(1)],
+        row('Tag Overlap', (profile, index) => (index === 0 ? '-' : `${comparison.overlap.byCompetitor[index - 1].tags.similarity}%`)),
+        row('Theme Overlap', (profile, index) => (index === 0 ? '-' : `${comparison.overlap.byCompetitor[index - 1].themes.similarity}%`)),
+        row('Shared Themes', (profile, index) => (index === 0 ? '-' : comparison.overlap.byCompetitor[index - 1].themes.shared.slice(0, 5).join(', '))),
+        ['Tags You Are Missing', comparison.overlap.tagGaps.slice(0, 10).map(gap => gap.item).join(', ') || 'None', ...blank().slice(2)],
+        ['Themes You Are Missing', comparison.overlap.themeGaps.slice(0, 5).map(gap => gap.item).join(', ') || 'None', ...blank().slice(2)],
+        blank(),
         
-        ['📋 ANALYSIS METADATA', '', '', '', ''],
-        ['Analysis Date', new Date(analysis.analysisDate).toLocaleDateString(), '', '', ''],
-        ['Videos Analyzed', analysis.videos.length, '', '', ''],
-        ['Analysis Version', '4.0 Enhanced with Better Video Coverage', '', '', '']
+        ['🎯 COMPETITIVE RECOMMENDATIONS', ...blank().slice(1)],
+        ...(comparison.recommendations.length > 0
+          ? comparison.recommendations.map(rec => [rec.priority, rec.action, ...blank().slice(2)])
+          : [['-', 'On par with or ahead of competitors in every category', ...blank().slice(2)]]),
+        ...(comparison.failedChannels?.length ? [
+          blank(),
+          ['⚠️ CHANNELS SKIPPED', ...blank().slice(1)],
+          ...comparison.failedChannels.map(failure => [failure.input, failure.error, ...blank().slice(2)])
+        ] : [])
       ];
 
       await this.sheets.spreadsheets.values.update({
         spreadsheetId: sheetId,
-        range: 'A1',
+        range: `'${tab}'!A1`,
         valueInputOption: 'RAW',
         requestBody: { values }
       });
 
-      console.log('✅ Results written to Google Sheets successfully!');
+      console.log(`✅ Comparison written to the "${tab}" tab`);
     } catch (error) {
-      console.error('❌ Failed to write to Google Sheets:', error.message);
+      console.error('❌ Failed to write comparison to Google Sheets:', error.message);
+    }
+  }
+
+  async writeBatchSummaryToSheets(summary) {
+    const sheetId = process.env.GOOGLE_SHEET_ID;
+    if (!sheetId) {
+      console.log('⚠️ No Google Sheet ID provided, skipping batch summary tab');
+      return;
+    }
+
+    const tab = 'Batch Summary';
+    try {
+      await this.ensureSheetTab(sheetId, tab);
+      await this.sheets.spreadsheets.values.clear({
+        spreadsheetId: sheetId,
+        range: `'${tab}'!A1:Z1000`
+      });
+
+      const statusLabels = { success: '✅ Success', failed: '❌ Failed', skipped: '⏭️ Skipped' };
+      const values = [
+        ['📦 BATCH AUDIT SUMMARY', new Date(summary.finishedAt).toLocaleString(), '', '', '', '', '', '', '', ''],
+        ['Channels', summary.totals.channels, 'Succeeded', summary.totals.success, 'Failed', summary.totals.failed,
+          'Skipped', summary.totals.skipped, 'Quota Used', summary.quota.unitsUsed],
+        ['', '', '', '', '', '', '', '', '', ''],
+        ['Input', 'Channel', 'Status', 'Reason', 'Subscribers', 'Videos Analyzed', 'Average Score', 'Top Recommendation', 'Quota Units', 'Duration (s)'],
+        ...summary.channels.map(channel => [
+          channel.label ? `${channel.label} (${channel.input})` : channel.input,
+          channel.channelName || '',
+          statusLabels[channel.status] || channel.status,
+          channel.reason || '',
+          channel.subscriberCount?.toLocaleString() ?? '',
+          channel.videosAnalyzed ?? '',
+          channel.averageScore !== null && channel.averageScore !== undefined ? `${channel.averageScore.toFixed(1)}/100` : '',
+          channel.topRecommendation || '',
+          channel.quotaUnits ?? '',
+          channel.durationSeconds ?? ''
+        ])
+      ];
+
+      await this.sheets.spreadsheets.values.update({
+        spreadsheetId: sheetId,
+        range: `'${tab}'!A1`,
+        valueInputOption: 'RAW',
+        requestBody: { values }
+      });
+
+      console.log(`✅ Batch summary written to the "${tab}" tab`);
+    } catch (error) {
+      console.error('❌ Failed to write batch summary to Google Sheets:', error.message);
     }
   }
 
-  async saveResults(analysis) {
+  async saveComparison(comparison) {
     try {
       await fs.mkdir('results', { recursive: true });
       await fs.writeFile(
-        `results/analysis-${Date.now()}.json`,
-        JSON.stringify(analysis, null, 2)
+        `results/comparison-${Date.now()}.json`,
+        JSON.stringify(comparison, null, 2)
       );
+      console.log('📁 Comparison saved as artifact');
+    } catch (error) {
+      console.error('Failed to save comparison:', error);
+    }
+  }
+
+  async saveVideoTable(analysis, filePath = `results/videos-${analysis.channel.id}-${Date.now()}.csv`) {
+    try {
+      const columns = this.videoTableColumns();
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, formatCsv([
+        columns.map(column => column.header),
+        ...analysis.videos.map(video => columns.map(column => column.value(video)))
+      ]));
+      console.log(`📁 Per-video table saved to ${filePath}`);
+      return filePath;
+    } catch (error) {
+      console.error('Failed to save video table:', error);
+      return null;
+    }
+  }
+
+  // Standalone HTML for clients without access to the Sheet; print it to PDF from any browser
+  async saveHtmlReport(analysis, filePath = `results/report-${analysis.channel.id}-${Date.now()}.html`) {
+    try {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, renderHtmlReport(analysis, {
+        branding: this.branding,
+        grade: score => this.getScoreGrade(score)
+      }));
+      console.log(`📁 HTML report saved to ${filePath}`);
+      return filePath;
+    } catch (error) {
+      console.error('Failed to save HTML report:', error);
+      return null;
+    }
+  }
+
+  // Appends rather than overwrites: GitHub Actions collects every step's output in $GITHUB_STEP_SUMMARY
+  async writeMarkdownSummary(markdown) {
+    if (!this.summaryFile) return null;
+    try {
+      await fs.mkdir(path.dirname(this.summaryFile), { recursive: true });
+      await fs.appendFile(this.summaryFile, `${markdown}\n`);
+      console.log(`📝 Markdown summary written to ${this.summaryFile}`);
+      return this.summaryFile;
+    } catch (error) {
+      console.error('Failed to write Markdown summary:', error);
+      return null;
+    }
+  }
+
+  // A result that does not match schemas/analysis-result.schema.json is a bug, not a save failure, so it throws
+  async saveResults(analysis, filePath = `results/analysis-${Date.now()}.json`) {
+    const errors = validateAnalysis(analysis);
+    if (errors.length > 0) {
+      throw new Error(`Analysis result does not match schema version ${ANALYSIS_SCHEMA_VERSION}:\n  - ${errors.join('\n  - ')}`);
+    }
+    
+    try {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, JSON.stringify(analysis, null, 2));
       console.log('📁 Results saved as artifact');
+      return filePath;
     } catch (error) {
       console.error('Failed to save results:', error);
+      return null;
     }
   }
 
+  // Replaces the Overview tab so whoever opens the Sheet sees the failure rather than the last report
   async writeErrorToSheets(errorMessage) {
     const sheetId = process.env.GOOGLE_SHEET_ID;
     if (!sheetId) return;
 
     try {
-      const values = [
-        ['❌ Analysis Failed', new Date().toLocaleString()],
-        ['Error:', errorMessage],
-        ['', ''],
-        ['Please check:', ''],
-        ['1. Channel URL is correct', ''],
-        ['2. Channel is public', ''],
-        ['3. API key is valid', '']
-      ];
+      const tab = new ReportTab('Overview');
+      tab.section('❌ Analysis Failed');
+      tab.metric('Failed At', toSheetsDate(new Date().toISOString()), 'date');
+      tab.row('Error:', errorMessage);
+      tab.blank();
+      tab.section('Please check:');
+      tab.row('1. Channel URL is correct');
+      tab.row('2. Channel is public');
+      tab.row('3. API key is valid');
 
+      const sheet = await this.ensureSheetTab(sheetId, tab.title);
+      await this.sheets.spreadsheets.batchUpdate({
+        spreadsheetId: sheetId,
+        requestBody: { requests: resetRequests(sheet) }
+      });
       await this.sheets.spreadsheets.values.update({
         spreadsheetId: sheetId,
-        range: 'A1',
+        range: `'${tab.title}'!A1`,
         valueInputOption: 'RAW',
-        requestBody: { values }
+        requestBody: { values: tab.rows }
+      });
+      await this.sheets.spreadsheets.batchUpdate({
+        spreadsheetId: sheetId,
+        requestBody: { requests: formatRequests(sheet.properties.sheetId, tab) }
       });
     } catch (error) {
       console.error('Failed to write error to sheets:', error);
@@ -1260,23 +4270,114 @@ class YouTubeChannelAnalyzer {
   }
 }
 
+// Parses "--name=value" options and bare "--flag" switches; everything else is positional
+function parseCliArgs(argv) {
+  const positional = [];
+  const flags = {};
+  
+  argv.forEach(arg => {
+    const option = arg.match(/^--([\w-]+)(?:=(.*))?$/);
+    if (option) {
+      flags[option[1]] = option[2] !== undefined ? option[2] : true;
+    } else {
+      positional.push(arg);
+    }
+  });
+  
+  return { positional, flags };
+}
+
 // Main execution
 async function main() {
-  const channelUrl = process.argv[2];
+  const { positional, flags } = parseCliArgs(process.argv.slice(2));
+  const channelUrl = positional[0];
+  const snapshotPath = typeof flags['from-snapshot'] === 'string' ? flags['from-snapshot'] : null;
+  const competitorUrls = typeof flags.competitors === 'string'
+    ? flags.competitors.split(',').map(url => url.trim()).filter(Boolean)
+    : [];
+  const batchFile = typeof flags.batch === 'string' ? flags.batch : null;
+  const batchSheetRange = flags['batch-sheet']
+    ? (typeof flags['batch-sheet'] === 'string' ? flags['batch-sheet'] : process.env.BATCH_INPUT_RANGE || 'Channels!A1:B')
+    : null;
+  const isBatch = !!(batchFile || batchSheetRange);
+  const rulesFile = typeof flags.rules === 'string' ? flags.rules : process.env.RULES_FILE;
+  const brandingFile = typeof flags.branding === 'string' ? flags.branding : process.env.REPORT_BRANDING;
+  // Inside GitHub Actions the summary shows on the run page without any flag
+  const summaryFile = typeof flags.summary === 'string' ? flags.summary : process.env.GITHUB_STEP_SUMMARY;
+  
+  // Upgrades saved results and snapshots to the current schema; needs no API access
+  if (flags['migrate-results']) {
+    const directory = typeof flags['migrate-results'] === 'string' ? flags['migrate-results'] : 'results';
+    try {
+      const report = await migrateResultFiles(directory, { dryRun: !!flags['dry-run'] });
+      report.forEach(entry => {
+        if (entry.status === 'failed') console.error(`❌ ${entry.file}: ${entry.reason}`);
+        else if (entry.status === 'migrated') console.log(`🔄 ${entry.file}: version ${entry.from} → ${entry.to}${flags['dry-run'] ? ' (dry run)' : ''}`);
+      });
+      const count = status => report.filter(entry => entry.status === status).length;
+      console.log(`📦 ${count('migrated')} migrated, ${count('current')} already current, ${count('failed')} failed`);
+      process.exit(count('failed') > 0 ? 1 : 0);
+    } catch (error) {
+      console.error(`❌ Could not migrate ${directory}: ${error.message}`);
+      process.exit(1);
+    }
+  }
   
-  if (!channelUrl) {
-    console.error('❌ Please provide a YouTube channel URL');
+  if (!channelUrl && !snapshotPath && !isBatch) {
+    console.error('❌ Please provide a YouTube channel URL (or --from-snapshot=<file>, --batch=<file> or --batch-sheet[=<range>])');
     process.exit(1);
   }
 
-  if (!process.env.YOUTUBE_API_KEY) {
+  // Snapshot files replay offline; anything else needs the API
+  const sources = isBatch ? [null] : [snapshotPath || channelUrl, ...competitorUrls];
+  if (sources.some(source => !/\.json$/i.test(source || '')) && !process.env.YOUTUBE_API_KEY) {
     console.error('❌ YouTube API key not found in environment variables');
     process.exit(1);
   }
 
-  const analyzer = new YouTubeChannelAnalyzer();
+  let rules;
+  let branding;
+  try {
+    rules = rulesFile ? await loadRules(rulesFile) : DEFAULT_RULES;
+    branding = brandingFile ? await loadBranding(brandingFile) : DEFAULT_BRANDING;
+    // An explicit --summary file starts empty each run; $GITHUB_STEP_SUMMARY belongs to the runner
+    if (typeof flags.summary === 'string') {
+      await fs.mkdir(path.dirname(flags.summary), { recursive: true });
+      await fs.writeFile(flags.summary, '');
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const analyzer = new YouTubeChannelAnalyzer({
+    rules,
+    branding,
+    summaryFile,
+    transcriptDir: flags['transcripts-dir'],
+    maxVideos: flags['max-videos'],
+    quotaBudget: flags['quota-budget'],
+    cache: !flags['no-cache'],
+    refreshCache: !!flags.refresh,
+    snapshotPath,
+    saveSnapshot: !flags['no-snapshot'],
+    history: !flags['no-history'],
+    historyDir: flags['history-dir']
+  });
   
   try {
+    if (isBatch) {
+      const entries = await analyzer.readBatchInput({ file: batchFile, sheetRange: batchSheetRange });
+      const summary = await analyzer.analyzeBatch(entries, {
+        concurrency: Math.max(parseInt(flags.concurrency ?? process.env.BATCH_CONCURRENCY ?? 2, 10) || 2, 1)
+      });
+      if (summary.totals.success === 0) process.exit(1);
+      return;
+    }
+    if (competitorUrls.length > 0) {
+      await analyzer.compareChannels(snapshotPath || channelUrl, competitorUrls);
+      return;
+    }
     await analyzer.analyzeChannel(channelUrl);
     console.log('🎉 Enhanced analysis with better video coverage completed successfully!');
   } catch (error) {
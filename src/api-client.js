@@ -0,0 +1,31 @@
+// src/api-client.js - Shared plumbing for wrapping googleapis clients
+
+// Returns a proxy of a googleapis client where every resource.method(params) call goes through
+// wrap(endpoint, call, args), e.g. wrap('videos.list', () => youtube.videos.list(params), [params]).
+// call() repeats the original arguments; call(params, options) substitutes new ones.
+function wrapEndpoints(client, wrap) {
+  return new Proxy(client, {
+    get(target, resourceName) {
+      const resource = target[resourceName];
+      if (!resource || typeof resource !== 'object' || typeof resourceName !== 'string') return resource;
+
+      return new Proxy(resource, {
+        get(resourceTarget, methodName) {
+          const method = resourceTarget[methodName];
+          if (typeof method !== 'function' || typeof methodName !== 'string') return method;
+
+          const endpoint = `${resourceName}.${methodName}`;
+          return (...args) => wrap(
+            endpoint,
+            (...overrideArgs) => method.apply(resourceTarget, overrideArgs.length > 0 ? overrideArgs : args),
+            args
+          );
+        }
+      });
+    }
+  });
+}
+
+module.exports = {
+  wrapEndpoints
+};
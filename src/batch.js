@@ -0,0 +1,81 @@
+// src/batch.js - Channel lists for batch audits and a bounded-concurrency runner
+//
+// A channel list is an array of { input, label, row } entries, where input is anything
+// extractChannelId() understands (URL, @handle, channel id) and row is the source line/row.
+const fs = require('fs').promises;
+const path = require('path');
+const { parseCsv } = require('./csv');
+
+const URL_HEADERS = /^(url|channel|channel[ _-]?url|channel[ _-]?link|link|youtube[ _-]?url|handle)$/i;
+const LABEL_HEADERS = /^(name|label|client|channel[ _-]?name)$/i;
+
+// Works for CSV rows and Sheets ranges alike: uses a url/channel header column when there is one,
+// otherwise the first cell of every row
+function channelsFromRows(rows, firstRowNumber = 1) {
+  const header = rows[0] || [];
+  const urlColumn = header.findIndex(cell => URL_HEADERS.test(String(cell).trim()));
+  const labelColumn = header.findIndex(cell => LABEL_HEADERS.test(String(cell).trim()));
+  const hasHeader = urlColumn !== -1;
+  const column = hasHeader ? urlColumn : 0;
+
+  const entries = [];
+  rows.forEach((row, index) => {
+    if (hasHeader && index === 0) return;
+    const input = String(row[column] ?? '').trim();
+    if (!input || input.startsWith('#')) return;
+    entries.push({
+      input,
+      label: labelColumn !== -1 ? String(row[labelColumn] ?? '').trim() || null : null,
+      row: firstRowNumber + index
+    });
+  });
+  return entries;
+}
+
+function channelsFromJson(data) {
+  const list = Array.isArray(data) ? data : data?.channels;
+  if (!Array.isArray(list)) {
+    throw new Error('Channel list JSON must be an array or an object with a "channels" array');
+  }
+
+  return list.map((item, index) => {
+    const input = typeof item === 'string' ? item : item?.url || item?.channel || item?.input;
+    if (!input) throw new Error(`Channel list entry ${index + 1} has no url`);
+    return { input: String(input).trim(), label: item?.name || item?.label || null, row: index + 1 };
+  });
+}
+
+async function readChannelList(filePath) {
+  const text = await fs.readFile(filePath, 'utf8');
+  const entries = path.extname(filePath).toLowerCase() === '.json'
+    ? channelsFromJson(JSON.parse(text))
+    : channelsFromRows(parseCsv(text.replace(/^﻿/, '')));
+
+  if (entries.length === 0) {
+    throw new Error(`No channels found in ${filePath}`);
+  }
+  return entries;
+}
+
+// Runs worker(item, index) over items with at most `limit` in flight; results keep the input order
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const lanes = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(lanes);
+  return results;
+}
+
+module.exports = {
+  channelsFromRows,
+  channelsFromJson,
+  readChannelList,
+  runWithConcurrency
+};
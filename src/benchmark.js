@@ -0,0 +1,220 @@
+// src/benchmark.js - Side-by-side benchmarking of a channel against its competitors
+//
+// buildChannelProfile() condenses one channel's analysis plus its per-video summaries
+// ({ id, title, tags, views, format, titleAnalysis }) into comparable figures;
+// compareProfiles() lines the primary channel up against the competitors.
+
+const SCORE_LABELS = {
+  brandingScore: 'Branding & Identity',
+  contentStrategyScore: 'Content Strategy',
+  seoScore: 'SEO & Metadata',
+  engagementScore: 'Engagement Signals',
+  commentScore: 'Comments & Community',
+  contentQualityScore: 'Content Quality',
+  playlistScore: 'Playlist Structure',
+  transcriptScore: 'Transcript Analysis'
+};
+
+// Score gap (points) below the competitor average that turns into a recommendation
+const SCORE_GAP_THRESHOLD = 10;
+
+function percentage(count, total) {
+  return total > 0 ? parseFloat(((count / total) * 100).toFixed(1)) : 0;
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+function analyzeTitlePatterns(videos) {
+  const titles = videos.map(video => video.title || '');
+  const count = predicate => percentage(titles.filter(predicate).length, titles.length);
+
+  return {
+    averageLength: titles.length > 0 ? parseFloat((titles.reduce((sum, t) => sum + t.length, 0) / titles.length).toFixed(1)) : 0,
+    averageTitleScore: videos.length > 0
+      ? parseFloat((videos.reduce((sum, v) => sum + (v.titleAnalysis?.score || 0), 0) / videos.length).toFixed(1))
+      : 0,
+    withNumbersPercentage: count(title => /\d/.test(title)),
+    questionPercentage: count(title => title.includes('?')),
+    howToPercentage: count(title => /\bhow to\b/i.test(title)),
+    powerWordPercentage: percentage(videos.filter(v => v.titleAnalysis?.hasPowerWords).length, videos.length),
+    bracketsPercentage: count(title => /[[(].+[\])]/.test(title)),
+    separatorPercentage: count(title => /\s[|:\-–—]\s|:\s/.test(title)),
+    allCapsWordPercentage: count(title => /\b[A-Z]{3,}\b/.test(title)),
+    emojiPercentage: count(title => /\p{Extended_Pictographic}/u.test(title))
+  };
+}
+
+function buildChannelProfile(analysis, videos) {
+  const uploadPattern = analysis.contentStrategy?.uploadPattern || {};
+  const views = videos.map(video => video.views || 0);
+  const averageViews = views.length > 0 ? views.reduce((sum, v) => sum + v, 0) / views.length : 0;
+  const subscribers = analysis.channel.subscriberCount || 0;
+
+  const tagCounts = {};
+  videos.forEach(video => {
+    new Set((video.tags || []).map(tag => tag.toLowerCase().trim()).filter(Boolean)).forEach(tag => {
+      tagCounts[tag] = (tagCounts[tag] || 0) + 1;
+    });
+  });
+
+  const formatCounts = {};
+  videos.forEach(video => {
+    formatCounts[video.format] = (formatCounts[video.format] || 0) + 1;
+  });
+
+  return {
+    channel: {
+      id: analysis.channel.id,
+      name: analysis.channel.name,
+      customUrl: analysis.channel.customUrl || null,
+      subscriberCount: subscribers,
+      totalViews: analysis.channel.totalViews,
+      videoCount: analysis.channel.videoCount
+    },
+    videosAnalyzed: videos.length,
+    scores: { ...analysis.overallScores },
+    cadence: {
+      frequency: uploadPattern.frequency || 'Unknown',
+      uploadsPerWeek: uploadPattern.uploadsPerWeek ?? null,
+      medianGapDays: uploadPattern.medianGapDays ?? null,
+      daysSinceLastUpload: uploadPattern.daysSinceLastUpload ?? null,
+      consistencyScore: uploadPattern.consistencyScore ?? null
+    },
+    views: {
+      averageViews: Math.round(averageViews),
+      medianViews: Math.round(median(views)),
+      // Average views per video as a % of subscribers - comparable across channels of different size
+      averageViewsPerSubscriber: subscribers > 0 ? parseFloat(((averageViews / subscribers) * 100).toFixed(2)) : null
+    },
+    topTags: Object.entries(tagCounts)
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, 30)
+      .map(([tag, count]) => ({ tag, videos: count })),
+    themes: (analysis.contentStrategy?.contentThemes?.primaryThemes || []).map(theme => theme.theme),
+    titlePatterns: analyzeTitlePatterns(videos),
+    formatMix: Object.fromEntries(
+      Object.entries(formatCounts).map(([format, count]) => [format, { videos: count, percentage: percentage(count, videos.length) }])
+    )
+  };
+}
+
+function overlap(primaryItems, competitorItems) {
+  const primarySet = new Set(primaryItems);
+  const competitorSet = new Set(competitorItems);
+  const shared = [...primarySet].filter(item => competitorSet.has(item));
+  const union = new Set([...primarySet, ...competitorSet]);
+
+  return {
+    shared,
+    similarity: union.size > 0 ? parseFloat(((shared.length / union.size) * 100).toFixed(1)) : 0,
+    onlyCompetitor: [...competitorSet].filter(item => !primarySet.has(item))
+  };
+}
+
+// Items used by at least `minChannels` competitors but not by the primary channel
+function findGaps(primaryItems, competitorLists, minChannels) {
+  const primarySet = new Set(primaryItems);
+  const usage = {};
+  competitorLists.forEach(items => {
+    new Set(items).forEach(item => {
+      if (!primarySet.has(item)) usage[item] = (usage[item] || 0) + 1;
+    });
+  });
+  return Object.entries(usage)
+    .filter(([, count]) => count >= minChannels)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([item, channels]) => ({ item, channels }));
+}
+
+function compareProfiles(primary, competitors) {
+  const everyone = [primary, ...competitors];
+  const average = values => {
+    const numbers = values.filter(value => typeof value === 'number' && Number.isFinite(value));
+    return numbers.length > 0 ? parseFloat((numbers.reduce((sum, v) => sum + v, 0) / numbers.length).toFixed(1)) : null;
+  };
+
+  const scores = Object.keys(SCORE_LABELS).map(key => {
+    const ranked = everyone
+      .filter(profile => typeof profile.scores[key] === 'number')
+      .sort((a, b) => b.scores[key] - a.scores[key]);
+    const competitorAverage = average(competitors.map(profile => profile.scores[key]));
+    const primaryScore = primary.scores[key] ?? null;
+
+    return {
+      key,
+      label: SCORE_LABELS[key],
+      primary: primaryScore,
+      competitorAverage,
+      gap: primaryScore !== null && competitorAverage !== null ? parseFloat((primaryScore - competitorAverage).toFixed(1)) : null,
+      leader: ranked[0]?.channel.name || null,
+      primaryRank: ranked.indexOf(primary) + 1 || null,
+      byChannel: everyone.map(profile => profile.scores[key] ?? null)
+    };
+  });
+
+  const primaryTags = primary.topTags.map(t => t.tag);
+  const competitorOverlap = competitors.map(profile => ({
+    channel: profile.channel.name,
+    tags: overlap(primaryTags, profile.topTags.map(t => t.tag)),
+    themes: overlap(primary.themes, profile.themes)
+  }));
+  const minChannels = competitors.length > 2 ? 2 : 1;
+
+  const recommendations = [];
+  scores.forEach(score => {
+    if (score.gap !== null && score.gap <= -SCORE_GAP_THRESHOLD) {
+      recommendations.push({
+        priority: score.gap <= -2 * SCORE_GAP_THRESHOLD ? 'High' : 'Medium',
+        category: 'Competitive Gap',
+        action: `${score.label} trails competitors by ${Math.abs(score.gap).toFixed(1)} points (${score.primary.toFixed(1)} vs ${score.competitorAverage.toFixed(1)} average) - study how ${score.leader} approaches it`
+      });
+    }
+  });
+
+  const competitorCadence = average(competitors.map(profile => profile.cadence.uploadsPerWeek));
+  if (competitorCadence && primary.cadence.uploadsPerWeek !== null && primary.cadence.uploadsPerWeek < competitorCadence * 0.5) {
+    recommendations.push({
+      priority: 'Medium',
+      category: 'Competitive Gap',
+      action: `Competitors publish ${competitorCadence.toFixed(1)} videos/week against your ${primary.cadence.uploadsPerWeek.toFixed(1)} - a steadier cadence would close the gap`
+    });
+  }
+
+  const themeGaps = findGaps(primary.themes, competitors.map(profile => profile.themes), minChannels);
+  if (themeGaps.length > 0) {
+    recommendations.push({
+      priority: 'Low',
+      category: 'Competitive Gap',
+      action: `Topics competitors cover that you do not: ${themeGaps.slice(0, 5).map(gap => `"${gap.item}"`).join(', ')}`
+    });
+  }
+
+  return {
+    comparedAt: new Date().toISOString(),
+    primary: primary.channel.name,
+    competitors: competitors.map(profile => profile.channel.name),
+    channels: everyone,
+    scores,
+    cadence: everyone.map(profile => ({ channel: profile.channel.name, ...profile.cadence })),
+    views: everyone.map(profile => ({ channel: profile.channel.name, subscriberCount: profile.channel.subscriberCount, ...profile.views })),
+    titlePatterns: everyone.map(profile => ({ channel: profile.channel.name, ...profile.titlePatterns })),
+    formatMix: everyone.map(profile => ({ channel: profile.channel.name, formats: profile.formatMix })),
+    overlap: {
+      byCompetitor: competitorOverlap,
+      tagGaps: findGaps(primaryTags, competitors.map(profile => profile.topTags.map(t => t.tag)), minChannels).slice(0, 20),
+      themeGaps: themeGaps.slice(0, 10)
+    },
+    recommendations
+  };
+}
+
+module.exports = {
+  SCORE_LABELS,
+  buildChannelProfile,
+  compareProfiles
+};
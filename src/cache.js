@@ -0,0 +1,187 @@
+// src/cache.js - On-disk cache for YouTube Data API responses
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { wrapEndpoints } = require('./api-client');
+
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+
+// Freshness per requested part; a request lives as long as its most volatile part
+const PART_TTLS = {
+  id: 7 * DAY,
+  snippet: DAY,
+  brandingSettings: DAY,
+  contentDetails: DAY,
+  localizations: DAY,
+  topicDetails: DAY,
+  status: DAY,
+  statistics: HOUR,
+  replies: 6 * HOUR
+};
+
+const ENDPOINT_TTLS = {
+  'playlistItems.list': HOUR, // new uploads appear here first
+  'commentThreads.list': 6 * HOUR,
+  'captions.list': DAY,
+  'captions.download': 7 * DAY,
+  'search.list': DAY
+};
+
+const DEFAULT_TTL = HOUR;
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined && value[key] !== null)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// A cache with a `parent` shares its directory and settings but keeps its own counters (and forwards
+// them), so concurrent audits in a batch each report their own hit rate
+class ResponseCache {
+  constructor({ directory = '.cache/youtube', enabled = true, refresh = false, ttls = {}, parent = null } = {}) {
+    this.parent = parent;
+    this.directory = parent ? parent.directory : directory;
+    this.enabled = parent ? parent.enabled : enabled;
+    this.refresh = parent ? parent.refresh : refresh; // ignore freshness, but still revalidate with ETags and rewrite entries
+    this.ttls = parent ? parent.ttls : ttls;
+    this.stats = { hits: 0, misses: 0, revalidated: 0, writes: 0, staleServed: 0, errors: 0 };
+  }
+
+  record(counter) {
+    this.stats[counter]++;
+    if (this.parent) this.parent.record(counter);
+  }
+
+  ttlFor(endpoint, params = {}) {
+    if (this.ttls[endpoint] !== undefined) return this.ttls[endpoint];
+    if (ENDPOINT_TTLS[endpoint] !== undefined) return ENDPOINT_TTLS[endpoint];
+
+    const parts = [].concat(params.part || []).flatMap(part => String(part).split(','));
+    const partTtls = parts.map(part => PART_TTLS[part.trim()]).filter(ttl => ttl !== undefined);
+    return partTtls.length > 0 ? Math.min(...partTtls) : DEFAULT_TTL;
+  }
+
+  keyFor(endpoint, params = {}) {
+    return `${endpoint}:${stableStringify(params)}`;
+  }
+
+  filePath(endpoint, key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.directory, endpoint, `${hash}.json`);
+  }
+
+  async read(endpoint, key) {
+    try {
+      const entry = JSON.parse(await fs.readFile(this.filePath(endpoint, key), 'utf8'));
+      return entry.key === key ? entry : null;
+    } catch (error) {
+      if (error.code !== 'ENOENT') this.record('errors');
+      return null;
+    }
+  }
+
+  async write(endpoint, key, data, ttl) {
+    const filePath = this.filePath(endpoint, key);
+    try {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, JSON.stringify({
+        key,
+        storedAt: new Date().toISOString(),
+        ttl,
+        etag: data?.etag || null,
+        data
+      }));
+      this.record('writes');
+    } catch (error) {
+      this.record('errors');
+    }
+  }
+
+  isFresh(entry, ttl) {
+    return Date.now() - new Date(entry.storedAt).getTime() < ttl * 1000;
+  }
+
+  // Whether withCache() would answer this request from disk without calling the API
+  async isCached(endpoint, params = {}) {
+    if (!this.enabled || this.refresh) return false;
+    const entry = await this.read(endpoint, this.keyFor(endpoint, params));
+    return !!entry && this.isFresh(entry, this.ttlFor(endpoint, params));
+  }
+
+  snapshot() {
+    return { ...this.stats };
+  }
+
+  // Counters since an earlier snapshot(), for reporting one channel inside a multi-channel run
+  summary(since = null) {
+    const counters = {};
+    Object.keys(this.stats).forEach(name => {
+      counters[name] = this.stats[name] - (since?.[name] || 0);
+    });
+    const lookups = counters.hits + counters.misses + counters.revalidated;
+
+    return {
+      enabled: this.enabled,
+      refresh: this.refresh,
+      directory: this.enabled ? this.directory : null,
+      ...counters,
+      hitRate: lookups > 0 ? parseFloat((((counters.hits + counters.revalidated) / lookups) * 100).toFixed(1)) : 0
+    };
+  }
+}
+
+// Serves fresh responses from disk, revalidates stale ones with If-None-Match, and falls back
+// to a stale copy when the API cannot be reached. Sits outside the retry and quota layers so
+// cache hits cost no quota.
+function withCache(youtube, cache) {
+  if (!cache.enabled) return youtube;
+
+  return wrapEndpoints(youtube, async (endpoint, call, args) => {
+    const [params = {}, options = {}] = args;
+    const key = cache.keyFor(endpoint, params);
+    const ttl = cache.ttlFor(endpoint, params);
+    const entry = await cache.read(endpoint, key);
+
+    if (entry && !cache.refresh && cache.isFresh(entry, ttl)) {
+      cache.record('hits');
+      return { data: entry.data, fromCache: true };
+    }
+
+    const requestOptions = entry?.etag
+      ? { ...options, headers: { ...(options.headers || {}), 'If-None-Match': entry.etag } }
+      : options;
+
+    try {
+      const response = await call(params, requestOptions);
+      cache.record('misses');
+      await cache.write(endpoint, key, response.data, ttl);
+      return response;
+    } catch (error) {
+      const status = error.response?.status ?? Number(error.code);
+      if (entry && status === 304) {
+        cache.record('revalidated');
+        await cache.write(endpoint, key, entry.data, ttl);
+        return { data: entry.data, fromCache: true };
+      }
+      if (entry && !error.fatal) {
+        cache.record('staleServed');
+        console.warn(`⚠️ ${endpoint} failed (${error.message}) - using cached response from ${entry.storedAt}`);
+        return { data: entry.data, fromCache: true, stale: true };
+      }
+      throw error;
+    }
+  });
+}
+
+module.exports = {
+  PART_TTLS,
+  ENDPOINT_TTLS,
+  ResponseCache,
+  withCache
+};
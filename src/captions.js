@@ -0,0 +1,285 @@
+// src/captions.js - Caption file parsing (TTML, YouTube timed text, WebVTT, SRT)
+//
+// Every parser returns { format, cues } where each cue is { begin, end, text, speaker }.
+// Times are in seconds; end and speaker are null when the source does not provide them.
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const codePoint = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      // fromCodePoint throws a RangeError past U+10FFFF; leave such entities as they are
+      return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : entity;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+function normalizeCueText(text) {
+  return text
+    .split('\n')
+    .map(line => line.replace(/[ \t\r\f\v]+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+// Parses TTML time expressions into seconds:
+//   clock time  "01:02:03", "01:02:03.500", "01:02:03:12" (frames), "01:02:03:12.1" (sub-frames)
+//   offset time "12.5s", "300ms", "1.5h", "2m", "25f" (frames), "300t" (ticks)
+// WebVTT/SRT style "02:03.500" and "00:00:01,000" are accepted as well.
+// Returns null for anything it does not understand.
+function parseTimeExpression(expression, timing = {}) {
+  if (expression === undefined || expression === null) return null;
+  const value = String(expression).trim();
+  const frameRate = (timing.frameRate || 30) * (timing.frameRateMultiplier || 1);
+  const subFrameRate = timing.subFrameRate || 1;
+  const tickRate = timing.tickRate || (timing.frameRate ? frameRate * subFrameRate : 1);
+
+  const clock = value.match(/^(?:(\d+):)?(\d{1,2}):(\d{2})(?:[.,](\d+))?(?::(\d+)(?:\.(\d+))?)?$/);
+  if (clock) {
+    const [, hours = '0', minutes, seconds, fraction, frames, subFrames] = clock;
+    let total = parseInt(hours, 10) * 3600 + parseInt(minutes, 10) * 60 + parseInt(seconds, 10);
+    if (fraction) total += parseFloat(`0.${fraction}`);
+    if (frames) total += parseInt(frames, 10) / frameRate;
+    if (subFrames) total += parseInt(subFrames, 10) / subFrameRate / frameRate;
+    return total;
+  }
+
+  const offset = value.match(/^(\d+(?:\.\d+)?)(h|m|s|ms|f|t)$/);
+  if (offset) {
+    const amount = parseFloat(offset[1]);
+    switch (offset[2]) {
+      case 'h': return amount * 3600;
+      case 'm': return amount * 60;
+      case 's': return amount;
+      case 'ms': return amount / 1000;
+      case 'f': return amount / frameRate;
+      case 't': return amount / tickRate;
+    }
+  }
+
+  return null;
+}
+
+// Minimal XML reader - enough structure for caption documents without pulling in a parser dependency
+function parseXml(xml) {
+  const root = { name: '#document', attributes: {}, children: [], parent: null };
+  const tokenRegex = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<\/([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  let current = root;
+  let match;
+
+  while ((match = tokenRegex.exec(xml)) !== null) {
+    const [, cdata, closingName, openingName, attributeText, selfClosing, text] = match;
+
+    if (cdata !== undefined) {
+      current.children.push({ name: '#text', text: cdata });
+    } else if (text !== undefined) {
+      current.children.push({ name: '#text', text: decodeEntities(text) });
+    } else if (openingName) {
+      const attributes = {};
+      const attributeRegex = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+      let attribute;
+      while ((attribute = attributeRegex.exec(attributeText)) !== null) {
+        attributes[localName(attribute[1])] = decodeEntities(attribute[2] ?? attribute[3]);
+      }
+
+      const element = { name: localName(openingName), attributes, children: [], parent: current };
+      current.children.push(element);
+      if (!selfClosing) current = element;
+    } else if (closingName) {
+      // Tolerate mismatched tags by unwinding to the nearest matching ancestor
+      let node = current;
+      while (node.parent && node.name !== localName(closingName)) node = node.parent;
+      if (node.parent) current = node.parent;
+    }
+  }
+
+  return root;
+}
+
+function localName(qualifiedName) {
+  const index = qualifiedName.indexOf(':');
+  return index === -1 ? qualifiedName : qualifiedName.slice(index + 1);
+}
+
+function findElements(node, name, results = []) {
+  (node.children || []).forEach(child => {
+    if (child.name === name) results.push(child);
+    findElements(child, name, results);
+  });
+  return results;
+}
+
+function elementText(node) {
+  if (node.name === '#text') return node.text;
+  if (node.name === 'br') return '\n';
+  return (node.children || []).map(elementText).join('');
+}
+
+function parseTTML(data) {
+  const document = parseXml(data);
+  const tt = findElements(document, 'tt')[0] || findElements(document, 'timedtext')[0] || document;
+  const attributes = tt.attributes || {};
+
+  const multiplier = (attributes.frameRateMultiplier || '').split(/\s+/).map(Number);
+  const timing = {
+    frameRate: parseFloat(attributes.frameRate) || undefined,
+    frameRateMultiplier: multiplier.length === 2 && multiplier[1] ? multiplier[0] / multiplier[1] : 1,
+    subFrameRate: parseFloat(attributes.subFrameRate) || undefined,
+    tickRate: parseFloat(attributes.tickRate) || undefined
+  };
+
+  const agents = {};
+  findElements(tt, 'agent').forEach(agent => {
+    const nameElement = findElements(agent, 'name')[0];
+    const id = agent.attributes.id;
+    if (id) agents[id] = normalizeCueText(nameElement ? elementText(nameElement) : id);
+  });
+
+  const cues = [];
+  const resolveSpeaker = node => {
+    const agentId = (node.attributes?.agent || '').split(/\s+/)[0];
+    if (agentId) return agents[agentId] || agentId;
+    const spanWithAgent = findElements(node, 'span').find(span => span.attributes.agent);
+    return spanWithAgent ? resolveSpeaker(spanWithAgent) : null;
+  };
+
+  // Times on nested elements are offsets from their parent's begin (TTML parallel time containment)
+  const walk = (node, parentBegin, parentEnd, inheritedSpeaker) => {
+    const nodeAttributes = node.attributes || {};
+    const isTimedText = node.name === 'p' && nodeAttributes.t !== undefined && nodeAttributes.begin === undefined;
+
+    let begin = parentBegin;
+    let end = parentEnd;
+
+    if (isTimedText) {
+      // YouTube timed text (srv3): t and d are milliseconds
+      begin = parentBegin + (parseFloat(nodeAttributes.t) || 0) / 1000;
+      end = nodeAttributes.d !== undefined ? begin + (parseFloat(nodeAttributes.d) || 0) / 1000 : parentEnd;
+    } else {
+      const beginOffset = parseTimeExpression(nodeAttributes.begin, timing);
+      const endOffset = parseTimeExpression(nodeAttributes.end, timing);
+      const duration = parseTimeExpression(nodeAttributes.dur, timing);
+      if (beginOffset !== null) begin = parentBegin + beginOffset;
+      if (endOffset !== null) end = parentBegin + endOffset;
+      else if (duration !== null) end = begin + duration;
+    }
+
+    const agentId = (nodeAttributes.agent || '').split(/\s+/)[0];
+    const speaker = agentId ? agents[agentId] || agentId : inheritedSpeaker;
+
+    if (node.name === 'p') {
+      const text = normalizeCueText(elementText(node));
+      if (text) {
+        cues.push({ begin, end: end ?? null, text, speaker: speaker || resolveSpeaker(node) });
+      }
+      return;
+    }
+
+    (node.children || []).forEach(child => {
+      if (child.name !== '#text' && child.name !== 'head') walk(child, begin, end, speaker);
+    });
+  };
+
+  walk(tt, 0, null, null);
+  cues.sort((a, b) => a.begin - b.begin);
+
+  return { format: tt.name === 'timedtext' ? 'srv3' : 'ttml', cues };
+}
+
+// Shared by WebVTT and SRT: blocks separated by blank lines, each with a "start --> end" timing line
+function parseTimedBlocks(data, format) {
+  const cues = [];
+  const blocks = data.replace(/^﻿/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+
+  blocks.forEach(block => {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) return;
+    if (format === 'webvtt' && /^(NOTE|STYLE|REGION)\b/.test(lines[0])) return;
+
+    const [beginText, endText] = lines[timingIndex].split('-->').map(part => part.trim().split(/\s+/)[0]);
+    const begin = parseTimeExpression(beginText);
+    const end = parseTimeExpression(endText);
+    if (begin === null) return;
+
+    let rawText = lines.slice(timingIndex + 1).join('\n');
+    let speaker = null;
+
+    const voice = rawText.match(/<v(?:\.[\w.-]+)?\s+([^>]+)>/);
+    if (voice) speaker = voice[1].trim();
+
+    rawText = rawText
+      .replace(/<\d{1,2}:\d{2}(?::\d{2})?[.,]\d+>/g, '') // inline karaoke timestamps from auto-captions
+      .replace(/<[^>]+>/g, '');
+
+    if (!speaker) {
+      const namedSpeaker = rawText.match(/^\s*(?:>>\s*)?([A-Z][A-Z0-9 .'-]{1,30}):\s+/);
+      if (namedSpeaker) {
+        speaker = namedSpeaker[1].trim();
+        rawText = rawText.slice(namedSpeaker[0].length);
+      }
+    }
+
+    const text = normalizeCueText(decodeEntities(rawText));
+    if (text) cues.push({ begin, end, text, speaker });
+  });
+
+  return { format, cues };
+}
+
+function parseWebVTT(data) {
+  return parseTimedBlocks(data, 'webvtt');
+}
+
+function parseSRT(data) {
+  return parseTimedBlocks(data, 'srt');
+}
+
+function detectCaptionFormat(data) {
+  const head = data.replace(/^﻿/, '').trimStart().slice(0, 500);
+  if (/^WEBVTT/.test(head)) return 'webvtt';
+  if (/^</.test(head)) return /<timedtext/.test(head) ? 'srv3' : 'ttml';
+  if (/^\d+\s*\r?\n\s*\d{1,2}:\d{2}:\d{2}[,.]\d+\s*-->/.test(head)) return 'srt';
+  if (/-->/.test(head)) return 'webvtt';
+  return null;
+}
+
+// Parses caption data in any supported format. Pass format ('ttml', 'srv3', 'webvtt', 'srt') to skip detection.
+function parseCaptions(data, format = null) {
+  const text = Buffer.isBuffer(data) ? data.toString('utf8') : String(data || '');
+  const detectedFormat = format || detectCaptionFormat(text);
+
+  switch (detectedFormat) {
+    case 'ttml':
+    case 'srv3':
+    case 'dfxp':
+    case 'xml':
+      return parseTTML(text);
+    case 'webvtt':
+    case 'vtt':
+      return parseWebVTT(text);
+    case 'srt':
+      return parseSRT(text);
+    default:
+      return { format: null, cues: [] };
+  }
+}
+
+module.exports = {
+  parseCaptions,
+  parseTTML,
+  parseWebVTT,
+  parseSRT,
+  parseTimeExpression,
+  detectCaptionFormat,
+  decodeEntities
+};
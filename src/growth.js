@@ -0,0 +1,85 @@
+// src/growth.js - View accumulation curves and trend fitting
+//
+// Views are modelled as a power law of video age, views = a * age^b, fitted by least squares in
+// log-log space. Cross-sectional data (one point per video) is enough to fit it; observations of
+// the same videos at earlier ages from the audit history are simply extra points.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function linearRegression(points) {
+  const n = points.length;
+  if (n < 2) return null;
+
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  points.forEach(p => {
+    covariance += (p.x - meanX) * (p.y - meanY);
+    varianceX += (p.x - meanX) ** 2;
+    varianceY += (p.y - meanY) ** 2;
+  });
+  if (varianceX === 0) return null;
+
+  const slope = covariance / varianceX;
+  return {
+    slope,
+    intercept: meanY - slope * meanX,
+    rSquared: varianceY > 0 ? (covariance * covariance) / (varianceX * varianceY) : 0
+  };
+}
+
+// observations: [{ ageDays, views }]; ages under a day are clamped to one day
+function fitViewCurve(observations) {
+  const points = observations
+    .filter(o => o.views > 0 && o.ageDays > 0)
+    .map(o => ({ x: Math.log(Math.max(o.ageDays, 1)), y: Math.log(o.views) }));
+  const fit = linearRegression(points);
+  if (!fit) return null;
+
+  // Cumulative views cannot shrink with age; a negative slope means newer uploads simply do better.
+  // The flat curve is then refitted: its best level is the geometric mean of the views, and a
+  // constant explains none of the variance
+  if (fit.slope < 0) {
+    return {
+      a: Math.exp(points.reduce((sum, point) => sum + point.y, 0) / points.length),
+      b: 0,
+      rSquared: 0,
+      observations: points.length
+    };
+  }
+
+  return {
+    a: Math.exp(fit.intercept),
+    b: fit.slope,
+    rSquared: fit.rSquared,
+    observations: points.length
+  };
+}
+
+function expectedViewsAt(curve, ageDays) {
+  return curve ? curve.a * Math.max(ageDays, 1) ** curve.b : null;
+}
+
+function ageInDays(publishedAt, referenceTime) {
+  return Math.max((referenceTime - Date.parse(publishedAt)) / DAY_MS, 0);
+}
+
+// Observed momentum: views/day since the previous audit relative to the video's lifetime average
+function classifyMomentum(ratio) {
+  if (ratio === null) return 'Unknown';
+  if (ratio >= 1.2) return 'Accelerating';
+  if (ratio >= 0.4) return 'Evergreen';
+  if (ratio >= 0.1) return 'Slowing';
+  return 'Plateaued';
+}
+
+module.exports = {
+  DAY_MS,
+  linearRegression,
+  fitViewCurve,
+  expectedViewsAt,
+  ageInDays,
+  classifyMomentum
+};
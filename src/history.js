@@ -0,0 +1,184 @@
+// src/history.js - Per-channel audit history and run-over-run comparison
+//
+// Every audit leaves a compact record in <directory>/<channelId>/<fetchedAt>.json holding the
+// channel totals, overall scores, view counts of every analysed video and every recommendation.
+// compareRuns() turns two records into the deltas shown in the report.
+const fs = require('fs').promises;
+const path = require('path');
+
+// Version 2 records hold every recommendation; version 1 kept only the top 10
+const HISTORY_VERSION = 2;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// recommendations should be the full ranked list: priorityRecommendations is cut to the top 10, so a
+// recommendation dropping out of it would otherwise count as resolved
+function createHistoryRecord(analysis, videos, recommendations = analysis.priorityRecommendations) {
+  return {
+    historyVersion: HISTORY_VERSION,
+    channelId: analysis.channel.id,
+    channelName: analysis.channel.name,
+    recordedAt: analysis.analysisMetadata?.fetchedAt || analysis.timestamp,
+    rulesProfile: analysis.rules?.profile || 'default',
+    channel: {
+      subscriberCount: analysis.channel.subscriberCount,
+      totalViews: analysis.channel.totalViews,
+      videoCount: analysis.channel.videoCount
+    },
+    overallScores: { ...analysis.overallScores },
+    videos: videos.map(video => ({
+      id: video.id,
+      title: video.snippet?.title || video.title,
+      publishedAt: video.snippet?.publishedAt || video.publishedAt,
+      views: parseInt(video.statistics?.viewCount ?? video.views, 10) || 0
+    })),
+    recommendations: (recommendations || []).map(rec => ({
+      priority: rec.priority,
+      category: rec.category,
+      action: rec.action
+    }))
+  };
+}
+
+class HistoryStore {
+  constructor({ directory = 'results/history' } = {}) {
+    this.directory = directory;
+  }
+
+  channelDirectory(channelId) {
+    return path.join(this.directory, channelId.replace(/[^\w-]/g, '_'));
+  }
+
+  // Named after the fetch time, so replaying the same snapshot overwrites rather than duplicates
+  recordPath(record) {
+    const stamp = new Date(record.recordedAt).toISOString().replace(/[:.]/g, '-');
+    return path.join(this.channelDirectory(record.channelId), `${stamp}.json`);
+  }
+
+  async list(channelId) {
+    let files = [];
+    try {
+      files = await fs.readdir(this.channelDirectory(channelId));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const records = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      try {
+        records.push(JSON.parse(await fs.readFile(path.join(this.channelDirectory(channelId), file), 'utf8')));
+      } catch (error) {
+        console.warn(`⚠️ Skipping unreadable history record ${file}: ${error.message}`);
+      }
+    }
+    return records.sort((a, b) => Date.parse(a.recordedAt) - Date.parse(b.recordedAt));
+  }
+
+  // Most recent record strictly older than `before`, so a replayed snapshot compares against the run before it
+  async previous(channelId, before) {
+    const cutoff = Date.parse(before);
+    const records = await this.list(channelId);
+    return records.filter(record => Date.parse(record.recordedAt) < cutoff).pop() || null;
+  }
+
+  async save(record) {
+    const filePath = this.recordPath(record);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(record, null, 2));
+    return filePath;
+  }
+}
+
+function describeChange(previous, current) {
+  const change = current - previous;
+  return {
+    previous,
+    current,
+    change: parseFloat(change.toFixed(1)),
+    percentChange: previous > 0 ? parseFloat(((change / previous) * 100).toFixed(2)) : null
+  };
+}
+
+// Numbers inside actions ("No uploads for 23 days") change between runs, so match on the wording only
+function recommendationKey(rec) {
+  return `${rec.category || 'General'}|${String(rec.action || '').toLowerCase().replace(/\d+(?:[.,]\d+)*/g, '#')}`;
+}
+
+function compareRuns(previous, current) {
+  const elapsedDays = Math.max((Date.parse(current.recordedAt) - Date.parse(previous.recordedAt)) / DAY_MS, 0);
+  const perDay = value => (elapsedDays > 0 ? parseFloat((value / elapsedDays).toFixed(1)) : null);
+
+  const scoreDeltas = {};
+  Object.entries(current.overallScores || {}).forEach(([name, score]) => {
+    const before = previous.overallScores?.[name];
+    if (typeof score !== 'number' || typeof before !== 'number') {
+      scoreDeltas[name] = { previous: before ?? null, current: score ?? null, change: null };
+    } else {
+      scoreDeltas[name] = { previous: before, current: score, change: parseFloat((score - before).toFixed(1)) };
+    }
+  });
+
+  const subscribers = describeChange(previous.channel.subscriberCount, current.channel.subscriberCount);
+  const views = describeChange(previous.channel.totalViews, current.channel.totalViews);
+
+  const previousVideos = new Map(previous.videos.map(video => [video.id, video]));
+  const velocities = current.videos
+    .filter(video => previousVideos.has(video.id))
+    .map(video => {
+      const viewsGained = video.views - previousVideos.get(video.id).views;
+      return { id: video.id, title: video.title, views: video.views, viewsGained, viewsPerDay: perDay(viewsGained) };
+    })
+    .sort((a, b) => b.viewsGained - a.viewsGained);
+  const sortedGains = velocities.map(v => v.viewsGained).sort((a, b) => a - b);
+  const medianGain = sortedGains.length > 0 ? sortedGains[Math.floor(sortedGains.length / 2)] : 0;
+
+  const newUploads = current.videos
+    .filter(video => !previousVideos.has(video.id) && Date.parse(video.publishedAt) > Date.parse(previous.recordedAt))
+    .map(video => ({ id: video.id, title: video.title, publishedAt: video.publishedAt, views: video.views }));
+
+  const previousRecs = new Map((previous.recommendations || []).map(rec => [recommendationKey(rec), rec]));
+  // Against a top-10-only record, only the current top 10 is comparable
+  const currentList = (previous.historyVersion ?? 1) < 2 ? (current.recommendations || []).slice(0, 10) : (current.recommendations || []);
+  const currentRecs = new Map(currentList.map(rec => [recommendationKey(rec), rec]));
+  const resolved = [...previousRecs].filter(([key]) => !currentRecs.has(key)).map(([, rec]) => rec);
+  const introduced = [...currentRecs].filter(([key]) => !previousRecs.has(key)).map(([, rec]) => rec);
+
+  return {
+    previousRecordedAt: previous.recordedAt,
+    currentRecordedAt: current.recordedAt,
+    elapsedDays: parseFloat(elapsedDays.toFixed(1)),
+    // Scores computed under different rules profiles are not directly comparable
+    rulesProfile: {
+      previous: previous.rulesProfile || 'default',
+      current: current.rulesProfile || 'default',
+      changed: (previous.rulesProfile || 'default') !== (current.rulesProfile || 'default')
+    },
+    scoreDeltas,
+    channelGrowth: {
+      subscribers: { ...subscribers, perDay: perDay(subscribers.change) },
+      views: { ...views, perDay: perDay(views.change) },
+      videoCount: describeChange(previous.channel.videoCount, current.channel.videoCount)
+    },
+    videoVelocity: {
+      videosCompared: velocities.length,
+      totalViewsGained: velocities.reduce((sum, v) => sum + v.viewsGained, 0),
+      medianViewsGained: medianGain,
+      medianViewsPerDay: perDay(medianGain),
+      fastest: velocities.slice(0, 10),
+      slowest: velocities.length > 10 ? velocities.slice(-5).reverse() : []
+    },
+    newUploads,
+    recommendations: {
+      resolved,
+      introduced,
+      persisting: currentRecs.size - introduced.length
+    }
+  };
+}
+
+module.exports = {
+  HISTORY_VERSION,
+  HistoryStore,
+  createHistoryRecord,
+  compareRuns
+};
@@ -0,0 +1,493 @@
+// src/html-report.js - Standalone HTML audit report
+//
+// renderHtmlReport() turns a performAnalysis() result into a single HTML document with inline CSS
+// and inline SVG charts, so it can be emailed, opened offline and printed to PDF from a browser.
+// A branding file (JSON) sets the agency name, logo, colours, footer and extra CSS; the logo is
+// embedded as a data URI so the report never references external assets.
+const fs = require('fs').promises;
+const path = require('path');
+const { validateSchema } = require('./schema');
+const { SCORE_LABELS } = require('./benchmark');
+
+const DEFAULT_BRANDING = {
+  agencyName: null,
+  reportTitle: 'YouTube Channel Audit',
+  logo: null,
+  colors: {
+    primary: '#1a73e8',
+    accent: '#ff0033',
+    text: '#202124',
+    muted: '#5f6368',
+    background: '#ffffff',
+    good: '#1e8e3e',
+    fair: '#f29900',
+    poor: '#d93025'
+  },
+  footer: null,
+  customCss: ''
+};
+
+const color = { type: 'string', pattern: '^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$' };
+const BRANDING_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    agencyName: { type: ['string', 'null'] },
+    reportTitle: { type: 'string', minLength: 1 },
+    logo: { type: ['string', 'null'] },
+    colors: {
+      type: 'object',
+      additionalProperties: false,
+      properties: Object.fromEntries(Object.keys(DEFAULT_BRANDING.colors).map(key => [key, color]))
+    },
+    footer: { type: ['string', 'null'] },
+    customCss: { type: 'string' }
+  }
+};
+
+const IMAGE_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif', '.webp': 'image/webp', '.svg': 'image/svg+xml' };
+
+// Reads a branding JSON file; a logo path is resolved relative to the file and inlined
+async function loadBranding(filePath) {
+  let branding;
+  try {
+    branding = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read branding file ${filePath}: ${error.message}`);
+  }
+
+  const errors = validateSchema(BRANDING_SCHEMA, branding);
+  if (errors.length > 0) {
+    throw new Error(`Branding file ${filePath} is invalid:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  if (branding.logo && !branding.logo.startsWith('data:')) {
+    if (/^https?:\/\//i.test(branding.logo)) {
+      throw new Error(`Branding logo must be a local image file or data URI, not a URL (${branding.logo})`);
+    }
+    const logoPath = path.resolve(path.dirname(filePath), branding.logo);
+    const type = IMAGE_TYPES[path.extname(logoPath).toLowerCase()];
+    if (!type) throw new Error(`Unsupported logo format: ${branding.logo}`);
+    branding.logo = `data:${type};base64,${(await fs.readFile(logoPath)).toString('base64')}`;
+  }
+
+  return { ...DEFAULT_BRANDING, ...branding, colors: { ...DEFAULT_BRANDING.colors, ...branding.colors } };
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatNumber(value, digits = 0) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return 'N/A';
+  return value.toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+function percent(value, digits = 1) {
+  return typeof value === 'number' && Number.isFinite(value) ? `${formatNumber(value, digits)}%` : 'N/A';
+}
+
+// Same bands as the Sheets conditional formatting
+function scoreBand(score) {
+  if (typeof score !== 'number') return 'none';
+  if (score >= 80) return 'good';
+  if (score >= 60) return 'ok';
+  if (score >= 50) return 'fair';
+  return 'poor';
+}
+
+function gauge(label, score) {
+  const length = Math.PI * 50;
+  const filled = typeof score === 'number' ? (Math.max(0, Math.min(score, 100)) / 100) * length : 0;
+  return `<figure class="gauge band-${scoreBand(score)}">
+  <svg viewBox="0 0 120 70" role="img" aria-label="${escapeHtml(label)}: ${typeof score === 'number' ? score.toFixed(0) : 'no data'} out of 100">
+    <path d="M10 62 A50 50 0 0 1 110 62" class="gauge-track"/>
+    <path d="M10 62 A50 50 0 0 1 110 62" class="gauge-value" stroke-dasharray="${filled.toFixed(1)} ${length.toFixed(1)}"/>
+    <text x="60" y="58" text-anchor="middle" class="gauge-score">${typeof score === 'number' ? score.toFixed(0) : '–'}</text>
+  </svg>
+  <figcaption>${escapeHtml(label)}</figcaption>
+</figure>`;
+}
+
+// series: [{ name, values: [number|null] }] plotted against labels; gaps are left where a value is null
+function lineChart(labels, series, { title }) {
+  const width = 640;
+  const height = 240;
+  const pad = { top: 20, right: 16, bottom: 36, left: 64 };
+  const values = series.flatMap(s => s.values).filter(v => typeof v === 'number');
+  if (labels.length < 2 || values.length === 0) return '';
+
+  const max = Math.max(...values) * 1.1 || 1;
+  const x = index => pad.left + (index / (labels.length - 1)) * (width - pad.left - pad.right);
+  const y = value => height - pad.bottom - (value / max) * (height - pad.top - pad.bottom);
+  const ticks = [0, 0.25, 0.5, 0.75, 1].map(fraction => max * fraction);
+
+  const lines = series.map((s, seriesIndex) => {
+    const segments = [];
+    let current = [];
+    s.values.forEach((value, index) => {
+      if (typeof value === 'number') current.push(`${x(index).toFixed(1)},${y(value).toFixed(1)}`);
+      else if (current.length > 0) { segments.push(current); current = []; }
+    });
+    if (current.length > 0) segments.push(current);
+    return segments.map(points => `<polyline class="series-${seriesIndex}" points="${points.join(' ')}"/>`).join('')
+      + s.values.map((value, index) => (typeof value === 'number'
+        ? `<circle class="series-${seriesIndex}" cx="${x(index).toFixed(1)}" cy="${y(value).toFixed(1)}" r="3"><title>${escapeHtml(labels[index])}: ${formatNumber(value)}</title></circle>`
+        : '')).join('');
+  }).join('');
+
+  return `<svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(title)}">
+  ${ticks.map(tick => `<line class="grid" x1="${pad.left}" x2="${width - pad.right}" y1="${y(tick).toFixed(1)}" y2="${y(tick).toFixed(1)}"/>
+  <text class="axis" x="${pad.left - 8}" y="${(y(tick) + 4).toFixed(1)}" text-anchor="end">${formatNumber(tick)}</text>`).join('')}
+  ${labels.map((label, index) => `<text class="axis" x="${x(index).toFixed(1)}" y="${height - pad.bottom + 18}" text-anchor="middle">${escapeHtml(label)}</text>`).join('')}
+  ${lines}
+</svg>
+<p class="legend">${series.map((s, index) => `<span class="key series-${index}"></span>${escapeHtml(s.name)}`).join(' ')}</p>`;
+}
+
+function table(headers, rows, { className = '' } = {}) {
+  if (rows.length === 0) return '';
+  return `<table class="${className}">
+  <thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>
+  <tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('\n')}</tbody>
+</table>`;
+}
+
+// Key/value facts; values are escaped here
+function facts(entries) {
+  return `<dl class="facts">${entries
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([label, value]) => `<div><dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd></div>`)
+    .join('')}</dl>`;
+}
+
+function scoreCell(score) {
+  return `<span class="score band-${scoreBand(score)}">${typeof score === 'number' ? score.toFixed(0) : '–'}</span>`;
+}
+
+function list(items) {
+  const text = items.map(item => (typeof item === 'string' ? item : item?.finding || item?.action || '')).filter(Boolean);
+  return text.length > 0 ? `<ul>${text.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>` : '';
+}
+
+function recommendationList(recommendations) {
+  if (!recommendations?.length) return '';
+  return `<ul class="recommendations">${recommendations.map(rec => `<li><span class="priority priority-${escapeHtml(String(rec.priority || 'Medium').toLowerCase())}">${escapeHtml(rec.priority || 'Medium')}</span> ${escapeHtml(rec.action)}</li>`).join('')}</ul>`;
+}
+
+function section(id, title, score, body) {
+  return `<section id="${id}">
+  <header class="section-header"><h2>${escapeHtml(title)}</h2>${typeof score === 'number' ? scoreCell(score) : ''}</header>
+  ${body}
+</section>`;
+}
+
+function renderSections(analysis) {
+  const scores = analysis.overallScores;
+  const branding = analysis.brandingIdentity;
+  const strategy = analysis.contentStrategy;
+  const seo = analysis.seoMetadata;
+  const engagement = analysis.engagementSignals;
+  const comments = analysis.commentAnalysis;
+  const quality = analysis.contentQuality;
+  const playlists = analysis.playlistStructure;
+  const transcripts = analysis.transcriptAnalysis;
+  const sections = [];
+
+  sections.push(section('recommendations', 'Priority Recommendations', null, analysis.priorityRecommendations.length > 0
+    ? table(['#', 'Priority', 'Category', 'Action'], analysis.priorityRecommendations.map((rec, index) => [
+      index + 1,
+      `<span class="priority priority-${escapeHtml(String(rec.priority || 'Medium').toLowerCase())}">${escapeHtml(rec.priority || 'Medium')}</span>`,
+      escapeHtml(rec.category || 'General'),
+      escapeHtml(rec.action)
+    ]), { className: 'recommendation-table' })
+    : '<p>No priority recommendations - the channel is in good shape.</p>'));
+
+  const brandingParts = [
+    ['Channel Name', branding.channelName], ['Visual Identity', branding.visualIdentity], ['About Section', branding.aboutSection],
+    ['Channel Keywords', branding.channelKeywords], ['Channel Trailer', branding.channelTrailer],
+    ['Custom URL', branding.customUrl], ['Localization', branding.localization]
+  ].filter(([, part]) => part);
+  sections.push(section('branding', 'Branding & Identity', scores.brandingScore,
+    table(['Element', 'Score'], brandingParts.map(([label, part]) => [escapeHtml(label), scoreCell(part.score)]))
+    + recommendationList(branding.recommendations)));
+
+  const upload = strategy.uploadPattern || {};
+  sections.push(section('content-strategy', 'Content Strategy', scores.contentStrategyScore,
+    facts([
+      ['Upload Frequency', upload.frequency],
+      ['Uploads per Week', formatNumber(upload.uploadsPerWeek, 2)],
+      ['Median Gap', upload.medianGapDays !== undefined ? `${formatNumber(upload.medianGapDays, 1)} days` : undefined],
+      ['Consistency', upload.consistencyScore !== undefined ? `${formatNumber(upload.consistencyScore)}/100` : undefined],
+      ['Days Since Last Upload', upload.daysSinceLastUpload !== undefined ? formatNumber(upload.daysSinceLastUpload) : undefined],
+      ['Most Common Upload Day', upload.mostCommonDay]
+    ])
+    + ((strategy.contentThemes?.primaryThemes || []).length > 0
+      ? `<h3>Primary Themes</h3>${table(['Theme', 'Videos', 'Views vs Average'], strategy.contentThemes.primaryThemes.slice(0, 8).map(theme => [
+        escapeHtml(theme.theme),
+        formatNumber(theme.frequency),
+        typeof theme.viewsVsChannelAverage === 'number' ? `${formatNumber(theme.viewsVsChannelAverage, 2)}x` : 'N/A'
+      ]))}`
+      : '')
+    + recommendationList(strategy.recommendations)));
+
+  sections.push(section('seo', 'SEO & Metadata', scores.seoScore,
+    table(['Component', 'Average Score'], [
+      ['Titles', scoreCell(seo.titles.averageScore)],
+      ['Descriptions', scoreCell(seo.descriptions.averageScore)],
+      ['Tags', scoreCell(seo.tags.averageScore)],
+      ['Thumbnails', scoreCell(seo.thumbnails.averageScore)]
+    ])
+    + facts([
+      ['Average Title Length', `${formatNumber(seo.titles.averageLength, 1)} characters`],
+      ['Titles at Optimal Length', percent(seo.titles.optimalLengthPercentage)],
+      ['Descriptions with Timestamps (long-form)', percent(seo.descriptions.hasTimestampsPercentage)],
+      ['Descriptions with a Call-to-Action', percent(seo.descriptions.hasCTAPercentage)],
+      ['Videos without Tags', `${seo.tags.videosWithNoTagsCount} (${percent(seo.tags.noTagsPercentage)})`],
+      ['Average Tags per Video', formatNumber(seo.tags.averageTagCount, 1)]
+    ])
+    + ((seo.detailedInsights || []).length > 0
+      ? table(['Finding', 'Severity', 'Solution'], seo.detailedInsights.map(insight => [
+        escapeHtml(insight.finding), escapeHtml(insight.severity), escapeHtml(insight.solution)
+      ]))
+      : '')));
+
+  const tracks = analysis.formatTracks;
+  const trackColumns = [tracks?.shorts, tracks?.longForm];
+  sections.push(section('engagement', 'Engagement Signals', scores.engagementScore,
+    facts([
+      ['Views / Subscribers', `${percent(engagement.viewsToSubscribers.ratio)} (${engagement.viewsToSubscribers.benchmark})`],
+      ['Average Like Ratio', `${percent(engagement.likeEngagement.averageRatio, 2)} (${engagement.likeEngagement.benchmark})`]
+    ])
+    + (tracks && (tracks.shorts || tracks.longForm)
+      ? `<h3>Shorts vs Long-form</h3>${table(['', 'Shorts', 'Long-form'], [
+        ['Videos', ...trackColumns.map(track => (track ? `${track.videos} (${formatNumber(track.shareOfUploads)}%)` : '–'))],
+        ['Track Score', ...trackColumns.map(track => (track ? scoreCell(track.overallScore) : '–'))],
+        ['Median Views', ...trackColumns.map(track => (track ? formatNumber(track.medianViews) : '–'))],
+        ['SEO Score', ...trackColumns.map(track => (track ? scoreCell(track.seoScore) : '–'))],
+        ['Engagement Score', ...trackColumns.map(track => (track ? scoreCell(track.engagementScore) : '–'))],
+        ['Like Ratio', ...trackColumns.map(track => (track ? percent(track.likeRatio, 2) : '–'))]
+      ].map(([label, ...cells]) => [escapeHtml(label), ...cells]))}${list(tracks.insights || [])}${recommendationList(tracks.recommendations)}`
+      : '')));
+
+  const performance = analysis.videoPerformance;
+  if (performance?.available) {
+    const outlierRows = records => records.slice(0, 5).map(record => [
+      escapeHtml(record.title),
+      escapeHtml(record.format),
+      formatNumber(record.viewsPerDay, 1),
+      record.performanceRatio !== null ? `${formatNumber(record.performanceRatio, 2)}x` : 'N/A'
+    ]);
+    const headers = ['Video', 'Format', 'Views / Day', 'vs Comparable Uploads'];
+    sections.push(section('outliers', 'Performance Outliers', null,
+      `<p class="muted">Views per day compared with the channel's own comparable uploads (same format, similar age), so older videos are not favoured.</p>`
+      + (performance.overPerformers.length > 0 ? `<h3>Over-performers</h3>${table(headers, outlierRows(performance.overPerformers))}` : '')
+      + (performance.underPerformers.length > 0 ? `<h3>Under-performers</h3>${table(headers, outlierRows(performance.underPerformers))}` : '')
+      + (performance.overPerformers.length + performance.underPerformers.length === 0 ? '<p>No significant outliers - performance is consistent across uploads.</p>' : '')
+      + list(performance.insights || [])
+      + recommendationList(performance.recommendations)));
+  }
+
+  const growth = analysis.growth;
+  if (growth?.available) {
+    const months = growth.monthlyTrend.months;
+    sections.push(section('growth', 'Growth & View Velocity', null,
+      facts([
+        ['Expected Views at Day 7 / 30 / 90', `${formatNumber(growth.expectedViews.day7)} / ${formatNumber(growth.expectedViews.day30)} / ${formatNumber(growth.expectedViews.day90)}`],
+        ['12-Month Trend', growth.monthlyTrend.monthlyChangePercentage !== null
+          ? `${growth.monthlyTrend.direction} (${growth.monthlyTrend.monthlyChangePercentage > 0 ? '+' : ''}${growth.monthlyTrend.monthlyChangePercentage}% per month)`
+          : growth.monthlyTrend.direction],
+        ['Evergreen Videos', formatNumber(growth.evergreenCount)],
+        ['Plateaued Videos', formatNumber(growth.plateauedCount)]
+      ])
+      + lineChart(months.map(entry => entry.month), [
+        { name: 'Median views', values: months.map(entry => entry.medianViews) },
+        { name: 'Median views at 30 days (age-adjusted)', values: months.map(entry => entry.medianViewsAt30Days) }
+      ], { title: 'Median views per upload by month' })
+      + list(growth.insights || [])
+      + recommendationList(growth.recommendations)));
+  }
+
+  sections.push(section('comments', 'Comments & Community', scores.commentScore,
+    facts([
+      ['Comments Analyzed', `${formatNumber(comments.commentsAnalyzed || 0)} across ${formatNumber(comments.videosSampled || 0)} videos`],
+      ['Positive / Negative', comments.sentiment ? `${percent(comments.sentiment.positivePercentage)} / ${percent(comments.sentiment.negativePercentage)}` : undefined],
+      ['Creator Reply Rate', comments.creatorReplies ? percent(comments.creatorReplies.replyRate) : undefined],
+      ['Requested Topics', (comments.requestedTopics || []).slice(0, 5).map(topic => topic.phrase).join(', ') || undefined]
+    ])
+    + list(comments.insights || [])
+    + recommendationList(comments.recommendations)));
+
+  sections.push(section('content-quality', 'Content Quality', scores.contentQualityScore,
+    table(['Signal', 'Score'], [
+      ['Hooks', quality.hooks], ['Structure', quality.structure], ['Calls to Action', quality.callsToAction], ['Production', quality.professionalQuality]
+    ].filter(([, part]) => part).map(([label, part]) => [escapeHtml(label), scoreCell(part.score)]))
+    + recommendationList(quality.recommendations)));
+
+  sections.push(section('playlists', 'Playlist Structure', scores.playlistScore,
+    table(['Signal', 'Score'], [
+      ['Organization', playlists.organization], ['Binge-Watching Potential', playlists.bingeWatching], ['Thematic Grouping', playlists.thematicGrouping]
+    ].filter(([, part]) => part).map(([label, part]) => [escapeHtml(label), scoreCell(part.score)]))
+    + recommendationList(playlists.recommendations)));
+
+  sections.push(section('transcripts', 'Transcript Analysis', scores.transcriptScore,
+    facts([
+      ['Transcripts Available', transcripts.transcriptsAvailable !== undefined ? `${transcripts.transcriptsAvailable} (${percent(transcripts.coveragePercentage)} of analyzed videos)` : undefined]
+    ])
+    + list(transcripts.insights || [])
+    + recommendationList(transcripts.recommendations)));
+
+  const comparison = analysis.history?.comparison;
+  if (comparison) {
+    const signed = value => (typeof value === 'number' ? `${value > 0 ? '+' : ''}${formatNumber(value, 1)}` : 'N/A');
+    sections.push(section('history', `Changes Since ${new Date(comparison.previousRecordedAt).toLocaleDateString('en-US')}`, null,
+      table(['Area', 'Previous', 'Current', 'Change'], Object.entries(comparison.scoreDeltas).map(([key, delta]) => [
+        escapeHtml(SCORE_LABELS[key] || key),
+        typeof delta.previous === 'number' ? formatNumber(delta.previous, 1) : 'N/A',
+        typeof delta.current === 'number' ? formatNumber(delta.current, 1) : 'N/A',
+        signed(delta.change)
+      ]))
+      + facts([
+        ['Subscribers', `${formatNumber(comparison.channelGrowth.subscribers.current)} (${signed(comparison.channelGrowth.subscribers.change)})`],
+        ['Total Views', `${formatNumber(comparison.channelGrowth.views.current)} (${signed(comparison.channelGrowth.views.change)})`],
+        ['New Uploads', formatNumber(comparison.newUploads.length)],
+        ['Recommendations Resolved', formatNumber(comparison.recommendations.resolved.length)]
+      ])));
+  }
+
+  if (analysis.warnings?.length) {
+    sections.push(section('warnings', 'Data Warnings', null,
+      `<p class="muted">Parts of the channel data were missing or partial; the affected scores may understate the channel.</p>`
+      + table(['Stage', 'Issue'], analysis.warnings.map(warning => [escapeHtml(warning.stage), escapeHtml(warning.message)]))));
+  }
+
+  return sections.join('\n');
+}
+
+function styles(colors, customCss) {
+  return `:root {
+  --primary: ${colors.primary}; --accent: ${colors.accent}; --text: ${colors.text}; --muted: ${colors.muted};
+  --background: ${colors.background}; --good: ${colors.good}; --fair: ${colors.fair}; --poor: ${colors.poor};
+}
+* { box-sizing: border-box; }
+body { margin: 0; font: 14px/1.5 -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: var(--text); background: var(--background); }
+main { max-width: 960px; margin: 0 auto; padding: 32px 24px 48px; }
+.report-header { display: flex; align-items: center; gap: 20px; border-bottom: 4px solid var(--primary); padding-bottom: 16px; }
+.report-header img { max-height: 56px; max-width: 200px; }
+.report-header h1 { margin: 0; font-size: 26px; }
+.report-header p { margin: 2px 0 0; color: var(--muted); }
+h2 { margin: 0; font-size: 20px; color: var(--primary); }
+h3 { font-size: 15px; margin: 20px 0 8px; }
+section { margin-top: 32px; break-inside: avoid-page; }
+.section-header { display: flex; align-items: center; justify-content: space-between; border-bottom: 1px solid #dadce0; padding-bottom: 6px; margin-bottom: 12px; }
+.stats { display: grid; grid-template-columns: repeat(4, 1fr); gap: 12px; margin-top: 24px; }
+.stat { border: 1px solid #dadce0; border-radius: 8px; padding: 12px; }
+.stat strong { display: block; font-size: 22px; }
+.stat span { color: var(--muted); font-size: 12px; }
+.gauges { display: grid; grid-template-columns: repeat(4, 1fr); gap: 8px 16px; margin-top: 24px; }
+.gauge { margin: 0; text-align: center; }
+.gauge svg { width: 100%; max-width: 150px; }
+.gauge figcaption { font-size: 12px; color: var(--muted); }
+.gauge-track, .gauge-value { fill: none; stroke-width: 12; stroke-linecap: round; }
+.gauge-track { stroke: #e8eaed; }
+.gauge-score { font-size: 22px; font-weight: 700; fill: var(--text); }
+.band-good .gauge-value { stroke: var(--good); } .band-ok .gauge-value { stroke: var(--primary); }
+.band-fair .gauge-value { stroke: var(--fair); } .band-poor .gauge-value { stroke: var(--poor); } .band-none .gauge-value { stroke: none; }
+.score { display: inline-block; min-width: 40px; padding: 2px 8px; border-radius: 12px; text-align: center; font-weight: 700; color: #fff; background: var(--muted); }
+.score.band-good { background: var(--good); } .score.band-ok { background: var(--primary); }
+.score.band-fair { background: var(--fair); } .score.band-poor { background: var(--poor); }
+table { width: 100%; border-collapse: collapse; margin: 8px 0; }
+th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e8eaed; vertical-align: top; }
+th { font-size: 12px; text-transform: uppercase; letter-spacing: .03em; color: var(--muted); }
+tr { break-inside: avoid; }
+.facts { display: grid; grid-template-columns: repeat(2, 1fr); gap: 8px 24px; margin: 8px 0; }
+.facts dt { font-size: 12px; color: var(--muted); } .facts dd { margin: 0; font-weight: 600; }
+.priority { display: inline-block; padding: 1px 8px; border-radius: 10px; font-size: 12px; font-weight: 600; background: #e8eaed; }
+.priority-critical, .priority-high { background: var(--poor); color: #fff; }
+.priority-medium { background: var(--fair); color: #fff; }
+.recommendations { padding-left: 0; list-style: none; } .recommendations li { margin: 6px 0; }
+.muted { color: var(--muted); }
+.chart { width: 100%; height: auto; margin-top: 12px; }
+.chart .grid { stroke: #e8eaed; } .chart .axis { font-size: 10px; fill: var(--muted); }
+.chart polyline { fill: none; stroke-width: 2.5; }
+.series-0 { stroke: var(--primary); fill: var(--primary); } .series-1 { stroke: var(--accent); fill: var(--accent); }
+.legend { font-size: 12px; color: var(--muted); }
+.legend .key { display: inline-block; width: 12px; height: 12px; border-radius: 2px; margin: 0 4px 0 12px; vertical-align: middle; }
+.legend .key.series-0 { background: var(--primary); } .legend .key.series-1 { background: var(--accent); }
+footer { margin-top: 40px; padding-top: 12px; border-top: 1px solid #dadce0; font-size: 12px; color: var(--muted); }
+@media print {
+  @page { margin: 16mm; }
+  body { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  main { max-width: none; padding: 0; }
+  section { break-inside: auto; }
+  .section-header, h3, .gauges, .stats { break-after: avoid; break-inside: avoid; }
+}
+${customCss || ''}`;
+}
+
+function renderHtmlReport(analysis, { branding = DEFAULT_BRANDING, grade = () => '' } = {}) {
+  const brand = { ...DEFAULT_BRANDING, ...branding, colors: { ...DEFAULT_BRANDING.colors, ...branding.colors } };
+  const channel = analysis.channel;
+  const metadata = analysis.analysisMetadata || {};
+  const generated = new Date(analysis.analysisDate || analysis.timestamp);
+  const title = `${brand.reportTitle}: ${channel.name}`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+${styles(brand.colors, brand.customCss)}
+</style>
+</head>
+<body>
+<main>
+<header class="report-header">
+  ${brand.logo ? `<img src="${escapeHtml(brand.logo)}" alt="${escapeHtml(brand.agencyName || 'Logo')}">` : ''}
+  <div>
+    <h1>${escapeHtml(brand.reportTitle)}</h1>
+    <p>${escapeHtml(channel.name)}${channel.customUrl ? ` · ${escapeHtml(channel.customUrl)}` : ''} · ${escapeHtml(generated.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }))}${brand.agencyName ? ` · Prepared by ${escapeHtml(brand.agencyName)}` : ''}</p>
+  </div>
+</header>
+
+<div class="stats">
+  <div class="stat"><strong>${formatNumber(channel.subscriberCount)}</strong><span>Subscribers</span></div>
+  <div class="stat"><strong>${formatNumber(channel.totalViews)}</strong><span>Total Views</span></div>
+  <div class="stat"><strong>${formatNumber(channel.videoCount)}</strong><span>Videos on Channel</span></div>
+  <div class="stat"><strong>${formatNumber(metadata.videosAnalyzed ?? analysis.videos.length)}</strong><span>Videos Analyzed</span></div>
+</div>
+
+<section id="scores">
+  <header class="section-header"><h2>Overall Scores</h2></header>
+  <div class="gauges">
+${Object.entries(SCORE_LABELS).map(([key, label]) => gauge(label, analysis.overallScores[key])).join('\n')}
+  </div>
+  ${table(['Area', 'Score', 'Grade'], Object.entries(SCORE_LABELS).map(([key, label]) => {
+    const score = analysis.overallScores[key];
+    return [escapeHtml(label), scoreCell(score), escapeHtml(typeof score === 'number' ? grade(score) : 'No data')];
+  }))}
+</section>
+
+${renderSections(analysis)}
+
+<footer>
+  <p>${brand.footer ? `${escapeHtml(brand.footer)} · ` : ''}Generated ${escapeHtml(generated.toISOString())} from ${metadata.dataSource === 'snapshot' ? `a data snapshot fetched ${escapeHtml(metadata.fetchedAt)}` : 'the YouTube Data API'} · Rules profile: ${escapeHtml(analysis.rules?.profile || 'default')}</p>
+</footer>
+</main>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  DEFAULT_BRANDING,
+  loadBranding,
+  renderHtmlReport
+};
@@ -0,0 +1,173 @@
+// src/markdown-report.js - Markdown audit summary for GitHub Actions job summaries and issues
+//
+// renderMarkdownSummary() condenses the analysis that feeds the Sheets report (scores, key
+// findings, top recommendations, outlier videos, changes since the last audit) into GitHub
+// flavoured Markdown; renderBatchMarkdown() does the same for a batch summary.
+const { SCORE_LABELS } = require('./benchmark');
+
+// Table cells cannot contain pipes or line breaks
+function cell(value) {
+  return String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+// Right-aligns columns that hold only numbers such as "1,234", "+2.5", "3.10x" or "72.0/100"
+function isNumericColumn(rows, index) {
+  const values = rows.map(row => String(row[index] ?? '')).filter(value => value && value !== 'N/A');
+  return values.length > 0 && values.every(value => /^[+-]?[\d,.]+(x|%|\/100)?$/.test(value));
+}
+
+function markdownTable(headers, rows) {
+  if (rows.length === 0) return '';
+  return [
+    `| ${headers.map(cell).join(' | ')} |`,
+    `| ${headers.map((header, index) => (isNumericColumn(rows, index) ? '---:' : '---')).join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+  ].join('\n');
+}
+
+function formatNumber(value, digits = 0) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return 'N/A';
+  return value.toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+function signed(value, digits = 1) {
+  return typeof value === 'number' ? `${value > 0 ? '+' : ''}${formatNumber(value, digits)}` : 'N/A';
+}
+
+function shorten(text, length = 60) {
+  return text.length > length ? `${text.substring(0, length - 3)}...` : text;
+}
+
+function videoLink(record) {
+  return `[${shorten(record.title).replace(/[[\]]/g, '')}](https://www.youtube.com/watch?v=${record.id})`;
+}
+
+// Findings worth reading first: SEO insights plus the one-line insights of the newer analyses
+function keyFindings(analysis) {
+  const findings = (analysis.seoMetadata?.detailedInsights || [])
+    .map(insight => `**${insight.category}** (${insight.severity}): ${insight.finding}`);
+  [analysis.videoPerformance, analysis.growth, analysis.formatTracks, analysis.commentAnalysis].forEach(section => {
+    (section?.insights || []).filter(insight => typeof insight === 'string').forEach(insight => findings.push(insight));
+  });
+  return findings.slice(0, 8);
+}
+
+function renderMarkdownSummary(analysis, { grade = () => '', headingLevel = 2 } = {}) {
+  const h = level => '#'.repeat(headingLevel + level);
+  const { channel, overallScores } = analysis;
+  const metadata = analysis.analysisMetadata || {};
+  const lines = [];
+
+  lines.push(`${h(0)} 🎥 YouTube Channel Audit: ${channel.name}`, '');
+  lines.push([
+    `**${formatNumber(channel.subscriberCount)}** subscribers`,
+    `**${formatNumber(channel.totalViews)}** total views`,
+    `**${formatNumber(metadata.videosAnalyzed ?? analysis.videos.length)}** of ${formatNumber(channel.videoCount)} videos analyzed`,
+    `rules profile \`${analysis.rules?.profile || 'default'}\``
+  ].join(' · '), '');
+
+  lines.push(`${h(1)} 📈 Scores`, '');
+  const deltas = analysis.history?.comparison?.scoreDeltas;
+  lines.push(markdownTable(
+    ['Area', 'Score', 'Grade', ...(deltas ? ['Since Last Audit'] : [])],
+    Object.entries(SCORE_LABELS).map(([key, label]) => {
+      const score = overallScores[key];
+      return [
+        label,
+        typeof score === 'number' ? `${score.toFixed(1)}/100` : 'N/A',
+        typeof score === 'number' ? grade(score) : 'No data',
+        ...(deltas ? [signed(deltas[key]?.change)] : [])
+      ];
+    })
+  ), '');
+
+  const findings = keyFindings(analysis);
+  if (findings.length > 0) {
+    lines.push(`${h(1)} 🔍 Key Findings`, '', ...findings.map(finding => `- ${finding}`), '');
+  }
+
+  lines.push(`${h(1)} 🎯 Top Recommendations`, '');
+  if (analysis.priorityRecommendations.length > 0) {
+    lines.push(...analysis.priorityRecommendations.slice(0, 10)
+      .map((rec, index) => `${index + 1}. **${rec.priority || 'Medium'}** · ${rec.category || 'General'}: ${rec.action}`), '');
+  } else {
+    lines.push('No priority recommendations - the channel is in good shape.', '');
+  }
+
+  const performance = analysis.videoPerformance;
+  if (performance?.available && performance.overPerformers.length + performance.underPerformers.length > 0) {
+    lines.push(`${h(1)} 🏆 Outlier Videos`, '');
+    lines.push(markdownTable(
+      ['Video', 'Format', 'Views / Day', 'vs Comparable Uploads'],
+      [
+        ...performance.overPerformers.slice(0, 5).map(record => ['🚀', record]),
+        ...performance.underPerformers.slice(0, 5).map(record => ['🐢', record])
+      ].map(([icon, record]) => [
+        `${icon} ${videoLink(record)}`,
+        record.format,
+        formatNumber(record.viewsPerDay, 1),
+        record.performanceRatio !== null ? `${formatNumber(record.performanceRatio, 2)}x` : 'N/A'
+      ])
+    ), '');
+  }
+
+  const comparison = analysis.history?.comparison;
+  if (comparison) {
+    const { subscribers, views } = comparison.channelGrowth;
+    lines.push(`${h(1)} 📅 Since the Last Audit (${comparison.elapsedDays} days)`, '');
+    lines.push(`- Subscribers ${signed(subscribers.change, 0)}, total views ${signed(views.change, 0)}, ${comparison.newUploads.length} new uploads`);
+    lines.push(`- ${comparison.recommendations.resolved.length} recommendations resolved, ${comparison.recommendations.introduced.length} new`);
+    if (comparison.rulesProfile?.changed) {
+      lines.push(`- ⚠️ Rules profile changed from \`${comparison.rulesProfile.previous}\` to \`${comparison.rulesProfile.current}\`; score changes partly reflect the new rules`);
+    }
+    lines.push('');
+  }
+
+  const benchmark = analysis.benchmark;
+  if (benchmark) {
+    lines.push(`${h(1)} 🏁 Versus Competitors (${benchmark.competitors.join(', ')})`, '');
+    lines.push(markdownTable(
+      ['Area', channel.name, 'Competitor Average', 'Gap', 'Leader'],
+      benchmark.scores.map(score => [
+        score.label,
+        formatNumber(score.primary, 1),
+        formatNumber(score.competitorAverage, 1),
+        signed(score.gap),
+        score.leader || 'N/A'
+      ])
+    ), '');
+  }
+
+  if (analysis.warnings?.length) {
+    lines.push(`> ⚠️ ${analysis.warnings.length} data warning(s): ${analysis.warnings.slice(0, 3).map(warning => warning.message).join('; ')}`, '');
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+function renderBatchMarkdown(summary) {
+  const statusLabels = { success: '✅ Success', failed: '❌ Failed', skipped: '⏭️ Skipped' };
+  const { totals } = summary;
+  return `${[
+    '## 📦 Batch Audit Summary',
+    '',
+    `${totals.success} of ${totals.channels} channels audited (${totals.failed} failed, ${totals.skipped} skipped) · ${formatNumber(summary.quota.unitsUsed)} quota units · rules profile \`${summary.rulesProfile || 'default'}\``,
+    '',
+    markdownTable(
+      ['Channel', 'Status', 'Subscribers', 'Average Score', 'Top Recommendation'],
+      summary.channels.map(channel => [
+        channel.channelName || channel.label || channel.input,
+        channel.status === 'success' ? statusLabels.success : `${statusLabels[channel.status] || channel.status}: ${channel.reason}`,
+        formatNumber(channel.subscriberCount),
+        typeof channel.averageScore === 'number' ? `${channel.averageScore.toFixed(1)}/100` : 'N/A',
+        channel.topRecommendation || ''
+      ])
+    )
+  ].join('\n')}\n`;
+}
+
+module.exports = {
+  markdownTable,
+  renderMarkdownSummary,
+  renderBatchMarkdown
+};
@@ -0,0 +1,127 @@
+// src/quota.js - YouTube Data API quota accounting and per-run budget enforcement
+const { wrapEndpoints } = require('./api-client');
+
+// Unit costs from https://developers.google.com/youtube/v3/determine_quota_cost
+const QUOTA_COSTS = {
+  'search.list': 100,
+  'captions.list': 50,
+  'captions.download': 200,
+  'channels.list': 1,
+  'videos.list': 1,
+  'playlists.list': 1,
+  'playlistItems.list': 1,
+  'commentThreads.list': 1,
+  'comments.list': 1
+};
+
+const DEFAULT_QUOTA_COST = 1;
+const DAILY_QUOTA = 10000;
+
+class QuotaBudgetExceededError extends Error {
+  constructor(endpoint, cost, remaining) {
+    super(`Quota budget exceeded: ${endpoint} costs ${cost} units but only ${remaining} remain`);
+    this.name = 'QuotaBudgetExceededError';
+    this.endpoint = endpoint;
+    this.cost = cost;
+    this.remaining = remaining;
+  }
+}
+
+// A tracker with a `parent` forwards every charge to it, so concurrent audits can share one
+// budget while each still reports its own usage
+class QuotaTracker {
+  constructor({ budget = DAILY_QUOTA, parent = null } = {}) {
+    this.parent = parent;
+    this.budget = parent ? Infinity : (budget > 0 ? budget : Infinity);
+    this.used = 0;
+    this.calls = 0;
+    this.byEndpoint = {};
+    this.skipped = {};
+  }
+
+  costOf(endpoint) {
+    return QUOTA_COSTS[endpoint] ?? DEFAULT_QUOTA_COST;
+  }
+
+  get remaining() {
+    return this.parent ? this.parent.remaining : this.budget - this.used;
+  }
+
+  canAfford(units) {
+    return this.parent ? this.parent.canAfford(units) : this.used + units <= this.budget;
+  }
+
+  // Records a call before it is made - the API charges for failed requests too
+  charge(endpoint) {
+    const cost = this.costOf(endpoint);
+    if (!this.canAfford(cost)) {
+      throw new QuotaBudgetExceededError(endpoint, cost, this.remaining);
+    }
+    if (this.parent) this.parent.charge(endpoint);
+
+    this.used += cost;
+    this.calls++;
+    const entry = this.byEndpoint[endpoint] || (this.byEndpoint[endpoint] = { calls: 0, units: 0 });
+    entry.calls++;
+    entry.units += cost;
+    return cost;
+  }
+
+  recordSkip(category, count = 1) {
+    this.skipped[category] = (this.skipped[category] || 0) + count;
+    if (this.parent) this.parent.recordSkip(category, count);
+  }
+
+  snapshot() {
+    return {
+      used: this.used,
+      calls: this.calls,
+      byEndpoint: JSON.parse(JSON.stringify(this.byEndpoint)),
+      skipped: { ...this.skipped }
+    };
+  }
+
+  // Usage since an earlier snapshot(), for reporting one channel inside a multi-channel run
+  summary(since = null) {
+    const byEndpoint = {};
+    Object.entries(this.byEndpoint).forEach(([endpoint, entry]) => {
+      const before = since?.byEndpoint[endpoint] || { calls: 0, units: 0 };
+      if (entry.calls > before.calls) {
+        byEndpoint[endpoint] = { calls: entry.calls - before.calls, units: entry.units - before.units };
+      }
+    });
+
+    const skipped = {};
+    Object.entries(this.skipped).forEach(([category, count]) => {
+      const delta = count - (since?.skipped[category] || 0);
+      if (delta > 0) skipped[category] = delta;
+    });
+
+    const budget = this.parent ? this.parent.budget : this.budget;
+    return {
+      unitsUsed: this.used - (since?.used || 0),
+      calls: this.calls - (since?.calls || 0),
+      byEndpoint,
+      skipped,
+      runUnitsUsed: this.parent ? this.parent.used : this.used,
+      budget: budget === Infinity ? null : budget,
+      remaining: budget === Infinity ? null : this.remaining
+    };
+  }
+}
+
+// Wraps a googleapis youtube client so every resource.method() call is charged to the tracker
+function withQuota(youtube, tracker) {
+  return wrapEndpoints(youtube, (endpoint, call) => {
+    tracker.charge(endpoint);
+    return call();
+  });
+}
+
+module.exports = {
+  QUOTA_COSTS,
+  DAILY_QUOTA,
+  QuotaTracker,
+  QuotaBudgetExceededError,
+  withQuota
+};
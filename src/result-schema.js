@@ -0,0 +1,155 @@
+// src/result-schema.js - Versioned shape of the analysis result and upgrades for older result files
+//
+// The published schemas live in schemas/ (analysis-result.schema.json for what saveResults writes,
+// raw-snapshot.schema.json for snapshots). Files written before results carried a schemaVersion
+// count as version 1; migrateAnalysis() upgrades them step by step, like migrateSnapshot().
+const fs = require('fs').promises;
+const path = require('path');
+const ANALYSIS_SCHEMA = require('../schemas/analysis-result.schema.json');
+const { validateSchema } = require('./schema');
+const { SNAPSHOT_KIND, SNAPSHOT_VERSION, validateSnapshot, migrateSnapshot } = require('./snapshot');
+
+const ANALYSIS_SCHEMA_VERSION = ANALYSIS_SCHEMA.properties.schemaVersion.const;
+
+const NO_TRANSCRIPT = { available: false, reason: 'No transcript available' };
+
+// Version 1 listed the transcript section's advice as bare strings, in its own list and in priorityRecommendations
+const toRecommendation = rec => (typeof rec === 'string' ? { priority: 'Medium', category: 'Transcript Analysis', action: rec } : rec);
+
+// Upgrades one version to the next; add a step here whenever ANALYSIS_SCHEMA_VERSION is bumped
+const ANALYSIS_MIGRATIONS = {
+  // Version 2 added schemaVersion, made the transcript fields identical with and without transcripts,
+  // and requires the sections older builds did not produce (null when the file predates them)
+  1: analysis => ({
+    schemaVersion: 2,
+    ...analysis,
+    channel: { id: null, ...analysis.channel },
+    analysisMetadata: analysis.analysisMetadata || {},
+    rules: analysis.rules || { profile: 'default', description: null, source: 'built-in' },
+    warnings: analysis.warnings || [],
+    formatTracks: analysis.formatTracks ?? null,
+    videoPerformance: analysis.videoPerformance ?? null,
+    growth: analysis.growth ?? null,
+    commentAnalysis: analysis.commentAnalysis ?? null,
+    transcriptAnalysis: {
+      sources: {},
+      averages: {
+        wordsPerMinute: null,
+        fillerRate: null,
+        wordsInFirst15Seconds: null,
+        titleKeywordCoverage: null,
+        vocabularyRichness: null,
+        longSilenceGaps: null
+      },
+      ...analysis.transcriptAnalysis,
+      recommendations: (analysis.transcriptAnalysis?.recommendations || []).map(toRecommendation)
+    },
+    overallScores: { commentScore: null, ...analysis.overallScores },
+    priorityRecommendations: analysis.priorityRecommendations.map(toRecommendation),
+    videos: (analysis.videos || []).map(video => ({ ...video, transcriptAnalysis: video.transcriptAnalysis || NO_TRANSCRIPT }))
+  })
+};
+
+function schemaVersionOf(analysis) {
+  return analysis.schemaVersion ?? 1;
+}
+
+// History records (results/history) also carry channel and overallScores, but no priorityRecommendations
+function isAnalysisResult(document) {
+  return !!document && typeof document === 'object' && !!document.channel && !!document.overallScores
+    && Array.isArray(document.priorityRecommendations);
+}
+
+// Returns the violations as "path: message" strings; an empty array means the result is valid
+function validateAnalysis(analysis) {
+  return validateSchema(ANALYSIS_SCHEMA, analysis);
+}
+
+function migrateAnalysis(analysis, source = 'analysis result') {
+  const version = schemaVersionOf(analysis);
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`${source} has an invalid schemaVersion: ${version}`);
+  }
+  if (version > ANALYSIS_SCHEMA_VERSION) {
+    throw new Error(`${source} was written by a newer version (schema version ${version}, this build reads up to ${ANALYSIS_SCHEMA_VERSION})`);
+  }
+
+  let migrated = analysis;
+  while (schemaVersionOf(migrated) < ANALYSIS_SCHEMA_VERSION) {
+    const migrate = ANALYSIS_MIGRATIONS[schemaVersionOf(migrated)];
+    if (!migrate) {
+      throw new Error(`No migration from analysis schema version ${schemaVersionOf(migrated)}`);
+    }
+    migrated = migrate(migrated);
+  }
+  return migrated;
+}
+
+async function listJsonFiles(directory) {
+  const entries = await fs.readdir(directory, { withFileTypes: true });
+  const nested = await Promise.all(entries.map(entry => {
+    const entryPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) return listJsonFiles(entryPath);
+    return /\.json$/i.test(entry.name) ? [entryPath] : [];
+  }));
+  return nested.flat();
+}
+
+// Rewrites every outdated analysis result and snapshot under directory (batch folders included) in
+// place. Other JSON files (comparisons, batch summaries) are left alone. Returns one entry per file looked at.
+async function migrateResultFiles(directory = 'results', { dryRun = false } = {}) {
+  const report = [];
+
+  for (const file of await listJsonFiles(directory)) {
+    let document;
+    try {
+      document = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      report.push({ file, status: 'failed', reason: `Could not read: ${error.message}` });
+      continue;
+    }
+
+    try {
+      let migrated;
+      let from;
+      let to;
+      if (document?.kind === SNAPSHOT_KIND) {
+        validateSnapshot(document, file);
+        from = document.snapshotVersion;
+        to = SNAPSHOT_VERSION;
+        migrated = migrateSnapshot(document);
+      } else if (isAnalysisResult(document)) {
+        from = schemaVersionOf(document);
+        to = ANALYSIS_SCHEMA_VERSION;
+        migrated = migrateAnalysis(document, file);
+        const errors = validateAnalysis(migrated);
+        if (errors.length > 0) {
+          throw new Error(`does not match the analysis schema after migration:\n  - ${errors.join('\n  - ')}`);
+        }
+      } else {
+        continue;
+      }
+
+      if (from === to) {
+        report.push({ file, status: 'current', from, to });
+        continue;
+      }
+      if (!dryRun) {
+        await fs.writeFile(file, JSON.stringify(migrated, null, 2));
+      }
+      report.push({ file, status: 'migrated', from, to });
+    } catch (error) {
+      report.push({ file, status: 'failed', reason: error.message });
+    }
+  }
+
+  return report;
+}
+
+module.exports = {
+  ANALYSIS_SCHEMA,
+  ANALYSIS_SCHEMA_VERSION,
+  validateAnalysis,
+  migrateAnalysis,
+  migrateResultFiles
+};
@@ -0,0 +1,107 @@
+// src/retry.js - Retry with exponential backoff for YouTube Data API calls
+const { wrapEndpoints } = require('./api-client');
+
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+const RETRYABLE_REASONS = new Set([
+  'quotaExceeded',
+  'rateLimitExceeded',
+  'userRateLimitExceeded',
+  'backendError',
+  'internalError'
+]);
+// Credential- and channel-level only: a 403 "forbidden" or a 400 on one video (private, age-restricted)
+// takes the per-video warning path instead of ending the audit
+const FATAL_REASONS = new Set([
+  'keyInvalid',
+  'keyExpired',
+  'accessNotConfigured',
+  'ipRefererBlocked',
+  'channelNotFound',
+  'channelClosed',
+  'channelSuspended',
+  'playlistNotFound'
+]);
+// Fatal for every channel in the run, not just the one being fetched
+const CREDENTIAL_REASONS = new Set(['keyInvalid', 'keyExpired', 'accessNotConfigured', 'ipRefererBlocked']);
+const NETWORK_ERROR_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH']);
+
+const DEFAULT_RETRY_POLICY = {
+  maxRetries: 4,
+  baseDelayMs: 500,
+  maxDelayMs: 30000
+};
+
+// Sorts an API error into one of:
+//   transient - worth retrying (rate limits, 5xx, network blips)
+//   fatal     - the run cannot succeed (bad API key, API disabled, channel gone)
+//   failed    - this request failed for good but the run can carry on (comments disabled, 404 video, ...)
+function classifyApiError(error) {
+  // gaxios reports the HTTP status as a number or numeric string in error.code
+  const numericCode = Number(error.code);
+  const status = error.response?.status ?? (Number.isInteger(numericCode) && numericCode > 0 ? numericCode : null);
+  const reason = error.errors?.[0]?.reason || error.response?.data?.error?.errors?.[0]?.reason || null;
+
+  let kind = 'failed';
+  if (reason && FATAL_REASONS.has(reason)) kind = 'fatal';
+  else if (reason && RETRYABLE_REASONS.has(reason)) kind = 'transient';
+  else if (status && RETRYABLE_STATUSES.has(status)) kind = 'transient';
+  else if (typeof error.code === 'string' && NETWORK_ERROR_CODES.has(error.code)) kind = 'transient';
+  else if (status === 401) kind = 'fatal';
+
+  return { kind, status, reason, message: error.message };
+}
+
+function isCredentialError(error) {
+  const classification = error.classification || classifyApiError(error);
+  return CREDENTIAL_REASONS.has(classification.reason) || classification.status === 401;
+}
+
+// Full jitter: a random delay between 0 and the exponential cap, honouring Retry-After when sent
+function retryDelay(attempt, policy, error) {
+  const retryAfter = parseFloat(error?.response?.headers?.['retry-after']);
+  if (Number.isFinite(retryAfter) && retryAfter > 0) {
+    return Math.min(retryAfter * 1000, policy.maxDelayMs);
+  }
+  const cap = Math.min(policy.baseDelayMs * 2 ** attempt, policy.maxDelayMs);
+  return Math.random() * cap;
+}
+
+async function callWithRetry(call, { policy = DEFAULT_RETRY_POLICY, endpoint = 'request', onRetry = null, sleep = null } = {}) {
+  const wait = sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await call();
+    } catch (error) {
+      const classification = classifyApiError(error);
+      error.classification = classification;
+      error.fatal = classification.kind === 'fatal';
+      error.attempts = attempt + 1;
+
+      if (classification.kind !== 'transient' || attempt >= policy.maxRetries) {
+        throw error;
+      }
+
+      const delay = retryDelay(attempt, policy, error);
+      if (onRetry) onRetry({ endpoint, attempt: attempt + 1, delay, classification });
+      await wait(delay);
+    }
+  }
+}
+
+// Wraps a (quota-tracked) youtube client so each endpoint call is retried on transient errors.
+// Put this outside withQuota so every attempt is charged - the API bills retries too.
+function withRetry(youtube, options = {}) {
+  const policy = { ...DEFAULT_RETRY_POLICY, ...(options.policy || {}) };
+  return wrapEndpoints(youtube, (endpoint, call) =>
+    callWithRetry(call, { policy, endpoint, onRetry: options.onRetry, sleep: options.sleep })
+  );
+}
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  classifyApiError,
+  isCredentialError,
+  callWithRetry,
+  withRetry
+};
@@ -0,0 +1,168 @@
+// src/rules.js - Scoring rules profiles: word lists, thresholds, weights and insight severities
+//
+// DEFAULT_RULES are the built-in heuristics. A rules file (JSON or YAML) names a profile and
+// overrides any subset of them; it is checked against RULES_SCHEMA and merged over the defaults,
+// so a niche or language profile only has to list what it changes. Arrays replace, objects merge.
+const fs = require('fs').promises;
+const path = require('path');
+const YAML = require('yaml');
+const { validateSchema } = require('./schema');
+
+const SEVERITIES = ['Critical', 'High', 'Medium', 'Low'];
+
+const DEFAULT_RULES = {
+  profile: 'default',
+  description: 'Built-in heuristics for English-language channels',
+  words: {
+    // Title words that make the promise of the video explicit
+    powerWords: ['ultimate', 'complete', 'best', 'guide', 'tutorial', 'how to', 'tips', 'secrets'],
+    // Phrases that read as a natural-language search query
+    searchPhrases: ['how to', 'what is'],
+    // Curiosity or tension words that count as a hook in a title
+    hookWords: ['ultimate', 'secret', 'mistake', 'never', 'always', 'best', 'worst', 'shocking'],
+    // Description openers that count as a hook
+    hookPhrases: ['in this video', 'today we'],
+    callToAction: ['subscribe', 'like', 'comment', 'share', 'bell', 'notification'],
+    socialPlatforms: ['twitter', 'instagram']
+  },
+  thresholds: {
+    title: { minLength: 30, maxLength: 60, minWords: 5 },
+    shortsTitle: { minLength: 15, maxLength: 50, minWords: 3 },
+    description: { minLength: 200, poorLength: 100, emptyLength: 50 },
+    shortsDescription: { minLength: 20, maxHashtags: 5 },
+    tags: { minCount: 5, optimalMin: 8, optimalMax: 15, longTailLength: 15, nicheLength: 20 },
+    shortsTags: { minCount: 3 },
+    // Share of videos without tags (%) above which the channel gets a tags insight
+    missingTagsPercentage: 10,
+    // Per-format engagement scoring: ratios (%) above *Excellent are rated Excellent, and each
+    // ratio times its multiplier gives its 0-100 sub-score
+    engagement: {
+      shorts: { viewsToSubsExcellent: 30, viewsToSubsMultiplier: 5, likeRatioExcellent: 4, likeRatioMultiplier: 20 },
+      longForm: { viewsToSubsExcellent: 15, viewsToSubsMultiplier: 10, likeRatioExcellent: 3, likeRatioMultiplier: 25 }
+    }
+  },
+  weights: {
+    seo: { titles: 0.3, descriptions: 0.3, tags: 0.2, thumbnails: 0.2 }
+  },
+  severity: {
+    titleLength: 'High',
+    missingTags: 'Critical'
+  }
+};
+
+const wordList = { type: 'array', items: { type: 'string', minLength: 1 } };
+const count = { type: 'integer', minimum: 0 };
+const weight = { type: 'number', minimum: 0, maximum: 1 };
+const positive = { type: 'number', minimum: 0 };
+const section = properties => ({ type: 'object', additionalProperties: false, properties });
+const engagementBenchmarks = section({
+  viewsToSubsExcellent: positive,
+  viewsToSubsMultiplier: positive,
+  likeRatioExcellent: positive,
+  likeRatioMultiplier: positive
+});
+
+// Every key is optional in a rules file; the merged result is what the analyzer reads
+const RULES_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'YouTube auditor scoring rules',
+  ...section({
+    profile: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    words: section({
+      powerWords: wordList,
+      searchPhrases: wordList,
+      hookWords: wordList,
+      hookPhrases: wordList,
+      callToAction: wordList,
+      socialPlatforms: wordList
+    }),
+    thresholds: section({
+      title: section({ minLength: count, maxLength: count, minWords: count }),
+      shortsTitle: section({ minLength: count, maxLength: count, minWords: count }),
+      description: section({ minLength: count, poorLength: count, emptyLength: count }),
+      shortsDescription: section({ minLength: count, maxHashtags: count }),
+      tags: section({ minCount: count, optimalMin: count, optimalMax: count, longTailLength: count, nicheLength: count }),
+      shortsTags: section({ minCount: count }),
+      missingTagsPercentage: { type: 'number', minimum: 0, maximum: 100 },
+      engagement: section({ shorts: engagementBenchmarks, longForm: engagementBenchmarks })
+    }),
+    weights: section({
+      seo: section({ titles: weight, descriptions: weight, tags: weight, thumbnails: weight })
+    }),
+    severity: section({
+      titleLength: { type: 'string', enum: SEVERITIES },
+      missingTags: { type: 'string', enum: SEVERITIES }
+    })
+  })
+};
+
+function mergeRules(base, overrides) {
+  const merged = { ...base };
+  Object.entries(overrides).forEach(([key, value]) => {
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    merged[key] = isObject && base[key] && typeof base[key] === 'object' ? mergeRules(base[key], value) : value;
+  });
+  return merged;
+}
+
+// Constraints between fields that the schema cannot express
+function checkConsistency(rules) {
+  const errors = [];
+  const { title, shortsTitle, tags } = rules.thresholds;
+  if (title.minLength > title.maxLength) errors.push('$.thresholds.title: minLength must not exceed maxLength');
+  if (shortsTitle.minLength > shortsTitle.maxLength) errors.push('$.thresholds.shortsTitle: minLength must not exceed maxLength');
+  if (tags.minCount > tags.optimalMin) errors.push('$.thresholds.tags: minCount must not exceed optimalMin');
+  if (tags.optimalMin > tags.optimalMax) errors.push('$.thresholds.tags: optimalMin must not exceed optimalMax');
+
+  const seoTotal = Object.values(rules.weights.seo).reduce((sum, value) => sum + value, 0);
+  if (Math.abs(seoTotal - 1) > 0.001) {
+    errors.push(`$.weights.seo: weights must add up to 1 (got ${parseFloat(seoTotal.toFixed(3))})`);
+  }
+  return errors;
+}
+
+// The scorers match word lists against lower-cased text, so "How To" in a profile must become "how to"
+function lowerCaseWords(rules) {
+  const words = {};
+  Object.entries(rules.words).forEach(([list, values]) => {
+    words[list] = values.map(value => value.toLowerCase());
+  });
+  return { ...rules, words };
+}
+
+function resolveRules(overrides, source = 'rules') {
+  const errors = validateSchema(RULES_SCHEMA, overrides);
+  if (errors.length === 0) {
+    errors.push(...checkConsistency(mergeRules(DEFAULT_RULES, overrides)));
+  }
+  if (errors.length > 0) {
+    throw new Error(`${source} is invalid:\n  - ${errors.join('\n  - ')}`);
+  }
+  return lowerCaseWords(mergeRules(DEFAULT_RULES, overrides));
+}
+
+async function loadRules(filePath) {
+  let overrides;
+  try {
+    const text = await fs.readFile(filePath, 'utf8');
+    overrides = /\.ya?ml$/i.test(filePath) ? YAML.parse(text) : JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Could not read rules file ${filePath}: ${error.message}`);
+  }
+
+  // A file without a profile name is named after itself
+  const rules = resolveRules(overrides ?? {}, `Rules file ${filePath}`);
+  if (overrides?.profile === undefined) {
+    rules.profile = path.basename(filePath).replace(/\.(json|ya?ml)$/i, '');
+  }
+  rules.source = filePath;
+  return rules;
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  RULES_SCHEMA,
+  resolveRules,
+  loadRules
+};
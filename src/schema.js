@@ -0,0 +1,92 @@
+// src/schema.js - Minimal JSON Schema validator for the configuration and output documents we define
+//
+// Supports the subset those schemas use: type (string or array of types), properties, required,
+// additionalProperties (boolean or schema), items, enum, const, minimum, maximum, minItems,
+// minLength, pattern and local "#/definitions/..." references. Returns every violation as
+// "path: message" instead of stopping at the first one.
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// root is the document "#/..." references resolve against
+function resolveRef(ref, root) {
+  const target = ref.replace(/^#\/?/, '').split('/').filter(Boolean)
+    .reduce((node, key) => node?.[key.replace(/~1/g, '/').replace(/~0/g, '~')], root);
+  if (!target) {
+    throw new Error(`Unresolvable schema reference ${ref}`);
+  }
+  return target;
+}
+
+function validateSchema(schema, value, path = '$', root = schema) {
+  const errors = [];
+  if (!schema || schema === true) return errors;
+  if (schema.$ref) return validateSchema(resolveRef(schema.$ref, root), value, path, root);
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+  }
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(`${path}: must be at least ${schema.minLength} characters`);
+  }
+  if (typeof value === 'string' && schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${path}: must match ${schema.pattern}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: must have at least ${schema.minItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, `${path}[${index}]`, root)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${path}.${key}: is required`);
+    });
+    // JSON.stringify drops undefined values, so they are treated as absent rather than as a wrong type
+    Object.entries(value).filter(([, child]) => child !== undefined).forEach(([key, child]) => {
+      const childPath = `${path}.${key}`;
+      if (schema.properties?.[key]) {
+        errors.push(...validateSchema(schema.properties[key], child, childPath, root));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${childPath}: unknown property`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(schema.additionalProperties, child, childPath, root));
+      }
+    });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validateSchema
+};
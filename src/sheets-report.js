@@ -0,0 +1,225 @@
+// src/sheets-report.js - Building blocks for the multi-tab Google Sheets report
+//
+// A ReportTab collects a tab's rows together with the formatting that belongs to them (bold
+// section headers, frozen header rows, number formats, score cells and charts). resetRequests()
+// and formatRequests() turn that into spreadsheets.batchUpdate requests for the tab's sheet, so
+// rewriting a report replaces last run's values, formats, rules and charts instead of stacking them.
+const { DAY_MS } = require('./growth');
+
+// Sheets serial dates count days from 1899-12-30; 25569 is 1970-01-01
+const SHEETS_EPOCH_OFFSET = 25569;
+
+const NUMBER_FORMATS = {
+  integer: { type: 'NUMBER', pattern: '#,##0' },
+  decimal: { type: 'NUMBER', pattern: '#,##0.0' },
+  percent: { type: 'NUMBER', pattern: '0.0"%"' },
+  multiple: { type: 'NUMBER', pattern: '0.00"x"' },
+  score: { type: 'NUMBER', pattern: '0.0' },
+  date: { type: 'DATE', pattern: 'yyyy-mm-dd' }
+};
+
+// Background colours for score cells, matching the grade bands of getScoreGrade(); first match wins
+const SCORE_BANDS = [
+  { type: 'NUMBER_GREATER_THAN_EQ', value: 80, color: { red: 0.72, green: 0.88, blue: 0.73 } },
+  { type: 'NUMBER_GREATER_THAN_EQ', value: 60, color: { red: 0.87, green: 0.94, blue: 0.8 } },
+  { type: 'NUMBER_GREATER_THAN_EQ', value: 50, color: { red: 1, green: 0.93, blue: 0.76 } },
+  { type: 'NUMBER_LESS', value: 50, color: { red: 0.96, green: 0.78, blue: 0.76 } }
+];
+
+function toSheetsDate(value) {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? '' : time / DAY_MS + SHEETS_EPOCH_OFFSET;
+}
+
+// Missing numbers become empty cells rather than "N/A" strings, so the column stays numeric
+function numberOrBlank(value, digits = null) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return '';
+  return digits === null ? value : parseFloat(value.toFixed(digits));
+}
+
+class ReportTab {
+  constructor(title) {
+    this.title = title;
+    this.rows = [];
+    this.frozenRows = 0;
+    this.boldRows = [];
+    this.numberFormats = [];
+    this.scoreRanges = [];
+    this.charts = [];
+    // Pixel widths by column index; the first column holds labels (or titles) and needs the room
+    this.columnWidths = { 0: 260 };
+    this.filterRange = null;
+  }
+
+  row(...cells) {
+    this.rows.push(cells);
+    return this.rows.length - 1;
+  }
+
+  blank() {
+    this.rows.push(['']);
+  }
+
+  section(title, ...cells) {
+    this.boldRows.push(this.row(title, ...cells));
+  }
+
+  freezeThrough(rowIndex) {
+    this.frozenRows = rowIndex + 1;
+  }
+
+  // A label/value row whose value gets a number format (and score colouring for 'score')
+  metric(label, value, format, ...notes) {
+    const rowIndex = this.row(label, value, ...notes);
+    this.formatCells({ startRow: rowIndex, endRow: rowIndex + 1, startColumn: 1, endColumn: 2 }, format);
+    return rowIndex;
+  }
+
+  // columns: [{ header, value: record => cell, format }], where 'date' values are ISO strings;
+  // returns the data row span for charts. filter adds Sheets' sort/filter controls to the header.
+  table(columns, records, { freeze = false, filter = false } = {}) {
+    const headerRow = this.row(...columns.map(column => column.header));
+    this.boldRows.push(headerRow);
+    if (freeze) this.freezeThrough(headerRow);
+
+    records.forEach((record, index) => this.row(...columns.map(column => {
+      const value = column.value(record, index);
+      return column.format === 'date' ? toSheetsDate(value) : value;
+    })));
+    const span = { startRow: headerRow + 1, endRow: headerRow + 1 + records.length };
+    if (filter) this.filterRange = { startRow: headerRow, endRow: span.endRow, startColumn: 0, endColumn: columns.length };
+
+    if (records.length > 0) {
+      columns.forEach((column, index) => {
+        if (column.format) this.formatCells({ ...span, startColumn: index, endColumn: index + 1 }, column.format);
+      });
+    }
+    return span;
+  }
+
+  formatCells(range, format) {
+    if (!format) return;
+    this.numberFormats.push({ range, format });
+    if (format === 'score') this.scoreRanges.push(range);
+  }
+
+  // type: BAR, COLUMN, LINE or SCATTER; domain/series are column indexes over rows startRow..endRow
+  chart({ type, title, startRow, endRow, domainColumn, seriesColumns, anchorRow, anchorColumn }) {
+    if (endRow <= startRow) return;
+    this.charts.push({ type, title, startRow, endRow, domainColumn, seriesColumns, anchorRow, anchorColumn });
+  }
+}
+
+function gridRange(sheetId, { startRow, endRow, startColumn, endColumn }) {
+  return { sheetId, startRowIndex: startRow, endRowIndex: endRow, startColumnIndex: startColumn, endColumnIndex: endColumn };
+}
+
+// sheet: one entry of spreadsheets.get({ fields: 'sheets(properties,conditionalFormats,charts)' })
+function resetRequests(sheet) {
+  const sheetId = sheet.properties.sheetId;
+  return [
+    { updateCells: { range: { sheetId }, fields: 'userEnteredValue,userEnteredFormat' } },
+    ...(sheet.charts || []).map(chart => ({ deleteEmbeddedObject: { objectId: chart.chartId } })),
+    // Delete from the end so the remaining indexes stay valid
+    ...(sheet.conditionalFormats || []).map((rule, index, rules) => ({
+      deleteConditionalFormatRule: { sheetId, index: rules.length - 1 - index }
+    }))
+  ];
+}
+
+function chartSpec(sheetId, chart) {
+  const source = column => ({
+    sourceRange: {
+      sources: [gridRange(sheetId, { startRow: chart.startRow - 1, endRow: chart.endRow, startColumn: column, endColumn: column + 1 })]
+    }
+  });
+
+  return {
+    addChart: {
+      chart: {
+        spec: {
+          title: chart.title,
+          basicChart: {
+            chartType: chart.type,
+            legendPosition: chart.seriesColumns.length > 1 ? 'BOTTOM_LEGEND' : 'NO_LEGEND',
+            // The row above the data is the table header and names the series
+            headerCount: 1,
+            domains: [{ domain: source(chart.domainColumn) }],
+            // Horizontal bar charts plot their values along the bottom axis
+            series: chart.seriesColumns.map(column => ({ series: source(column), targetAxis: chart.type === 'BAR' ? 'BOTTOM_AXIS' : 'LEFT_AXIS' }))
+          }
+        },
+        position: {
+          overlayPosition: {
+            anchorCell: { sheetId, rowIndex: chart.anchorRow, columnIndex: chart.anchorColumn },
+            widthPixels: 600,
+            heightPixels: 320
+          }
+        }
+      }
+    }
+  };
+}
+
+function formatRequests(sheetId, tab) {
+  const requests = [
+    {
+      updateSheetProperties: {
+        properties: { sheetId, gridProperties: { frozenRowCount: tab.frozenRows } },
+        fields: 'gridProperties.frozenRowCount'
+      }
+    },
+    ...Object.entries(tab.columnWidths).map(([column, pixelSize]) => ({
+      updateDimensionProperties: {
+        range: { sheetId, dimension: 'COLUMNS', startIndex: Number(column), endIndex: Number(column) + 1 },
+        properties: { pixelSize },
+        fields: 'pixelSize'
+      }
+    })),
+    ...tab.boldRows.map(rowIndex => ({
+      repeatCell: {
+        range: gridRange(sheetId, { startRow: rowIndex, endRow: rowIndex + 1, startColumn: 0, endColumn: 26 }),
+        cell: { userEnteredFormat: { textFormat: { bold: true } } },
+        fields: 'userEnteredFormat.textFormat.bold'
+      }
+    })),
+    ...tab.numberFormats.map(({ range, format }) => ({
+      repeatCell: {
+        range: gridRange(sheetId, range),
+        cell: { userEnteredFormat: { numberFormat: NUMBER_FORMATS[format] } },
+        fields: 'userEnteredFormat.numberFormat'
+      }
+    }))
+  ];
+
+  if (tab.scoreRanges.length > 0) {
+    SCORE_BANDS.forEach((band, index) => {
+      requests.push({
+        addConditionalFormatRule: {
+          index,
+          rule: {
+            ranges: tab.scoreRanges.map(range => gridRange(sheetId, range)),
+            booleanRule: {
+              condition: { type: band.type, values: [{ userEnteredValue: String(band.value) }] },
+              format: { backgroundColor: band.color }
+            }
+          }
+        }
+      });
+    });
+  }
+
+  if (tab.filterRange) {
+    requests.push({ setBasicFilter: { filter: { range: gridRange(sheetId, tab.filterRange) } } });
+  }
+  tab.charts.forEach(chart => requests.push(chartSpec(sheetId, chart)));
+  return requests;
+}
+
+module.exports = {
+  ReportTab,
+  toSheetsDate,
+  numberOrBlank,
+  resetRequests,
+  formatRequests
+};
@@ -0,0 +1,106 @@
+// src/snapshot.js - Raw channel data snapshots for offline re-analysis
+//
+// A snapshot holds exactly what fetchChannelData returned (channel, videos, playlists,
+// transcripts, comments, warnings, analysisMetadata) so performAnalysis can be re-run
+// later without touching the API.
+const fs = require('fs').promises;
+const path = require('path');
+const SNAPSHOT_SCHEMA = require('../schemas/raw-snapshot.schema.json');
+const { validateSchema } = require('./schema');
+
+const SNAPSHOT_VERSION = 1;
+const SNAPSHOT_KIND = 'youtube-auditor/raw-channel-data';
+
+// Upgrades older snapshot layouts to the current version; add a step here whenever the version is bumped
+const SNAPSHOT_MIGRATIONS = {};
+
+function createSnapshot(channelData, { input = null } = {}) {
+  return {
+    kind: SNAPSHOT_KIND,
+    snapshotVersion: SNAPSHOT_VERSION,
+    createdAt: new Date().toISOString(),
+    fetchedAt: channelData.analysisMetadata?.fetchedAt || new Date().toISOString(),
+    input,
+    channelId: channelData.channel?.id || null,
+    data: {
+      channel: channelData.channel,
+      videos: channelData.videos || [],
+      playlists: channelData.playlists || [],
+      transcripts: channelData.transcripts || {},
+      comments: channelData.comments || {},
+      warnings: channelData.warnings || [],
+      analysisMetadata: channelData.analysisMetadata || {}
+    }
+  };
+}
+
+function migrateSnapshot(snapshot) {
+  let migrated = snapshot;
+  while (migrated.snapshotVersion < SNAPSHOT_VERSION) {
+    const migrate = SNAPSHOT_MIGRATIONS[migrated.snapshotVersion];
+    if (!migrate) {
+      throw new Error(`No migration from snapshot version ${migrated.snapshotVersion}`);
+    }
+    migrated = migrate(migrated);
+  }
+  return migrated;
+}
+
+function validateSnapshot(snapshot, source = 'snapshot') {
+  if (!snapshot || snapshot.kind !== SNAPSHOT_KIND) {
+    throw new Error(`${source} is not a raw channel data snapshot`);
+  }
+  if (!Number.isInteger(snapshot.snapshotVersion) || snapshot.snapshotVersion < 1) {
+    throw new Error(`${source} has an invalid snapshotVersion: ${snapshot.snapshotVersion}`);
+  }
+  if (snapshot.snapshotVersion > SNAPSHOT_VERSION) {
+    throw new Error(`${source} was written by a newer version (snapshot version ${snapshot.snapshotVersion}, this build reads up to ${SNAPSHOT_VERSION})`);
+  }
+
+  const data = snapshot.data || {};
+  const missing = ['channel', 'videos', 'playlists'].filter(field => data[field] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`${source} is missing ${missing.join(', ')}`);
+  }
+  if (!data.channel?.snippet || !data.channel?.statistics) {
+    throw new Error(`${source} has no channel snippet/statistics`);
+  }
+  if (!Array.isArray(data.videos) || !Array.isArray(data.playlists)) {
+    throw new Error(`${source} videos and playlists must be arrays`);
+  }
+
+  const errors = validateSchema(SNAPSHOT_SCHEMA, snapshot);
+  if (errors.length > 0) {
+    throw new Error(`${source} does not match the snapshot schema:\n  - ${errors.join('\n  - ')}`);
+  }
+}
+
+async function saveSnapshot(snapshot, directory = 'results') {
+  await fs.mkdir(directory, { recursive: true });
+  const filePath = path.join(directory, `snapshot-${snapshot.channelId || 'unknown'}-${Date.now()}.json`);
+  await fs.writeFile(filePath, JSON.stringify(snapshot, null, 2));
+  return filePath;
+}
+
+async function loadSnapshot(filePath) {
+  let snapshot;
+  try {
+    snapshot = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read snapshot ${filePath}: ${error.message}`);
+  }
+
+  validateSnapshot(snapshot, `Snapshot ${filePath}`);
+  return migrateSnapshot(snapshot);
+}
+
+module.exports = {
+  SNAPSHOT_KIND,
+  SNAPSHOT_SCHEMA,
+  SNAPSHOT_VERSION,
+  createSnapshot,
+  validateSnapshot,
+  migrateSnapshot,
+  saveSnapshot,
+  loadSnapshot
+};
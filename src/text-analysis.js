@@ -0,0 +1,173 @@
+// src/text-analysis.js - Offline text helpers (tokenizing, stopwords, n-grams, TF-IDF)
+
+const STOPWORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'aren',
+  'as', 'at', 'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by', 'can',
+  'could', 'did', 'didn', 'do', 'does', 'doesn', 'doing', 'don', 'down', 'during', 'each', 'even', 'ever',
+  'every', 'few', 'for', 'from', 'further', 'get', 'gets', 'getting', 'got', 'had', 'has', 'have', 'having',
+  'he', 'her', 'here', 'hers', 'herself', 'him', 'himself', 'his', 'how', 'i', 'if', 'in', 'into', 'is',
+  'isn', 'it', 'its', 'itself', 'just', 'let', 'll', 'me', 'might', 'more', 'most', 'much', 'must', 'my',
+  'myself', 'no', 'nor', 'not', 'now', 'of', 'off', 'on', 'once', 'one', 'only', 'or', 'other', 'our',
+  'ours', 'ourselves', 'out', 'over', 'own', 're', 'really', 's', 'same', 'she', 'should', 'so', 'some',
+  'still', 'such', 't', 'than', 'that', 'the', 'their', 'theirs', 'them', 'themselves', 'then', 'there',
+  'these', 'they', 'this', 'those', 'through', 'to', 'too', 'under', 'until', 'up', 'us', 've', 'very',
+  'want', 'was', 'wasn', 'way', 'we', 'well', 'were', 'what', 'when', 'where', 'which', 'while', 'who',
+  'whom', 'why', 'will', 'with', 'won', 'would', 'yeah', 'yes', 'you', 'your', 'yours', 'yourself',
+  'yourselves', 'going', 'gonna', 'know', 'like', 'make', 'makes', 'made', 'thing', 'things', 'think',
+  'um', 'uh', 'okay', 'ok', 'actually', 'right', 'go', 'see', 'say', 'said', 'new', 'use', 'using', 'used'
+]);
+
+// Words that appear in almost every YouTube title/description and never describe a topic
+const YOUTUBE_STOPWORDS = new Set([
+  'video', 'videos', 'channel', 'subscribe', 'subscribed', 'subscribers', 'like', 'likes', 'comment',
+  'comments', 'share', 'watch', 'watching', 'click', 'link', 'links', 'below', 'description', 'bell',
+  'notification', 'notifications', 'follow', 'instagram', 'twitter', 'facebook', 'tiktok', 'patreon',
+  'discord', 'twitch', 'merch', 'sponsor', 'sponsored', 'affiliate', 'http', 'https', 'www', 'com',
+  'shorts', 'short', 'episode', 'ep', 'part', 'official', 'today', 'youtube', 'intro', 'outro', 'chapters',
+  'timestamps', 'thanks', 'thank', 'please', 'check'
+]);
+
+// Splits text into lowercase word tokens. Hyphenated words and dotted names (node.js) are kept whole.
+function tokenize(text) {
+  if (!text) return [];
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+(?:[.'’-][\p{L}\p{N}]+)*/gu) || [])
+    .map(token => token.replace(/['’]s$/, ''));
+}
+
+function isStopword(token) {
+  return STOPWORDS.has(token) || YOUTUBE_STOPWORDS.has(token) || token.length < 2 || /^\d+$/.test(token);
+}
+
+// Removes URLs, e-mail addresses, timestamps and hashtag markers that would otherwise become "themes".
+function cleanText(text) {
+  if (!text) return '';
+  return text
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/www\.\S+/g, ' ')
+    .replace(/[\w.+-]+@[\w-]+\.[\w.]+/g, ' ')
+    .replace(/\b\d{1,2}:\d{2}(?::\d{2})?\b/g, ' ')
+    .replace(/#/g, ' ');
+}
+
+// Returns the 1..maxN word n-grams of the text. Stopwords and punctuation break phrases,
+// so "how to build a REST API" yields "build", "rest api", ... but never "build rest".
+function extractNgrams(text, maxN = 3) {
+  const ngrams = [];
+  const segments = cleanText(text).split(/[\n\r,;:!?()[\]{}"|/\\–—]+|\.(?:\s|$)|\s-+\s/);
+  
+  segments.forEach(segment => {
+    let run = [];
+    const flush = () => {
+      for (let n = 1; n <= maxN; n++) {
+        for (let i = 0; i + n <= run.length; i++) {
+          ngrams.push(run.slice(i, i + n).join(' '));
+        }
+      }
+      run = [];
+    };
+    
+    tokenize(segment).forEach(token => {
+      if (isStopword(token)) flush();
+      else run.push(token);
+    });
+    flush();
+  });
+  
+  return ngrams;
+}
+
+// Weighted TF-IDF over a set of documents. Each document is a list of { text, weight } fields,
+// so a term in a title can count more than the same term in a description.
+// Returns per-document term weights plus document frequencies for the whole set.
+function computeTfIdf(documents, maxN = 3) {
+  const termFrequencies = documents.map(fields => {
+    const frequencies = new Map();
+    fields.forEach(({ text, weight = 1 }) => {
+      extractNgrams(text, maxN).forEach(term => {
+        frequencies.set(term, (frequencies.get(term) || 0) + weight);
+      });
+    });
+    return frequencies;
+  });
+  
+  const documentFrequency = new Map();
+  termFrequencies.forEach(frequencies => {
+    frequencies.forEach((_, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+  });
+  
+  const totalDocuments = documents.length;
+  const tfidf = termFrequencies.map(frequencies => {
+    const scores = new Map();
+    const maxFrequency = Math.max(...frequencies.values(), 1);
+    frequencies.forEach((frequency, term) => {
+      // Smoothed idf keeps terms shared by every document (the channel's core topic) above zero
+      const idf = Math.log((totalDocuments + 1) / (documentFrequency.get(term) + 1)) + 1;
+      scores.set(term, (0.5 + 0.5 * frequency / maxFrequency) * idf);
+    });
+    return scores;
+  });
+  
+  return { termFrequencies, documentFrequency, tfidf, totalDocuments };
+}
+
+// Small AFINN-style lexicon (-3..3) tuned for YouTube comments
+const SENTIMENT_LEXICON = {
+  amazing: 3, awesome: 3, brilliant: 3, excellent: 3, fantastic: 3, incredible: 3, love: 3, loved: 3,
+  loving: 2, outstanding: 3, perfect: 3, superb: 3, wonderful: 3, masterpiece: 3, legend: 2, goat: 2,
+  best: 2, beautiful: 2, clear: 2, cool: 2, enjoy: 2, enjoyed: 2, epic: 2, fun: 2, glad: 2, good: 2,
+  great: 2, happy: 2, helpful: 2, impressive: 2, inspiring: 2, insightful: 2, informative: 2, lit: 1,
+  nice: 2, recommend: 2, solid: 2, thank: 2, thanks: 2, useful: 2, valuable: 2, wow: 2, underrated: 2,
+  appreciate: 2, appreciated: 2, easy: 1, fine: 1, interesting: 1, like: 1, liked: 1, well: 1,
+  clickbait: -3, scam: -3, terrible: -3, awful: -3, horrible: -3, worst: -3, garbage: -3, trash: -3,
+  hate: -3, hated: -3, useless: -3, waste: -2, wasted: -2, annoying: -2, bad: -2, boring: -2,
+  confusing: -2, disappointed: -2, disappointing: -2, fake: -2, misleading: -2, poor: -2, sad: -2,
+  stupid: -2, ugly: -2, unclear: -2, wrong: -2, dislike: -2, cringe: -2, lame: -2, outdated: -1,
+  broken: -2, error: -1, errors: -1, fail: -2, failed: -2, issue: -1, problem: -1, problems: -1,
+  slow: -1, loud: -1, quiet: -1, hard: -1, difficult: -1, stuck: -1, bug: -1, lost: -1
+};
+
+const SENTIMENT_EMOJI = {
+  '❤': 3, '😍': 3, '🥰': 3, '🔥': 2, '👍': 2, '👏': 2, '🙌': 2, '😊': 2, '😀': 2, '😄': 2, '😂': 1,
+  '🤣': 1, '💯': 2, '🙏': 2, '👎': -2, '😡': -3, '😠': -2, '😢': -1, '😞': -2, '🤮': -3, '💩': -2
+};
+
+const NEGATIONS = new Set([
+  'not', 'no', 'never', 'dont', "don't", 'doesnt', "doesn't", 'didnt', "didn't", 'isnt', "isn't",
+  'wasnt', "wasn't", 'cant', "can't", 'cannot', 'wont', "won't", 'nothing', 'hardly'
+]);
+
+// Lexicon sentiment with simple negation ("not good" counts as negative). comparative is the
+// score per word, label is Positive/Negative/Neutral.
+function scoreSentiment(text) {
+  const tokens = tokenize(text);
+  let score = 0;
+  
+  tokens.forEach((token, index) => {
+    const value = SENTIMENT_LEXICON[token];
+    if (!value) return;
+    const negated = NEGATIONS.has(tokens[index - 1]) || NEGATIONS.has(tokens[index - 2]);
+    score += negated ? -value : value;
+  });
+  
+  Object.entries(SENTIMENT_EMOJI).forEach(([emoji, value]) => {
+    score += (text.split(emoji).length - 1) * value;
+  });
+  
+  const comparative = tokens.length > 0 ? score / tokens.length : score;
+  let label = 'Neutral';
+  if (score > 0) label = 'Positive';
+  else if (score < 0) label = 'Negative';
+  
+  return { score, comparative, label };
+}
+
+module.exports = {
+  STOPWORDS,
+  YOUTUBE_STOPWORDS,
+  tokenize,
+  isStopword,
+  cleanText,
+  extractNgrams,
+  computeTfIdf,
+  scoreSentiment
+};
@@ -0,0 +1,149 @@
+// src/transcript-providers.js - Sources of caption data for the transcript analysis
+//
+// A provider has a `name`, an `estimatedQuotaCost` (API units per video) and an async
+// `fetchTranscript(video)` that resolves to { data, format } (raw caption text plus a
+// captions.js format hint) or null when it has nothing. A provider that sets `disabled` is not
+// asked again for the rest of the run.
+const fs = require('fs').promises;
+const path = require('path');
+const { QUOTA_COSTS } = require('./quota');
+const { classifyApiError } = require('./retry');
+
+const CAPTION_EXTENSIONS = {
+  '.vtt': 'webvtt',
+  '.srt': 'srt',
+  '.ttml': 'ttml',
+  '.dfxp': 'ttml',
+  '.xml': null, // TTML or YouTube timed text, detected from content
+  '.srv3': 'srv3',
+  '.txt': 'text'
+};
+
+// YouTube Data API captions. Note captions.download only works with OAuth as the video owner,
+// so with a plain API key this usually finds a track but cannot download it. The first 401/403
+// disables the provider, since every later video would be refused the same way at full quota cost.
+class CaptionsApiTranscriptProvider {
+  constructor(youtube) {
+    this.name = 'captions-api';
+    this.youtube = youtube;
+    this.estimatedQuotaCost = QUOTA_COSTS['captions.list'] + QUOTA_COSTS['captions.download'];
+    this.disabled = false;
+  }
+
+  // costOf(endpoint, params) prices responses the cache already holds at 0; the download's track id
+  // is unknown until the list is read, so it is always counted
+  async quotaCostFor(video, costOf) {
+    return await costOf('captions.list', this.listParams(video)) + await costOf('captions.download');
+  }
+
+  listParams(video) {
+    return { part: ['snippet'], videoId: video.id };
+  }
+
+  async fetchTranscript(video) {
+    try {
+      const captionsResponse = await this.youtube.captions.list(this.listParams(video));
+
+      if (!captionsResponse.data.items?.length) {
+        return null;
+      }
+
+      // Prefer auto-generated English captions or manual English captions
+      const caption = captionsResponse.data.items.find(item =>
+        item.snippet.language === 'en' ||
+        item.snippet.language === 'en-US' ||
+        item.snippet.trackKind === 'asr' // auto-generated
+      ) || captionsResponse.data.items[0];
+
+      if (!caption) {
+        return null;
+      }
+
+      const transcriptResponse = await this.youtube.captions.download({
+        id: caption.id,
+        tfmt: 'ttml' // XML format with timestamps
+      });
+
+      return transcriptResponse.data ? { data: transcriptResponse.data, format: 'ttml' } : null;
+    } catch (error) {
+      const { status } = classifyApiError(error);
+      if (status === 401 || status === 403) {
+        this.disabled = true;
+        console.warn(`⚠️ Captions API refused the download (HTTP ${status}); it needs OAuth as the video owner, so it is skipped for the remaining videos`);
+      }
+      // Otherwise this video's transcript is just not available or accessible
+      return null;
+    }
+  }
+}
+
+// Caption files exported from YouTube Studio, yt-dlp or a transcription service, stored in one
+// directory and named after the video id: "<videoId>.vtt", "<videoId>.en.srt" or "Some title [<videoId>].en.vtt".
+class LocalFileTranscriptProvider {
+  constructor(directory) {
+    this.name = 'local-files';
+    this.directory = directory;
+    this.estimatedQuotaCost = 0;
+    this.index = null;
+  }
+
+  async buildIndex() {
+    const index = new Map();
+
+    let entries = [];
+    try {
+      entries = await fs.readdir(this.directory);
+    } catch (error) {
+      console.warn(`⚠️ Transcript directory not readable (${this.directory}): ${error.message}`);
+      return index;
+    }
+
+    entries.sort().forEach(fileName => {
+      const extension = path.extname(fileName).toLowerCase();
+      if (!(extension in CAPTION_EXTENSIONS)) return;
+
+      const bracketedId = fileName.match(/\[([\w-]{11})\]/);
+      const videoId = bracketedId ? bracketedId[1] : fileName.split('.')[0];
+
+      // Keep the first match per video, preferring timestamped formats over plain text
+      const existing = index.get(videoId);
+      if (!existing || (existing.format === 'text' && CAPTION_EXTENSIONS[extension] !== 'text')) {
+        index.set(videoId, { filePath: path.join(this.directory, fileName), format: CAPTION_EXTENSIONS[extension] });
+      }
+    });
+
+    console.log(`📂 Found caption files for ${index.size} videos in ${this.directory}`);
+    return index;
+  }
+
+  async fetchTranscript(video) {
+    if (!this.index) {
+      this.index = await this.buildIndex();
+    }
+
+    const entry = this.index.get(video.id);
+    if (!entry) return null;
+
+    try {
+      const data = await fs.readFile(entry.filePath, 'utf8');
+      return { data, format: entry.format, filePath: entry.filePath };
+    } catch (error) {
+      console.warn(`⚠️ Could not read caption file ${entry.filePath}: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+// Local files win over the API so exported or third-party transcripts can fill in what the API refuses
+function createTranscriptProviders({ youtube, transcriptDir }) {
+  const providers = [];
+  if (transcriptDir) providers.push(new LocalFileTranscriptProvider(transcriptDir));
+  if (youtube) providers.push(new CaptionsApiTranscriptProvider(youtube));
+  return providers;
+}
+
+module.exports = {
+  CaptionsApiTranscriptProvider,
+  LocalFileTranscriptProvider,
+  createTranscriptProviders
+};
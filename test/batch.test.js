@@ -0,0 +1,66 @@
+// test/batch.test.js - Channel lists for batch audits and the concurrency runner
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { channelsFromRows, channelsFromJson, readChannelList, runWithConcurrency } = require('../src/batch');
+
+test('uses the url column and labels when the rows have a header', () => {
+  const rows = [
+    ['Client', 'Channel URL', 'Notes'],
+    ['Acme', 'https://youtube.com/@acme', 'x'],
+    ['', '  @beta  '],
+    ['Skipped', ''],
+    ['Commented', '# @gamma']
+  ];
+  assert.deepEqual(channelsFromRows(rows, 2), [
+    { input: 'https://youtube.com/@acme', label: 'Acme', row: 3 },
+    { input: '@beta', label: null, row: 4 }
+  ]);
+});
+
+test('uses the first cell of every row without a header', () => {
+  assert.deepEqual(channelsFromRows([['@one', 'ignored'], ['UCX6OQ3DkcsbYNE6H8uQQuVA'], []]), [
+    { input: '@one', label: null, row: 1 },
+    { input: 'UCX6OQ3DkcsbYNE6H8uQQuVA', label: null, row: 2 }
+  ]);
+});
+
+test('reads JSON arrays of strings or objects', () => {
+  assert.deepEqual(channelsFromJson({ channels: ['@one', { url: ' @two ', name: 'Two' }] }), [
+    { input: '@one', label: null, row: 1 },
+    { input: '@two', label: 'Two', row: 2 }
+  ]);
+  assert.throws(() => channelsFromJson({ list: [] }), /must be an array/);
+  assert.throws(() => channelsFromJson([{ name: 'No url' }]), /entry 1 has no url/);
+});
+
+test('reads CSV files with a byte order mark and rejects empty lists', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'youtube-batch-test-'));
+  try {
+    const csvFile = path.join(directory, 'channels.csv');
+    fs.writeFileSync(csvFile, '\uFEFFurl,name\r\n"https://youtube.com/@acme",Acme\r\n');
+    assert.deepEqual(await readChannelList(csvFile), [{ input: 'https://youtube.com/@acme', label: 'Acme', row: 2 }]);
+
+    const emptyFile = path.join(directory, 'empty.csv');
+    fs.writeFileSync(emptyFile, 'url\n');
+    await assert.rejects(readChannelList(emptyFile), /No channels found/);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('runWithConcurrency keeps input order and never exceeds the limit', async () => {
+  let running = 0;
+  let peak = 0;
+  const results = await runWithConcurrency([30, 10, 20, 5], 2, async (delay, index) => {
+    running++;
+    peak = Math.max(peak, running);
+    await new Promise(resolve => setTimeout(resolve, delay));
+    running--;
+    return index;
+  });
+  assert.deepEqual(results, [0, 1, 2, 3]);
+  assert.equal(peak, 2);
+});
@@ -0,0 +1,70 @@
+// test/benchmark.test.js - Channel profiles and the competitor comparison
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildChannelProfile, compareProfiles } = require('../src/benchmark');
+
+function profile(name, { scores = {}, uploadsPerWeek = 1, themes = [], tags = [], subscribers = 1000, views = [100, 200, 300] } = {}) {
+  const analysis = {
+    channel: { id: `UC${name}`, name, subscriberCount: subscribers, totalViews: 10000, videoCount: views.length },
+    overallScores: scores,
+    contentStrategy: {
+      uploadPattern: { frequency: 'Weekly', uploadsPerWeek, medianGapDays: 7, daysSinceLastUpload: 3, consistencyScore: 80 },
+      contentThemes: { primaryThemes: themes.map(theme => ({ theme })) }
+    }
+  };
+  const videos = views.map((count, index) => ({
+    id: `${name}${index}`,
+    title: index === 0 ? 'How to Start: 5 Tips [2026]' : 'Weekly update',
+    tags,
+    views: count,
+    format: index === 0 ? 'Short' : 'Long-form',
+    titleAnalysis: { score: 60, hasPowerWords: index === 0 }
+  }));
+  return buildChannelProfile(analysis, videos);
+}
+
+test('buildChannelProfile condenses views, tags, title patterns and formats', () => {
+  const built = profile('Primary', { tags: ['Node', 'node ', 'API'], views: [100, 200, 600], subscribers: 3000 });
+  assert.deepEqual(built.views, { averageViews: 300, medianViews: 200, averageViewsPerSubscriber: 10 });
+  assert.deepEqual(built.topTags, [{ tag: 'api', videos: 3 }, { tag: 'node', videos: 3 }]);
+  assert.equal(built.titlePatterns.howToPercentage, 33.3);
+  assert.equal(built.titlePatterns.bracketsPercentage, 33.3);
+  assert.deepEqual(built.formatMix.Short, { videos: 1, percentage: 33.3 });
+  assert.equal(built.cadence.uploadsPerWeek, 1);
+});
+
+test('compareProfiles ranks scores and turns large gaps into recommendations', () => {
+  const primary = profile('Primary', { scores: { seoScore: 50, brandingScore: 80, commentScore: null } });
+  const rivals = [
+    profile('Rival A', { scores: { seoScore: 75, brandingScore: 70, commentScore: 60 } }),
+    profile('Rival B', { scores: { seoScore: 80, brandingScore: 75 } })
+  ];
+
+  const comparison = compareProfiles(primary, rivals);
+  const seo = comparison.scores.find(score => score.key === 'seoScore');
+  assert.deepEqual(
+    { primary: seo.primary, competitorAverage: seo.competitorAverage, gap: seo.gap, leader: seo.leader, primaryRank: seo.primaryRank },
+    { primary: 50, competitorAverage: 77.5, gap: -27.5, leader: 'Rival B', primaryRank: 3 }
+  );
+  const comments = comparison.scores.find(score => score.key === 'commentScore');
+  assert.equal(comments.gap, null);
+  assert.equal(comments.primaryRank, null);
+
+  const gaps = comparison.recommendations.map(rec => [rec.priority, rec.action.split(' trails')[0]]);
+  assert.deepEqual(gaps, [['High', 'SEO & Metadata']]);
+});
+
+test('compareProfiles flags a slow cadence and topics only competitors cover', () => {
+  const primary = profile('Primary', { uploadsPerWeek: 0.5, themes: ['node'], tags: ['node'] });
+  const rivals = [
+    profile('Rival A', { uploadsPerWeek: 3, themes: ['node', 'docker'], tags: ['node', 'docker'] }),
+    profile('Rival B', { uploadsPerWeek: 2, themes: ['docker', 'rust'], tags: ['docker'] })
+  ];
+
+  const comparison = compareProfiles(primary, rivals);
+  const actions = comparison.recommendations.map(rec => rec.action);
+  assert.ok(actions.some(action => action.startsWith('Competitors publish 2.5 videos/week against your 0.5')));
+  assert.ok(actions.includes('Topics competitors cover that you do not: "docker", "rust"'));
+  assert.deepEqual(comparison.overlap.tagGaps, [{ item: 'docker', channels: 2 }]);
+  assert.equal(comparison.overlap.byCompetitor[0].tags.similarity, 50);
+});
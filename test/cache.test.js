@@ -0,0 +1,122 @@
+// test/cache.test.js - Response cache keys, TTLs, ETag revalidation and per-channel counters
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ResponseCache, withCache } = require('../src/cache');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'youtube-cache-test-'));
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+let run = 0;
+function freshCache(options = {}) {
+  return new ResponseCache({ directory: path.join(directory, String(++run)), ...options });
+}
+
+// A videos.list stub that records the headers of each call and answers with `respond`
+function stubYoutube(respond) {
+  const calls = [];
+  const youtube = {
+    videos: {
+      list: async (params, options = {}) => {
+        calls.push(options.headers || {});
+        return respond(calls.length);
+      }
+    }
+  };
+  return { youtube, calls };
+}
+
+test('keys ignore parameter order and empty values', () => {
+  const cache = freshCache();
+  assert.equal(
+    cache.keyFor('videos.list', { part: ['snippet'], id: 'a', pageToken: undefined }),
+    cache.keyFor('videos.list', { id: 'a', part: ['snippet'], pageToken: null })
+  );
+  assert.notEqual(cache.keyFor('videos.list', { id: 'a' }), cache.keyFor('videos.list', { id: 'b' }));
+});
+
+test('TTL follows the endpoint, else the most volatile requested part', () => {
+  const cache = freshCache({ ttls: { 'search.list': 60 } });
+  assert.equal(cache.ttlFor('search.list'), 60);
+  assert.equal(cache.ttlFor('playlistItems.list', { part: ['snippet'] }), 60 * 60);
+  assert.equal(cache.ttlFor('videos.list', { part: ['snippet', 'statistics'] }), 60 * 60);
+  assert.equal(cache.ttlFor('channels.list', { part: 'snippet,brandingSettings' }), 24 * 60 * 60);
+  assert.equal(cache.ttlFor('videos.list', { part: ['id'] }), 7 * 24 * 60 * 60);
+});
+
+test('serves a fresh response from disk without calling the API', async () => {
+  const cache = freshCache();
+  const { youtube, calls } = stubYoutube(() => ({ data: { etag: 'e1', items: [1] } }));
+  const client = withCache(youtube, cache);
+
+  assert.equal(await cache.isCached('videos.list', { id: 'a' }), false);
+  await client.videos.list({ id: 'a' });
+  assert.equal(await cache.isCached('videos.list', { id: 'a' }), true);
+  const cached = await client.videos.list({ id: 'a' });
+
+  assert.deepEqual(cached, { data: { etag: 'e1', items: [1] }, fromCache: true });
+  assert.equal(calls.length, 1);
+  assert.equal(cache.summary().hitRate, 50);
+});
+
+test('revalidates a stale entry with its ETag and keeps it on 304', async () => {
+  const cache = freshCache({ ttls: { 'videos.list': 0 } });
+  const { youtube, calls } = stubYoutube(call => {
+    if (call === 1) return { data: { etag: 'e1', items: [1] } };
+    throw Object.assign(new Error('Not Modified'), { response: { status: 304 } });
+  });
+  const client = withCache(youtube, cache);
+
+  await client.videos.list({ id: 'a' });
+  const revalidated = await client.videos.list({ id: 'a' });
+
+  assert.deepEqual(calls[1], { 'If-None-Match': 'e1' });
+  assert.deepEqual(revalidated, { data: { etag: 'e1', items: [1] }, fromCache: true });
+  assert.equal(cache.stats.revalidated, 1);
+});
+
+test('falls back to a stale copy when the API fails, but not on fatal errors', async t => {
+  t.mock.method(console, 'warn', () => {});
+  const cache = freshCache({ ttls: { 'videos.list': 0 } });
+  let failure = null;
+  const { youtube } = stubYoutube(call => {
+    if (call === 1) return { data: { items: [1] } };
+    throw failure;
+  });
+  const client = withCache(youtube, cache);
+  await client.videos.list({ id: 'a' });
+
+  failure = Object.assign(new Error('Backend Error'), { response: { status: 503 } });
+  assert.deepEqual(await client.videos.list({ id: 'a' }), { data: { items: [1] }, fromCache: true, stale: true });
+
+  failure = Object.assign(new Error('API key not valid'), { fatal: true });
+  await assert.rejects(client.videos.list({ id: 'a' }), /API key not valid/);
+});
+
+test('refresh mode always asks the API', async () => {
+  const cache = freshCache();
+  const { youtube, calls } = stubYoutube(() => ({ data: { items: [] } }));
+  await withCache(youtube, cache).videos.list({ id: 'a' });
+  const refreshing = new ResponseCache({ directory: cache.directory, refresh: true });
+  await withCache(youtube, refreshing).videos.list({ id: 'a' });
+  assert.equal(calls.length, 2);
+  assert.equal(await refreshing.isCached('videos.list', { id: 'a' }), false);
+});
+
+test('child caches count their own lookups and forward them to the parent', async () => {
+  const parent = freshCache();
+  const first = new ResponseCache({ parent });
+  const second = new ResponseCache({ parent });
+  const { youtube } = stubYoutube(() => ({ data: { items: [] } }));
+
+  await withCache(youtube, first).videos.list({ id: 'a' });
+  await withCache(youtube, second).videos.list({ id: 'a' });
+
+  assert.equal(second.directory, parent.directory);
+  assert.deepEqual([first.stats.misses, first.stats.hits], [1, 0]);
+  assert.deepEqual([second.stats.misses, second.stats.hits], [0, 1]);
+  assert.deepEqual([parent.stats.misses, parent.stats.hits], [1, 1]);
+  assert.equal(second.summary().hitRate, 100);
+});
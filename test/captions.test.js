@@ -0,0 +1,59 @@
+// test/captions.test.js - Caption parsing against the fixture files in test/fixtures/captions
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseCaptions, detectCaptionFormat, parseTimeExpression, decodeEntities } = require('../src/captions');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'captions', name));
+
+test('parses TTML with nested time offsets, agents, frames and ticks', () => {
+  const { format, cues } = parseCaptions(fixture('sample.ttml'));
+  assert.equal(format, 'ttml');
+  assert.deepEqual(cues, [
+    { begin: 10.5, end: 13, text: 'Welcome back to the channel', speaker: 'Sam' },
+    { begin: 13, end: 15, text: 'Today we build a REST API\nin Node.js', speaker: null },
+    { begin: 15.4, end: 18, text: 'Fish & chips 😀 &#99999999;', speaker: null }
+  ]);
+});
+
+test('parses WebVTT, skipping notes and stripping cue settings and karaoke timestamps', () => {
+  const { format, cues } = parseCaptions(fixture('sample.vtt'));
+  assert.equal(format, 'webvtt');
+  assert.deepEqual(cues, [
+    { begin: 1, end: 4, text: 'Welcome back to the channel', speaker: 'Sam' },
+    { begin: 4, end: 6.5, text: 'today we build an API', speaker: null },
+    { begin: 62.25, end: 65, text: 'Thanks for having me & hello', speaker: 'GUEST' }
+  ]);
+});
+
+test('parses SRT with CRLF line endings and markup', () => {
+  const { format, cues } = parseCaptions(fixture('sample.srt'));
+  assert.equal(format, 'srt');
+  assert.deepEqual(cues, [
+    { begin: 1, end: 4, text: 'Welcome back to the channel', speaker: null },
+    { begin: 4, end: 6.5, text: 'Today we build\nan API', speaker: null },
+    { begin: 3600, end: 3602, text: 'See you next time &#99999999;', speaker: 'HOST' }
+  ]);
+});
+
+test('detects the format of each fixture', () => {
+  assert.equal(detectCaptionFormat(fixture('sample.ttml').toString()), 'ttml');
+  assert.equal(detectCaptionFormat(fixture('sample.vtt').toString()), 'webvtt');
+  assert.equal(detectCaptionFormat(fixture('sample.srt').toString()), 'srt');
+  assert.deepEqual(parseCaptions('not captions'), { format: null, cues: [] });
+});
+
+test('parses clock and offset time expressions', () => {
+  assert.equal(parseTimeExpression('01:02:03.500'), 3723.5);
+  assert.equal(parseTimeExpression('00:00:01,250'), 1.25);
+  assert.equal(parseTimeExpression('02:03.5'), 123.5);
+  assert.equal(parseTimeExpression('300ms'), 0.3);
+  assert.equal(parseTimeExpression('00:00:01:12', { frameRate: 24 }), 1.5);
+  assert.equal(parseTimeExpression('nonsense'), null);
+});
+
+test('leaves numeric entities outside the Unicode range undecoded instead of throwing', () => {
+  assert.equal(decodeEntities('a &#99999999; b &#x110000; c'), 'a &#99999999; b &#x110000; c');
+  assert.equal(decodeEntities('&#65;&#x42;&lt;&unknown;'), 'AB<&unknown;');
+});
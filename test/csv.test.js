@@ -0,0 +1,29 @@
+// test/csv.test.js - CSV parsing and writing, including formula neutralising on export
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, formatCsv } = require('../src/csv');
+
+test('parseCsv honours quoted commas, doubled quotes, embedded newlines and CRLF', () => {
+  assert.deepEqual(parseCsv('a,"b, c","say ""hi"""\r\n"two\nlines",,x\r\n'), [
+    ['a', 'b, c', 'say "hi"'],
+    ['two\nlines', '', 'x']
+  ]);
+  assert.deepEqual(parseCsv('last,row'), [['last', 'row']]);
+  assert.deepEqual(parseCsv(''), []);
+});
+
+test('formatCsv quotes only when needed and writes missing values as empty cells', () => {
+  assert.equal(formatCsv([['plain', 'a,b', 'say "hi"', 'two\nlines'], [null, undefined, 0, 12.5]]),
+    'plain,"a,b","say ""hi""","two\nlines"\r\n,,0,12.5\r\n');
+});
+
+test('formatCsv neutralises text a spreadsheet would run as a formula, but not numbers', () => {
+  const [row] = parseCsv(formatCsv([['=HYPERLINK("http://x")', '-5', -3, '@a', '+1, two', '\tcmd', 'safe = text']]));
+  assert.deepEqual(row, ['\'=HYPERLINK("http://x")', '\'-5', '-3', '\'@a', '\'+1, two', '\'\tcmd', 'safe = text']);
+  assert.equal(formatCsv([['+1, two']]), '"\'+1, two"\r\n');
+});
+
+test('formatCsv output parses back to the same cells', () => {
+  const rows = [['Title', 'Views'], ['Streams, "explained"\r\nPart 2', '8338'], ['', 'x']];
+  assert.deepEqual(parseCsv(formatCsv(rows)), rows);
+});
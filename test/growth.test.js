@@ -0,0 +1,49 @@
+// test/growth.test.js - Regression, view curves and momentum classes
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DAY_MS, linearRegression, fitViewCurve, expectedViewsAt, ageInDays, classifyMomentum } = require('../src/growth');
+
+const close = (actual, expected, digits = 6) => assert.equal(actual.toFixed(digits), expected.toFixed(digits));
+
+test('linearRegression fits a line and needs two distinct x values', () => {
+  const fit = linearRegression([{ x: 0, y: 1 }, { x: 1, y: 3 }, { x: 2, y: 5 }]);
+  close(fit.slope, 2);
+  close(fit.intercept, 1);
+  close(fit.rSquared, 1);
+  assert.equal(linearRegression([{ x: 1, y: 1 }]), null);
+  assert.equal(linearRegression([{ x: 1, y: 1 }, { x: 1, y: 2 }]), null);
+});
+
+test('fitViewCurve recovers a power law and ignores unusable observations', () => {
+  const observations = [1, 10, 100, 1000].map(ageDays => ({ ageDays, views: 50 * ageDays ** 0.5 }));
+  const curve = fitViewCurve([...observations, { ageDays: 5, views: 0 }, { ageDays: 0, views: 10 }]);
+  close(curve.a, 50);
+  close(curve.b, 0.5);
+  close(curve.rSquared, 1);
+  assert.equal(curve.observations, 4);
+  close(expectedViewsAt(curve, 400), 1000);
+  assert.equal(expectedViewsAt(null, 10), null);
+});
+
+test('a negative slope becomes a flat curve at the geometric mean of the views', () => {
+  // Newer uploads doing better: 1000 views at 10 days, 100 views at 100 days
+  const curve = fitViewCurve([{ ageDays: 10, views: 1000 }, { ageDays: 100, views: 100 }]);
+  assert.equal(curve.b, 0);
+  close(curve.a, Math.sqrt(1000 * 100));
+  assert.equal(curve.rSquared, 0);
+  close(expectedViewsAt(curve, 10), expectedViewsAt(curve, 1000));
+});
+
+test('ages are measured in days from the reference time, never negative', () => {
+  const reference = Date.parse('2026-01-11T00:00:00Z');
+  assert.equal(ageInDays('2026-01-01T00:00:00Z', reference), 10);
+  assert.equal(ageInDays(new Date(reference + DAY_MS).toISOString(), reference), 0);
+});
+
+test('classifyMomentum buckets the recent-vs-lifetime ratio', () => {
+  assert.equal(classifyMomentum(null), 'Unknown');
+  assert.equal(classifyMomentum(1.5), 'Accelerating');
+  assert.equal(classifyMomentum(0.4), 'Evergreen');
+  assert.equal(classifyMomentum(0.2), 'Slowing');
+  assert.equal(classifyMomentum(0.05), 'Plateaued');
+});
@@ -0,0 +1,120 @@
+// test/history.test.js - History records, the history store and run-over-run comparison
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HISTORY_VERSION, HistoryStore, createHistoryRecord, compareRuns } = require('../src/history');
+
+const rec = (category, action, priority = 'Medium') => ({ priority, category, action });
+
+function record(recordedAt, { subscribers = 1000, views = 50000, scores = {}, videos = [], recommendations = [], historyVersion = HISTORY_VERSION } = {}) {
+  return {
+    historyVersion,
+    channelId: 'UCabc',
+    channelName: 'Test',
+    recordedAt,
+    rulesProfile: 'default',
+    channel: { subscriberCount: subscribers, totalViews: views, videoCount: videos.length },
+    overallScores: scores,
+    videos,
+    recommendations
+  };
+}
+
+test('createHistoryRecord keeps the full recommendation list it is given', () => {
+  const analysis = {
+    channel: { id: 'UCabc', name: 'Test', subscriberCount: 10, totalViews: 20, videoCount: 1 },
+    analysisMetadata: { fetchedAt: '2026-01-01T00:00:00.000Z' },
+    overallScores: { seoScore: 70 },
+    priorityRecommendations: [rec('SEO', 'Add tags')]
+  };
+  const all = Array.from({ length: 14 }, (_, index) => rec('SEO', `Fix item ${index}`));
+  const videos = [{ id: 'v1', snippet: { title: 'One', publishedAt: '2025-12-01T00:00:00Z' }, statistics: { viewCount: '42' } }];
+
+  const created = createHistoryRecord(analysis, videos, all);
+  assert.equal(created.historyVersion, HISTORY_VERSION);
+  assert.equal(created.recordedAt, '2026-01-01T00:00:00.000Z');
+  assert.equal(created.recommendations.length, 14);
+  assert.deepEqual(created.videos, [{ id: 'v1', title: 'One', publishedAt: '2025-12-01T00:00:00Z', views: 42 }]);
+  assert.deepEqual(createHistoryRecord(analysis, videos).recommendations, [rec('SEO', 'Add tags')]);
+});
+
+test('compareRuns reports score, channel and per-video changes', () => {
+  const previous = record('2026-01-01T00:00:00.000Z', {
+    scores: { seoScore: 60, commentScore: null },
+    videos: [{ id: 'a', title: 'A', views: 100 }, { id: 'b', title: 'B', views: 500 }]
+  });
+  const current = record('2026-01-11T00:00:00.000Z', {
+    subscribers: 1100,
+    views: 51000,
+    scores: { seoScore: 65.5, commentScore: 40 },
+    videos: [
+      { id: 'a', title: 'A', views: 400 },
+      { id: 'b', title: 'B', views: 550 },
+      { id: 'c', title: 'C', publishedAt: '2026-01-05T00:00:00.000Z', views: 90 }
+    ]
+  });
+
+  const comparison = compareRuns(previous, current);
+  assert.equal(comparison.elapsedDays, 10);
+  assert.deepEqual(comparison.scoreDeltas.seoScore, { previous: 60, current: 65.5, change: 5.5 });
+  assert.deepEqual(comparison.scoreDeltas.commentScore, { previous: null, current: 40, change: null });
+  assert.equal(comparison.channelGrowth.subscribers.change, 100);
+  assert.equal(comparison.channelGrowth.subscribers.percentChange, 10);
+  assert.equal(comparison.channelGrowth.subscribers.perDay, 10);
+  assert.deepEqual(comparison.videoVelocity.fastest.map(video => [video.id, video.viewsGained]), [['a', 300], ['b', 50]]);
+  assert.deepEqual(comparison.newUploads.map(video => video.id), ['c']);
+  assert.equal(comparison.rulesProfile.changed, false);
+});
+
+test('compareRuns matches recommendations on wording, ignoring the numbers in them', () => {
+  const previous = record('2026-01-01T00:00:00.000Z', {
+    recommendations: [rec('Consistency', 'No uploads for 23 days'), rec('SEO', 'Add tags to 4 videos')]
+  });
+  const current = record('2026-01-08T00:00:00.000Z', {
+    recommendations: [rec('Consistency', 'No uploads for 30 days'), rec('Branding', 'Add a channel trailer')]
+  });
+
+  const { recommendations } = compareRuns(previous, current);
+  assert.deepEqual(recommendations.resolved, [rec('SEO', 'Add tags to 4 videos')]);
+  assert.deepEqual(recommendations.introduced, [rec('Branding', 'Add a channel trailer')]);
+  assert.equal(recommendations.persisting, 1);
+});
+
+test('a recommendation that only dropped out of the top 10 is not resolved', () => {
+  const ranked = Array.from({ length: 12 }, (_, index) => rec(`Area ${index}`, 'Improve this'));
+  const previous = record('2026-01-01T00:00:00.000Z', { recommendations: ranked });
+  const current = record('2026-01-08T00:00:00.000Z', { recommendations: [rec('New', 'Urgent fix', 'Critical'), ...ranked] });
+
+  const { recommendations } = compareRuns(previous, current);
+  assert.deepEqual(recommendations.resolved, []);
+  assert.deepEqual(recommendations.introduced, [rec('New', 'Urgent fix', 'Critical')]);
+});
+
+test('against a version 1 record only the current top 10 is compared', () => {
+  const ranked = Array.from({ length: 12 }, (_, index) => rec(`Area ${index}`, 'Improve this'));
+  const previous = record('2026-01-01T00:00:00.000Z', { historyVersion: 1, recommendations: ranked.slice(0, 10) });
+  const current = record('2026-01-08T00:00:00.000Z', { recommendations: ranked });
+
+  const { recommendations } = compareRuns(previous, current);
+  assert.deepEqual(recommendations.introduced, []);
+  assert.equal(recommendations.persisting, 10);
+});
+
+test('the store returns the latest record before a given time', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'youtube-history-test-'));
+  try {
+    const store = new HistoryStore({ directory });
+    await store.save(record('2026-01-01T00:00:00.000Z'));
+    await store.save(record('2026-01-08T00:00:00.000Z'));
+    await store.save(record('2026-01-15T00:00:00.000Z'));
+
+    assert.equal((await store.list('UCabc')).length, 3);
+    assert.equal((await store.previous('UCabc', '2026-01-15T00:00:00.000Z')).recordedAt, '2026-01-08T00:00:00.000Z');
+    assert.equal(await store.previous('UCabc', '2026-01-01T00:00:00.000Z'), null);
+    assert.deepEqual(await store.list('UCother'), []);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,73 @@
+// test/quota.test.js - Quota accounting, budget enforcement and parent forwarding
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { QuotaTracker, QuotaBudgetExceededError, withQuota } = require('../src/quota');
+
+test('charges the documented unit cost per endpoint', () => {
+  const tracker = new QuotaTracker({ budget: 1000 });
+  tracker.charge('videos.list');
+  tracker.charge('search.list');
+  tracker.charge('unknown.method');
+  assert.equal(tracker.used, 102);
+  assert.equal(tracker.calls, 3);
+  assert.deepEqual(tracker.byEndpoint['search.list'], { calls: 1, units: 100 });
+  assert.equal(tracker.remaining, 898);
+});
+
+test('refuses a call that would exceed the budget without charging it', () => {
+  const tracker = new QuotaTracker({ budget: 120 });
+  tracker.charge('search.list');
+  assert.equal(tracker.canAfford(20), true);
+  assert.equal(tracker.canAfford(21), false);
+  assert.throws(() => tracker.charge('captions.list'), QuotaBudgetExceededError);
+  assert.equal(tracker.used, 100);
+});
+
+test('a budget of zero or less means unlimited', () => {
+  const tracker = new QuotaTracker({ budget: 0 });
+  assert.equal(tracker.canAfford(1e9), true);
+  assert.equal(tracker.summary().budget, null);
+});
+
+test('child trackers share the parent budget but report their own usage', () => {
+  const parent = new QuotaTracker({ budget: 150 });
+  const first = new QuotaTracker({ parent });
+  const second = new QuotaTracker({ parent });
+
+  first.charge('search.list');
+  second.charge('captions.list');
+  second.recordSkip('comments', 2);
+
+  assert.equal(first.used, 100);
+  assert.equal(second.used, 50);
+  assert.equal(parent.used, 150);
+  assert.deepEqual(parent.skipped, { comments: 2 });
+  assert.equal(first.canAfford(1), false);
+  assert.throws(() => second.charge('videos.list'), QuotaBudgetExceededError);
+  assert.equal(parent.used, 150);
+
+  const summary = second.summary();
+  assert.equal(summary.unitsUsed, 50);
+  assert.equal(summary.runUnitsUsed, 150);
+  assert.equal(summary.budget, 150);
+  assert.equal(summary.remaining, 0);
+});
+
+test('summary() reports only the usage since a snapshot', () => {
+  const tracker = new QuotaTracker();
+  tracker.charge('channels.list');
+  const before = tracker.snapshot();
+  tracker.charge('videos.list');
+  tracker.recordSkip('transcripts');
+  assert.deepEqual(tracker.summary(before).byEndpoint, { 'videos.list': { calls: 1, units: 1 } });
+  assert.deepEqual(tracker.summary(before).skipped, { transcripts: 1 });
+  assert.equal(tracker.summary(before).unitsUsed, 1);
+});
+
+test('withQuota charges each endpoint call before making it', async () => {
+  const tracker = new QuotaTracker({ budget: 1 });
+  const youtube = withQuota({ videos: { list: async params => ({ data: params }) } }, tracker);
+  assert.deepEqual(await youtube.videos.list({ id: 'a' }), { data: { id: 'a' } });
+  await assert.rejects(async () => youtube.videos.list({ id: 'b' }), QuotaBudgetExceededError);
+  assert.equal(tracker.used, 1);
+});
@@ -0,0 +1,60 @@
+// test/result-schema.test.js - Upgrading result files written before the schema was versioned
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ANALYSIS_SCHEMA_VERSION, validateAnalysis, migrateAnalysis, migrateResultFiles } = require('../src/result-schema');
+
+// What the original analyzer saved for the snapshot in test/fixtures/snapshots, without transcripts
+const fixturePath = path.join(__dirname, 'fixtures', 'analyses', 'analysis-v1.json');
+const readFixture = () => JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+
+test('a version 1 result migrates to a schema-valid result', () => {
+  const original = readFixture();
+  assert.equal(original.schemaVersion, undefined);
+  assert.ok(validateAnalysis(original).length > 0);
+
+  const migrated = migrateAnalysis(original);
+  assert.equal(migrated.schemaVersion, ANALYSIS_SCHEMA_VERSION);
+  assert.deepEqual(validateAnalysis(migrated), []);
+  assert.deepEqual(migrated.priorityRecommendations[0], {
+    priority: 'Medium',
+    category: 'Transcript Analysis',
+    action: 'Enable auto-generated captions on YouTube'
+  });
+  assert.deepEqual(migrated.transcriptAnalysis.recommendations, migrated.priorityRecommendations);
+  assert.equal(migrated.videos[0].transcriptAnalysis.available, false);
+  assert.deepEqual(migrateAnalysis(migrated), migrated);
+});
+
+test('rejects results written by a newer version', () => {
+  assert.throws(() => migrateAnalysis({ ...readFixture(), schemaVersion: ANALYSIS_SCHEMA_VERSION + 1 }, 'x.json'),
+    /x\.json was written by a newer version/);
+});
+
+test('migrateResultFiles reports in a dry run and rewrites outdated results otherwise', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'youtube-results-test-'));
+  try {
+    const resultFile = path.join(directory, 'batch', 'analysis-1.json');
+    fs.mkdirSync(path.dirname(resultFile));
+    fs.copyFileSync(fixturePath, resultFile);
+    fs.writeFileSync(path.join(directory, 'comparison-1.json'), JSON.stringify({ channels: [] }));
+    fs.writeFileSync(path.join(directory, 'broken.json'), '{');
+
+    const dryRun = await migrateResultFiles(directory, { dryRun: true });
+    assert.deepEqual(dryRun.map(entry => [path.relative(directory, entry.file), entry.status]).sort(), [
+      [path.join('batch', 'analysis-1.json'), 'migrated'],
+      ['broken.json', 'failed']
+    ]);
+    assert.equal(JSON.parse(fs.readFileSync(resultFile, 'utf8')).schemaVersion, undefined);
+
+    await migrateResultFiles(directory);
+    const rewritten = JSON.parse(fs.readFileSync(resultFile, 'utf8'));
+    assert.deepEqual(validateAnalysis(rewritten), []);
+    const again = await migrateResultFiles(directory);
+    assert.equal(again.find(entry => entry.file === resultFile).status, 'current');
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
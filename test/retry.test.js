@@ -0,0 +1,80 @@
+// test/retry.test.js - API error classification and retry with backoff
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyApiError, isCredentialError, callWithRetry } = require('../src/retry');
+
+function apiError(status, reason = null, extra = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers: {} };
+  if (reason) error.errors = [{ reason }];
+  return Object.assign(error, extra);
+}
+
+test('rate limits, server errors and network blips are transient', () => {
+  assert.equal(classifyApiError(apiError(429)).kind, 'transient');
+  assert.equal(classifyApiError(apiError(503)).kind, 'transient');
+  assert.equal(classifyApiError(apiError(403, 'rateLimitExceeded')).kind, 'transient');
+  assert.equal(classifyApiError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })).kind, 'transient');
+});
+
+test('bad credentials and missing channels are fatal', () => {
+  assert.equal(classifyApiError(apiError(400, 'keyInvalid')).kind, 'fatal');
+  assert.equal(classifyApiError(apiError(403, 'accessNotConfigured')).kind, 'fatal');
+  assert.equal(classifyApiError(apiError(404, 'channelNotFound')).kind, 'fatal');
+  assert.equal(classifyApiError(apiError(401)).kind, 'fatal');
+});
+
+test('a 400 or 403 on a single video only fails that request', () => {
+  assert.equal(classifyApiError(apiError(403, 'forbidden')).kind, 'failed');
+  assert.equal(classifyApiError(apiError(403, 'commentsDisabled')).kind, 'failed');
+  assert.equal(classifyApiError(apiError(400)).kind, 'failed');
+  assert.equal(classifyApiError(apiError(404, 'videoNotFound')).kind, 'failed');
+});
+
+test('reads the status from a numeric-string error code and the reason from the response body', () => {
+  const error = new Error('Forbidden');
+  error.code = '403';
+  error.response = { data: { error: { errors: [{ reason: 'quotaExceeded' }] } } };
+  assert.deepEqual(classifyApiError(error), { kind: 'transient', status: 403, reason: 'quotaExceeded', message: 'Forbidden' });
+});
+
+test('only key-level problems count as credential errors', () => {
+  assert.equal(isCredentialError(apiError(400, 'keyInvalid')), true);
+  assert.equal(isCredentialError(apiError(401)), true);
+  assert.equal(isCredentialError(apiError(404, 'channelNotFound')), false);
+  assert.equal(isCredentialError(apiError(403, 'forbidden')), false);
+});
+
+test('retries transient errors, honouring Retry-After, until the call succeeds', async () => {
+  const delays = [];
+  let attempts = 0;
+  const result = await callWithRetry(async () => {
+    attempts++;
+    if (attempts === 1) throw apiError(503);
+    if (attempts === 2) throw apiError(429, null, { response: { status: 429, headers: { 'retry-after': '2' } } });
+    return 'ok';
+  }, { sleep: async ms => delays.push(ms) });
+
+  assert.equal(result, 'ok');
+  assert.equal(attempts, 3);
+  assert.equal(delays.length, 2);
+  assert.ok(delays[0] >= 0 && delays[0] <= 500);
+  assert.equal(delays[1], 2000);
+});
+
+test('gives up after maxRetries and does not retry permanent failures', async () => {
+  let attempts = 0;
+  const policy = { maxRetries: 2, baseDelayMs: 1, maxDelayMs: 1 };
+  await assert.rejects(callWithRetry(async () => {
+    attempts++;
+    throw apiError(500);
+  }, { policy, sleep: async () => {} }), error => error.attempts === 3 && error.classification.kind === 'transient');
+  assert.equal(attempts, 3);
+
+  attempts = 0;
+  await assert.rejects(callWithRetry(async () => {
+    attempts++;
+    throw apiError(400, 'keyInvalid');
+  }, { policy, sleep: async () => {} }), error => error.fatal === true);
+  assert.equal(attempts, 1);
+});
@@ -0,0 +1,60 @@
+// test/rules.test.js - Rules profiles: merging, validation, normalisation and use by the scorers
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { DEFAULT_RULES, resolveRules, loadRules } = require('../src/rules');
+const YouTubeChannelAnalyzer = require('../src/analyze');
+
+test('overrides merge over the defaults: arrays replace, objects merge', () => {
+  const rules = resolveRules({ profile: 'gaming', words: { powerWords: ['insane'] }, thresholds: { title: { maxLength: 80 } } });
+  assert.equal(rules.profile, 'gaming');
+  assert.deepEqual(rules.words.powerWords, ['insane']);
+  assert.deepEqual(rules.words.hookWords, DEFAULT_RULES.words.hookWords);
+  assert.deepEqual(rules.thresholds.title, { minLength: 30, maxLength: 80, minWords: 5 });
+  assert.deepEqual(rules.thresholds.engagement, DEFAULT_RULES.thresholds.engagement);
+});
+
+test('word lists are lower-cased so they match the lower-cased text the scorers read', () => {
+  const rules = resolveRules({ words: { searchPhrases: ['How To', 'WHAT IS'], socialPlatforms: ['TikTok'] } });
+  assert.deepEqual(rules.words.searchPhrases, ['how to', 'what is']);
+  assert.deepEqual(rules.words.socialPlatforms, ['tiktok']);
+  assert.deepEqual(DEFAULT_RULES.words.socialPlatforms, ['twitter', 'instagram']);
+});
+
+test('rejects unknown keys, wrong types and inconsistent thresholds with every problem listed', () => {
+  assert.throws(() => resolveRules({ words: { powerWord: ['x'] }, severity: { missingTags: 'Urgent' } }, 'Rules file x.yaml'), error => {
+    assert.match(error.message, /^Rules file x\.yaml is invalid:/);
+    assert.match(error.message, /\$\.words\.powerWord: unknown property/);
+    assert.match(error.message, /\$\.severity\.missingTags: must be one of/);
+    return true;
+  });
+  assert.throws(() => resolveRules({ thresholds: { title: { minLength: 90 } } }), /minLength must not exceed maxLength/);
+  assert.throws(() => resolveRules({ weights: { seo: { titles: 0.5 } } }), /weights must add up to 1 \(got 1.2\)/);
+  assert.throws(() => resolveRules({ thresholds: { engagement: { shorts: { likeRatioExcellent: -1 } } } }), /must be >= 0/);
+});
+
+test('loads the Spanish example profile from YAML', async () => {
+  const file = path.join(__dirname, '..', 'rules', 'example-es.yaml');
+  const rules = await loadRules(file);
+  assert.equal(rules.profile, 'es-tutorials');
+  assert.equal(rules.source, file);
+  assert.ok(rules.words.callToAction.includes('suscríbete'));
+  assert.ok(!rules.words.callToAction.includes('notification'));
+});
+
+test('the analyzer reads call-to-action words, social platforms and engagement benchmarks from the profile', () => {
+  const spanish = new YouTubeChannelAnalyzer({ rules: resolveRules({ words: { callToAction: ['Suscríbete'], socialPlatforms: ['TikTok'] } }) });
+  assert.equal(spanish.detectCallToAction('¡SUSCRÍBETE al canal!'), true);
+  assert.equal(spanish.detectCallToAction('Turn on notifications'), false);
+  assert.equal(new YouTubeChannelAnalyzer().detectCallToAction('Turn on notifications'), true);
+  assert.ok(spanish.analyzeDescriptionComprehensive('Sígueme en TikTok').strengths.includes('Links to social media'));
+
+  const strict = new YouTubeChannelAnalyzer({
+    rules: resolveRules({ thresholds: { engagement: { longForm: { likeRatioExcellent: 10, likeRatioMultiplier: 5 } } } })
+  });
+  const videos = [{ views: 1000, likeToViewRatio: 4 }];
+  const track = strict.scoreEngagementTrack(videos, 10000, false);
+  assert.equal(track.likeEngagement.score, 20);
+  assert.equal(track.likeEngagement.benchmark, 'Needs Improvement');
+  assert.equal(new YouTubeChannelAnalyzer().scoreEngagementTrack(videos, 10000, false).likeEngagement.benchmark, 'Excellent');
+});
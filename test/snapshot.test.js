@@ -0,0 +1,37 @@
+// test/snapshot.test.js - Offline replay of the raw snapshot in test/fixtures/snapshots
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const YouTubeChannelAnalyzer = require('../src/analyze');
+const { loadSnapshot } = require('../src/snapshot');
+const { validateAnalysis } = require('../src/result-schema');
+
+const snapshotPath = path.join(__dirname, 'fixtures', 'snapshots', 'channel.json');
+
+test('the fixture is a valid snapshot', async () => {
+  const snapshot = await loadSnapshot(snapshotPath);
+  assert.equal(snapshot.channelId, 'UCtestchannel0000000000a');
+  assert.equal(snapshot.data.videos.length, 12);
+});
+
+test('replaying a snapshot twice gives identical, schema-valid results', async t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+
+  const analyzer = new YouTubeChannelAnalyzer({ snapshotPath, history: false, cache: false });
+  // Only the run timestamps may differ; every score and age is measured from the snapshot's fetchedAt
+  const replay = async () => {
+    const analysis = analyzer.performAnalysis(await analyzer.collectChannelData(analyzer.snapshotPath));
+    return { analysis, comparable: { ...analysis, timestamp: null, analysisDate: null } };
+  };
+
+  const first = await replay();
+  assert.equal(analyzer.referenceTime, Date.parse('2026-03-01T12:00:00.000Z'));
+  const second = await replay();
+
+  assert.deepEqual(second.comparable, first.comparable);
+  assert.equal(first.analysis.analysisMetadata.dataSource, 'snapshot');
+  assert.equal(first.analysis.videos.length, 12);
+  assert.deepEqual(validateAnalysis(first.analysis), []);
+  assert.deepEqual(validateAnalysis(second.analysis), []);
+});
@@ -0,0 +1,44 @@
+// test/transcript-providers.test.js - Captions API provider against a stubbed youtube client
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CaptionsApiTranscriptProvider } = require('../src/transcript-providers');
+
+function stubYoutube(downloadError) {
+  return {
+    captions: {
+      list: async () => ({ data: { items: [{ id: 'track1', snippet: { language: 'en', trackKind: 'asr' } }] } }),
+      download: async () => {
+        if (downloadError) throw downloadError;
+        return { data: '<tt></tt>' };
+      }
+    }
+  };
+}
+
+function apiError(status) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status };
+  return error;
+}
+
+test('downloads the English track', async () => {
+  const youtube = stubYoutube(null);
+  const provider = new CaptionsApiTranscriptProvider(youtube);
+  assert.deepEqual(await provider.fetchTranscript({ id: 'abc' }), { data: '<tt></tt>', format: 'ttml' });
+  assert.equal(provider.disabled, false);
+});
+
+test('disables itself after a 403 on download', async t => {
+  t.mock.method(console, 'warn', () => {});
+  const youtube = stubYoutube(apiError(403));
+  const provider = new CaptionsApiTranscriptProvider(youtube);
+  assert.equal(await provider.fetchTranscript({ id: 'abc' }), null);
+  assert.equal(provider.disabled, true);
+});
+
+test('stays enabled when one video has no downloadable track', async () => {
+  const youtube = stubYoutube(apiError(404));
+  const provider = new CaptionsApiTranscriptProvider(youtube);
+  assert.equal(await provider.fetchTranscript({ id: 'abc' }), null);
+  assert.equal(provider.disabled, false);
+});